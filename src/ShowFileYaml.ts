@@ -1,16 +1,4 @@
 import { Position, Range, Selection, Uri, window, workspace } from "vscode";
-import { Location } from "./customGate/gate-data";
-import { highLightTextInFile } from "./highLight";
-import { hierarchySearchInFile } from "./search";
-
-export async function showTextDocumentWithErrors(result: any, documentText: string[]) {
-	result.forEach(async (res: any) => {
-		if (typeof (res.location) !== typeof (" ")) {
-			highLightTextInFile(res.location.lineNumber,res.location.columnNumber);
-		}
-	});
-}
-
 
 export async function jumpSpecifiedLine(lineNumber: number, filePath: string) {
 	var pos1 = new Position(lineNumber, 0);
@@ -0,0 +1,61 @@
+import * as vscode from 'vscode';
+import { GatesProvider } from '../gate-provider';
+import { ContributedGate, GateContribution } from '../customGate/contributed-gate';
+import { Finding } from '../findings/finding';
+import { findingsStore } from '../findings/findings-store';
+
+export { GateContribution } from '../customGate/contributed-gate';
+export { GateData, ResultsList, FileMessages, GateResult, Location } from '../customGate/gate-data';
+export { Finding, Severity } from '../findings/finding';
+export { CancellationSignal } from '../findings/scan-progress';
+
+//Which findings to return, all of them when nothing is set
+export interface FindingsQuery {
+    gate?: string;
+    filePath?: string;
+}
+
+//The api that activate returns, other extensions get it from the exports of this extension
+export interface SecurityGateApi {
+    readonly version: number;
+
+    //Add a gate to the tree once the gates of the extension are loaded, disposing the result removes it
+    //Rejects when a gate with the same label is registered
+    registerGate(contribution: GateContribution): Promise<vscode.Disposable>;
+
+    unregisterGate(label: string): void;
+
+    //Fired with the paths of the files whose findings have changed
+    readonly onDidChangeFindings: vscode.Event<string[]>;
+
+    getFindings(query?: FindingsQuery): Finding[];
+}
+
+export function createSecurityGateApi(provider: GatesProvider): SecurityGateApi {
+    //Only gates that were registered through the api can be unregistered through it
+    const contributedGates = new Set<string>();
+
+    const unregisterGate = (label: string) => {
+        if (contributedGates.delete(label)) {
+            provider.unregisterGate(label);
+        }
+    };
+
+    return {
+        version: 1,
+        async registerGate(contribution: GateContribution) {
+            if (!contribution?.label || !Array.isArray(contribution.labels) || typeof contribution.scan !== 'function') {
+                throw new Error("A gate needs a label, labels and a scan function");
+            }
+            await provider.registerGate(contribution.label, () => new ContributedGate(contribution));
+            contributedGates.add(contribution.label);
+            return new vscode.Disposable(() => unregisterGate(contribution.label));
+        },
+        unregisterGate: unregisterGate,
+        onDidChangeFindings: findingsStore.onDidChangeFindings,
+        getFindings(query?: FindingsQuery) {
+            const findings = query?.filePath ? findingsStore.getFileFindings(query.filePath) : findingsStore.getAllFindings();
+            return query?.gate ? findings.filter(finding => finding.gate === query.gate) : findings;
+        }
+    };
+}
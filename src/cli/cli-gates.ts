@@ -0,0 +1,62 @@
+import { Finding, severityFromLabel } from '../findings/finding';
+import { ScanProgress } from '../findings/scan-progress';
+import { toFindings } from '../customGate/gate-findings';
+import { getGateFiles } from '../customGate/gate-functions';
+import { gateLabel as kubesecLabel, kubesec, kubesecFindings } from '../gates/kubesec/kubesecGate/kubesec-scanner';
+import { scanWhispers, whispersDescription, whispersFileTypes, whispersLabel } from '../gates/whispers/whispers-scanner';
+import { databaseUnavailableReason, dependenciesDescription, dependenciesLabel, scanDependencies } from '../gates/osv/dependency-scanner';
+import { lockfileNames } from '../gates/osv/lockfile-parser';
+import { dockerfileDescription, dockerfileLabel, scanDockerfiles } from '../gates/dockerfile/dockerfile-scanner';
+import { scanTerraform, terraformDescription, terraformFileTypes, terraformLabel } from '../gates/terraform/terraform-scanner';
+import { pipelineFileTypes, pipelinesDescription, pipelinesLabel, scanPipelines } from '../gates/pipelines/pipeline-scanner';
+import { analyzerUnavailableReason, analyzeWorkspace, templateAnalyzerLabel, toTemplateFinding } from '../gates/templateAnalyzer/Template-analyzer/template-scanner';
+
+//A gate the cli runs, with the same scanner as the gate in the Gates view
+export interface CliGate {
+    label: string;
+    description?: string;
+    scan(progress: ScanProgress): Promise<Finding[]>;
+    //Why the gate cannot run, like a tool or a snapshot that is not set up, the gate is then skipped unless it is asked for
+    unavailableReason?(): string | undefined;
+}
+
+export const cliGates: CliGate[] = [
+    {
+        label: kubesecLabel,
+        description: "Security risk analysis for Kubernetes resources",
+        scan: async progress => kubesecFindings(kubesecLabel, await kubesec(progress))
+    },
+    {
+        label: whispersLabel,
+        description: whispersDescription,
+        //Every secret found is an error
+        scan: async progress => toFindings(whispersLabel, await scanWhispers(await getGateFiles(whispersLabel, whispersFileTypes), true, progress), () => 'error')
+    },
+    {
+        label: dependenciesLabel,
+        description: dependenciesDescription,
+        scan: async progress => toFindings(dependenciesLabel, await scanDependencies(await getGateFiles(dependenciesLabel, lockfileNames), true, progress), severityFromLabel),
+        unavailableReason: databaseUnavailableReason
+    },
+    {
+        label: dockerfileLabel,
+        description: dockerfileDescription,
+        scan: async progress => toFindings(dockerfileLabel, await scanDockerfiles(await getGateFiles(dockerfileLabel, [""]), true, progress), severityFromLabel)
+    },
+    {
+        label: terraformLabel,
+        description: terraformDescription,
+        scan: async progress => toFindings(terraformLabel, await scanTerraform(await getGateFiles(terraformLabel, terraformFileTypes), true, progress), severityFromLabel)
+    },
+    {
+        label: pipelinesLabel,
+        description: pipelinesDescription,
+        scan: async progress => toFindings(pipelinesLabel, await scanPipelines(await getGateFiles(pipelinesLabel, pipelineFileTypes), true, progress), severityFromLabel)
+    },
+    {
+        label: templateAnalyzerLabel,
+        description: "Scans ARM and Bicep templates for security misconfigurations",
+        scan: async progress => (await analyzeWorkspace(progress)).map(toTemplateFinding),
+        unavailableReason: analyzerUnavailableReason
+    }
+];
@@ -0,0 +1,47 @@
+import path = require('path');
+import fs = require('fs');
+import os = require('os');
+import { GateHost, HostOutputChannel } from '../host/gate-host';
+
+//The host of the cli, the gates scan the given folder and write their output to stderr
+export class CliHost implements GateHost {
+    //The cli is built to out/cli, next to the src folder of the package
+    public readonly resourcePath = path.join(__dirname, "..", "..", "src");
+
+    public readonly storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "security-gate-"));
+
+    //The errors the gates reported, any error fails the run
+    public readonly errors: string[] = [];
+
+    constructor(
+        private readonly folders: string[],
+        //Settings by their full name, like microsoft.security.gate.kubesec.mode
+        private readonly settings: Map<string, unknown>,
+        private readonly verbose: boolean,
+    ) { }
+
+    public workspaceFolders() {
+        return this.folders;
+    }
+
+    public getSetting<T>(section: string, key: string, defaultValue: T): T {
+        const value = this.settings.get(`${section}.${key}`);
+        return value === undefined ? defaultValue : value as T;
+    }
+
+    //The output of the gates is written only with --verbose
+    public createOutputChannel(name: string): HostOutputChannel {
+        return {
+            appendLine: value => this.verbose ? process.stderr.write(`[${name}] ${value}\n`) : undefined
+        };
+    }
+
+    public showError(message: string) {
+        this.errors.push(message);
+        process.stderr.write(`error: ${message}\n`);
+    }
+
+    public dispose() {
+        fs.rmSync(this.storagePath, { recursive: true, force: true });
+    }
+}
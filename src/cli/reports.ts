@@ -0,0 +1,133 @@
+import path = require('path');
+import { Finding, Severity } from '../findings/finding';
+import { buildSarifLog, SarifRunInput } from '../findings/sarif-export';
+
+export type ReportFormat = 'sarif' | 'json' | 'junit';
+
+export const reportFormats: ReportFormat[] = ['sarif', 'json', 'junit'];
+
+//The findings of a gate in a run of the cli, or why the gate could not scan
+export class GateReport {
+    constructor(
+        public readonly gate: string,
+        public readonly description: string | undefined,
+        public readonly findings: Finding[],
+        public readonly error?: string,
+    ) { }
+
+    //Passed kubesec checks are findings too, but they are not problems
+    public get problems() {
+        return this.findings.filter(finding => finding.severity !== 'passed');
+    }
+}
+
+//The severities from the least to the most severe
+const severityRanks: Severity[] = ['info', 'warning', 'error'];
+
+//--fail-on takes the severities of the findings and the names other tools give them
+const thresholdNames = new Map<string, Severity | 'none'>([
+    ['error', 'error'], ['critical', 'error'], ['high', 'error'],
+    ['warning', 'warning'], ['medium', 'warning'],
+    ['info', 'info'], ['note', 'info'], ['low', 'info'],
+    ['none', 'none'], ['never', 'none']
+]);
+
+export function parseThreshold(name: string): Severity | 'none' | undefined {
+    return thresholdNames.get(name.toLowerCase());
+}
+
+export function thresholdNamesList() {
+    return Array.from(thresholdNames.keys()).join(', ');
+}
+
+//The findings at the threshold or above it, they fail the run
+export function failingFindings(reports: GateReport[], threshold: Severity | 'none') {
+    const minimumRank = threshold === 'none' ? severityRanks.length : severityRanks.indexOf(threshold);
+    return reports.flatMap(report => report.problems).filter(finding => severityRanks.indexOf(finding.severity) >= minimumRank);
+}
+
+export function formatReport(format: ReportFormat, reports: GateReport[], rootPath: string, threshold: Severity | 'none') {
+    switch (format) {
+        case 'sarif':
+            return JSON.stringify(buildSarifLog(reports.map(report => new SarifRunInput(report.gate, report.description, report.findings)), [rootPath]), null, 2);
+        case 'json':
+            return JSON.stringify(jsonReport(reports, rootPath), null, 2);
+        case 'junit':
+            return junitReport(reports, rootPath, threshold);
+    }
+}
+
+//Paths in the reports are relative to the scanned folder, with forward slashes
+function relativePath(rootPath: string, filePath: string) {
+    const relative = path.relative(rootPath, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative.split(path.sep).join('/');
+}
+
+function countSeverities(findings: Finding[]) {
+    return {
+        error: findings.filter(finding => finding.severity === 'error').length,
+        warning: findings.filter(finding => finding.severity === 'warning').length,
+        info: findings.filter(finding => finding.severity === 'info').length
+    };
+}
+
+//Lines and columns are one based, like the lines shown in editors
+function jsonReport(reports: GateReport[], rootPath: string) {
+    return {
+        version: 1,
+        gates: reports.map(report => ({
+            gate: report.gate,
+            error: report.error,
+            counts: countSeverities(report.problems)
+        })),
+        findings: reports.flatMap(report => report.findings).map(finding => ({
+            gate: finding.gate,
+            ruleId: finding.ruleId,
+            severity: finding.severity,
+            message: finding.message,
+            filePath: relativePath(rootPath, finding.filePath),
+            line: Math.max(finding.location.lineNumber, 0) + 1,
+            column: Math.max(finding.location.columnNumber ?? 0, 0) + 1,
+            helpUri: finding.helpUri
+        }))
+    };
+}
+
+function escapeXml(text: string) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+//A test suite for every gate and a test case for every file with problems
+//Problems at the threshold or above it are failures, a gate that could not scan is an error
+function junitReport(reports: GateReport[], rootPath: string, threshold: Severity | 'none') {
+    const failing = new Set(failingFindings(reports, threshold));
+    const suites = reports.map((report) => {
+        const files = new Map<string, Finding[]>();
+        let failedCases = 0;
+        report.problems.forEach(finding => files.set(finding.filePath, [...(files.get(finding.filePath) ?? []), finding]));
+        const cases = Array.from(files, ([filePath, findings]) => {
+            const name = escapeXml(relativePath(rootPath, filePath));
+            const failures = findings.filter(finding => failing.has(finding)).map(finding =>
+                `      <failure type="${finding.severity}" message="${escapeXml(finding.message)}">` +
+                `${escapeXml(`${finding.ruleId ?? report.gate} at line ${finding.location.lineNumber + 1}: ${finding.message}`)}</failure>`);
+            failures.length > 0 ? failedCases++ : null;
+            return [`    <testcase classname="${escapeXml(report.gate)}" name="${name}">`, ...failures, '    </testcase>'].join('\n');
+        });
+        //A gate without problems is a single passing test case
+        cases.length === 0 && !report.error ? cases.push(`    <testcase classname="${escapeXml(report.gate)}" name="${escapeXml(report.gate)}"/>`) : null;
+        report.error ? cases.push(`    <testcase classname="${escapeXml(report.gate)}" name="${escapeXml(report.gate)}">\n      <error message="${escapeXml(report.error)}"/>\n    </testcase>`) : null;
+        return `  <testsuite name="${escapeXml(report.gate)}" tests="${cases.length}" failures="${failedCases}" errors="${report.error ? 1 : 0}">\n${cases.join('\n')}\n  </testsuite>`;
+    });
+    return ['<?xml version="1.0" encoding="UTF-8"?>', '<testsuites name="Microsoft Security Gate">', ...suites, '</testsuites>', ''].join('\n');
+}
+
+//A line for every gate with the counts of its problems
+export function formatSummary(reports: GateReport[]) {
+    const width = Math.max(...reports.map(report => report.gate.length), 4);
+    return reports.map((report) => {
+        const counts = countSeverities(report.problems);
+        return report.error ?
+            `${report.gate.padEnd(width)}  failed: ${report.error}` :
+            `${report.gate.padEnd(width)}  ${counts.error} errors, ${counts.warning} warnings, ${counts.info} info`;
+    }).join('\n');
+}
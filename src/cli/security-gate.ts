@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+import path = require('path');
+import fs = require('fs');
+import { setHost } from '../host/gate-host';
+import { Severity } from '../findings/finding';
+import { findingsStore } from '../findings/findings-store';
+import { CancellationSource, ScanCancelledError, ScanProgress } from '../findings/scan-progress';
+import { baselineFileName, parseBaseline, suppressions } from '../findings/suppressions';
+import { configFileName, parseSecurityGateConfig, securityGateConfigs } from '../config/security-gate-config';
+import { CliHost } from './cli-host';
+import { CliGate, cliGates } from './cli-gates';
+import { failingFindings, formatReport, formatSummary, GateReport, parseThreshold, ReportFormat, reportFormats, thresholdNamesList } from './reports';
+
+const usage = `Usage: security-gate scan [folder] [options]
+
+Runs the gates of Microsoft Security Gate on a folder, the current folder by default.
+
+Options:
+  --gates <names>        Comma separated gates to run: ${cliGates.map(gate => gate.label).join(', ')}
+                         By default every gate that ${configFileName} does not turn off,
+                         except the gates whose tool or advisory snapshot is not set up
+  --format <format>      ${reportFormats.join(', ')} (default: sarif)
+  --output <file>        Write the report to a file instead of stdout
+  --fail-on <severity>   Exit with 1 when a finding is at this severity or above it (default: error)
+                         One of ${thresholdNamesList()}
+  --concurrency <n>      How many files a gate scans at the same time (default: 4)
+  --timeout <seconds>    Stop a gate that runs longer, 0 for no limit (default: 300)
+  --setting <key=value>  A setting of the extension, like microsoft.security.gate.kubesec.mode=remote
+  --verbose              Write the output of the gates to stderr
+  --help                 Show this help
+
+Exit codes: 0 when no finding reaches the threshold, 1 when one does, 2 when the scan could not run.`;
+
+//A mistake in the arguments, the usage is shown with it
+class UsageError extends Error { }
+
+class CliOptions {
+    constructor(
+        public readonly folder: string,
+        public readonly gates: string[] | undefined,
+        public readonly format: ReportFormat,
+        public readonly output: string | undefined,
+        public readonly failOn: Severity | 'none',
+        public readonly concurrency: number,
+        public readonly timeout: number | undefined,
+        public readonly settings: Map<string, unknown>,
+        public readonly verbose: boolean,
+    ) { }
+}
+
+function parseArgs(args: string[]): CliOptions | undefined {
+    if (args.includes('--help') || args.includes('-h')) {
+        return undefined;
+    }
+    if (args[0] !== 'scan') {
+        throw new UsageError(args[0] ? `Unknown command ${args[0]}` : "A command is missing");
+    }
+    let folder: string | undefined;
+    let gates: string[] | undefined;
+    let format: ReportFormat = 'sarif';
+    let output: string | undefined;
+    let failOn: Severity | 'none' = 'error';
+    let concurrency = 4;
+    let timeout: number | undefined;
+    let verbose = false;
+    const settings = new Map<string, unknown>();
+    for (let index = 1; index < args.length; index++) {
+        const arg = args[index];
+        const value = () => {
+            if (index + 1 >= args.length) {
+                throw new UsageError(`${arg} needs a value`);
+            }
+            return args[++index];
+        };
+        const number = (min: number) => {
+            const parsed = Number(value());
+            if (!Number.isInteger(parsed) || parsed < min) {
+                throw new UsageError(`${arg} must be a whole number of at least ${min}`);
+            }
+            return parsed;
+        };
+        switch (arg) {
+            case '--gates':
+                gates = value().split(',').map(gate => gate.trim()).filter(gate => gate);
+                break;
+            case '--format': {
+                const name = value().toLowerCase() as ReportFormat;
+                if (!reportFormats.includes(name)) {
+                    throw new UsageError(`Unknown format ${name}, use one of ${reportFormats.join(', ')}`);
+                }
+                format = name;
+                break;
+            }
+            case '--output':
+                output = value();
+                break;
+            case '--fail-on': {
+                const name = value();
+                const threshold = parseThreshold(name);
+                if (!threshold) {
+                    throw new UsageError(`Unknown severity ${name}, use one of ${thresholdNamesList()}`);
+                }
+                failOn = threshold;
+                break;
+            }
+            case '--concurrency':
+                concurrency = number(1);
+                break;
+            case '--timeout':
+                timeout = number(0);
+                break;
+            case '--setting': {
+                const setting = value();
+                const separator = setting.indexOf('=');
+                if (separator <= 0) {
+                    throw new UsageError(`--setting takes key=value, not ${setting}`);
+                }
+                settings.set(setting.slice(0, separator), parseSettingValue(setting.slice(separator + 1)));
+                break;
+            }
+            case '--verbose':
+                verbose = true;
+                break;
+            default:
+                if (arg.startsWith('-') || folder !== undefined) {
+                    throw new UsageError(`Unknown argument ${arg}`);
+                }
+                folder = arg;
+        }
+    }
+    return new CliOptions(path.resolve(folder ?? '.'), gates, format, output, failOn, concurrency, timeout, settings, verbose);
+}
+
+//Values are JSON when they parse as JSON, like true or 10, and strings otherwise
+function parseSettingValue(value: string): unknown {
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+//The gates named on the command line, or the gates the configuration of the folder does not turn off
+//A gate that is not set up is skipped with a note, it fails the run only when it is named
+function selectGates(names: string[] | undefined): CliGate[] {
+    if (!names) {
+        return cliGates.filter(gate => securityGateConfigs.isEnabled(gate.label) !== false).filter((gate) => {
+            const reason = gate.unavailableReason?.();
+            reason ? process.stderr.write(`Skipped ${gate.label}: ${reason}\n`) : null;
+            return !reason;
+        });
+    }
+    return names.map((name) => {
+        const gate = cliGates.find(cliGate => cliGate.label.toLowerCase() === name.toLowerCase());
+        if (!gate) {
+            throw new UsageError(`Unknown gate ${name}, use one of ${cliGates.map(cliGate => cliGate.label).join(', ')}`);
+        }
+        return gate;
+    });
+}
+
+//Load the configuration and the baseline of the folder, like the extension does for a workspace folder
+//Returns false when the configuration has errors
+function loadFolder(folder: string) {
+    let valid = true;
+    const configPath = path.join(folder, configFileName);
+    if (fs.existsSync(configPath)) {
+        const { config, problems } = parseSecurityGateConfig(fs.readFileSync(configPath, 'utf-8'), folder);
+        problems.forEach((problem) => {
+            process.stderr.write(`${configPath}:${problem.range.startLine + 1}:${problem.range.startColumn + 1}: ` +
+                `${problem.isError ? 'error' : 'warning'}: ${problem.message}\n`);
+            valid = valid && !problem.isError;
+        });
+        securityGateConfigs.set(config);
+    }
+    const baselinePath = path.join(folder, baselineFileName);
+    suppressions.setBaseline(folder, fs.existsSync(baselinePath) ? parseBaseline(fs.readFileSync(baselinePath, 'utf-8')) : []);
+    findingsStore.setSeverityOverride(finding => securityGateConfigs.severityOf(finding.gate, finding.filePath, finding.ruleId));
+    findingsStore.setSuppressionFilter(finding => suppressions.find(finding));
+    return valid;
+}
+
+//Scan with a gate until it finishes, times out or the run is interrupted
+async function scanGate(gate: CliGate, host: CliHost, options: CliOptions, interrupted: CancellationSource): Promise<GateReport> {
+    const timeout = options.timeout ?? securityGateConfigs.option<number>(gate.label, 'timeout') ??
+        host.getSetting<number>('microsoft.security.gate.scan', 'timeout', 300);
+    const cancellation = new CancellationSource();
+    const onInterrupt = interrupted.onCancellationRequested(() => cancellation.cancel());
+    const timer = timeout > 0 ? setTimeout(() => cancellation.cancel(), timeout * 1000) : undefined;
+    const errorCount = host.errors.length;
+    const progress = new ScanProgress(cancellation.token, (done, total) => {
+        options.verbose && done > 0 ? process.stderr.write(`[${gate.label}] ${done}/${total} files\n`) : null;
+    }, options.concurrency);
+    try {
+        const findings = await gate.scan(progress);
+        if (cancellation.isCancellationRequested) {
+            throw new ScanCancelledError();
+        }
+        findingsStore.setGateFindings(gate.label, findings);
+        const errors = host.errors.slice(errorCount);
+        return new GateReport(gate.label, gate.description, findingsStore.getGateFindings(gate.label), errors.length > 0 ? errors.join('; ') : undefined);
+    } catch (ex: any) {
+        const message = interrupted.isCancellationRequested ? "The scan was interrupted" :
+            cancellation.isCancellationRequested ? `The scan took longer than ${timeout} seconds` :
+                ex.message;
+        return new GateReport(gate.label, gate.description, [], message);
+    } finally {
+        timer ? clearTimeout(timer) : null;
+        onInterrupt.dispose();
+    }
+}
+
+async function main(args: string[]): Promise<number> {
+    let options: CliOptions | undefined;
+    try {
+        options = parseArgs(args);
+    } catch (ex: any) {
+        process.stderr.write(`${ex.message}\n\n${usage}\n`);
+        return 2;
+    }
+    if (!options) {
+        process.stdout.write(`${usage}\n`);
+        return 0;
+    }
+    if (!fs.existsSync(options.folder) || !fs.statSync(options.folder).isDirectory()) {
+        process.stderr.write(`${options.folder} is not a folder\n`);
+        return 2;
+    }
+    const host = new CliHost([options.folder], options.settings, options.verbose);
+    setHost(host);
+    const interrupted = new CancellationSource();
+    const onInterrupt = () => interrupted.cancel();
+    process.on('SIGINT', onInterrupt);
+    try {
+        if (!loadFolder(options.folder)) {
+            process.stderr.write(`Fix the errors in ${configFileName} to scan\n`);
+            return 2;
+        }
+        const gates = selectGates(options.gates);
+        const reports: GateReport[] = [];
+        for (const gate of gates) {
+            reports.push(await scanGate(gate, host, options, interrupted));
+        }
+        const report = formatReport(options.format, reports, options.folder, options.failOn);
+        options.output ? fs.writeFileSync(options.output, report) : process.stdout.write(report.endsWith('\n') ? report : `${report}\n`);
+
+        const failing = failingFindings(reports, options.failOn);
+        process.stderr.write(`\n${formatSummary(reports)}\n`);
+        process.stderr.write(options.failOn === 'none' ? "No threshold was set\n" :
+            failing.length > 0 ? `Failed: ${failing.length} findings at ${options.failOn} or above\n` :
+                `Passed: no findings at ${options.failOn} or above\n`);
+        return reports.some(gateReport => gateReport.error) ? 2 : failing.length > 0 ? 1 : 0;
+    } catch (ex: any) {
+        process.stderr.write(ex instanceof UsageError ? `${ex.message}\n\n${usage}\n` : `${ex.stack ?? ex.message}\n`);
+        return 2;
+    } finally {
+        process.off('SIGINT', onInterrupt);
+        host.dispose();
+    }
+}
+
+main(process.argv.slice(2)).then(exitCode => process.exitCode = exitCode);
@@ -0,0 +1,98 @@
+import * as vscode from 'vscode';
+import path = require('path');
+import fs = require('fs');
+import { GatesProvider } from '../gate-provider';
+import { findingsStore } from '../findings/findings-store';
+import { scanStatus } from '../findings/scan-runner';
+import { ConfigProblem, configFileName, parseSecurityGateConfig, securityGateConfigs } from './security-gate-config';
+
+const problemsCollectionName = "Security Gate Configuration";
+
+const problemsCollection = vscode.languages.createDiagnosticCollection(problemsCollectionName);
+
+//Load the .securitygate.yaml of every workspace folder and apply it again whenever it changes
+export function registerSecurityGateConfig(context: vscode.ExtensionContext, provider: GatesProvider) {
+    const watcher = vscode.workspace.createFileSystemWatcher('**/' + configFileName);
+    const onConfigFileChange = (uri: vscode.Uri) => {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        //Only the file at the root of a folder configures it
+        if (folder && path.dirname(uri.fsPath) === folder.uri.fsPath) {
+            loadFolderConfig(folder);
+            applyConfig(provider);
+        }
+    };
+    context.subscriptions.push(
+        problemsCollection,
+        watcher,
+        watcher.onDidCreate(onConfigFileChange),
+        watcher.onDidChange(onConfigFileChange),
+        watcher.onDidDelete(onConfigFileChange),
+        vscode.workspace.onDidChangeWorkspaceFolders((event) => {
+            event.removed.forEach((folder) => {
+                securityGateConfigs.delete(folder.uri.fsPath);
+                problemsCollection.delete(configUri(folder));
+            });
+            event.added.forEach(loadFolderConfig);
+            applyConfig(provider);
+        }),
+        //Problems are reported while the file is edited, the configuration is applied when it is saved
+        vscode.workspace.onDidChangeTextDocument((event) => {
+            const document = event.document;
+            path.basename(document.fileName) === configFileName ?
+                reportProblems(document.uri, parseSecurityGateConfig(document.getText(), path.dirname(document.fileName)).problems) :
+                null;
+        })
+    );
+    (vscode.workspace.workspaceFolders ?? []).forEach(loadFolderConfig);
+    provider.ready.then(() => applyConfig(provider));
+}
+
+function configUri(folder: vscode.WorkspaceFolder) {
+    return vscode.Uri.file(path.join(folder.uri.fsPath, configFileName));
+}
+
+function loadFolderConfig(folder: vscode.WorkspaceFolder) {
+    const uri = configUri(folder);
+    securityGateConfigs.delete(folder.uri.fsPath);
+    problemsCollection.delete(uri);
+    if (!fs.existsSync(uri.fsPath)) {
+        return;
+    }
+    try {
+        const { config, problems } = parseSecurityGateConfig(fs.readFileSync(uri.fsPath, 'utf-8'), folder.uri.fsPath);
+        securityGateConfigs.set(config);
+        reportProblems(uri, problems);
+    } catch (ex: any) {
+        vscode.window.showErrorMessage(`Failed to read ${uri.fsPath}: ${ex.message}`);
+    }
+}
+
+function reportProblems(uri: vscode.Uri, problems: ConfigProblem[]) {
+    problemsCollection.set(uri, problems.map((problem) => {
+        const range = new vscode.Range(problem.range.startLine, problem.range.startColumn, problem.range.endLine, problem.range.endColumn);
+        const diagnostic = new vscode.Diagnostic(range, problem.message,
+            problem.isError ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = problemsCollectionName;
+        return diagnostic;
+    }));
+}
+
+//Turn the gates on and off as configured and scan the active gates again with the new settings
+//A gate that fails is reported and the next gates are still applied
+async function applyConfig(provider: GatesProvider) {
+    findingsStore.setSeverityOverride(finding => securityGateConfigs.severityOf(finding.gate, finding.filePath, finding.ruleId));
+    for (const gate of provider.gates) {
+        const enabled = securityGateConfigs.isEnabled(gate.label);
+        try {
+            if (enabled !== undefined && enabled !== gate.getIsActive()) {
+                await (enabled ? gate.activate() : gate.deactivate());
+            }
+            else if (gate.getIsActive()) {
+                await gate.rescan?.();
+            }
+        } catch (ex: any) {
+            scanStatus.reportError(ex?.message ?? String(ex), gate.label);
+        }
+    }
+    provider.refresh();
+}
@@ -0,0 +1,275 @@
+import path = require('path');
+import minimatch = require('minimatch');
+import { Document, isMap, isScalar, isSeq, Pair, YAMLMap } from 'yaml';
+import { Severity } from '../findings/finding';
+import { SourceLocator, SourceRange } from '../source-locator';
+
+//The configuration file at the root of a workspace folder, checked in so the whole team shares it
+export const configFileName = ".securitygate.yaml";
+
+const configVersion = 1;
+
+const overrideSeverities: Severity[] = ['error', 'warning', 'info'];
+
+//The settings of one gate in the configuration file
+export class GateConfig {
+    constructor(
+        public readonly enabled?: boolean,
+        public readonly include: string[] = [],
+        public readonly exclude: string[] = [],
+        //Severities by rule id, "*" overrides all the rules of the gate
+        public readonly severity: Map<string, Severity> = new Map(),
+        public readonly options: { [option: string]: unknown } = {},
+    ) { }
+}
+
+//A problem of the configuration file, reported in the editor
+export class ConfigProblem {
+    constructor(
+        public readonly message: string,
+        public readonly range: SourceRange,
+        public readonly isError: boolean = true,
+    ) { }
+}
+
+//The configuration of one workspace folder
+export class SecurityGateConfig {
+    constructor(
+        public readonly folderPath: string,
+        public readonly include: string[] = [],
+        public readonly exclude: string[] = [],
+        //Gates by their label in lower case
+        public readonly gates: Map<string, GateConfig> = new Map(),
+    ) { }
+
+    //Gates are matched by their label, ignoring case
+    public gate(label: string): GateConfig | undefined {
+        return this.gates.get(label.toLowerCase());
+    }
+
+    //A file is scanned when it matches the includes and none of the excludes, of the folder and of the gate
+    //The globs are relative to the workspace folder
+    public isIncluded(label: string, filePath: string) {
+        const relativePath = path.relative(this.folderPath, filePath).split(path.sep).join('/');
+        const gate = this.gate(label);
+        return [this.include, gate?.include ?? []].every(globs => globs.length === 0 || matchesAny(relativePath, globs)) &&
+            !matchesAny(relativePath, this.exclude.concat(gate?.exclude ?? []));
+    }
+
+    public severityOf(label: string, ruleId: string | undefined): Severity | undefined {
+        const severity = this.gate(label)?.severity;
+        return (ruleId ? severity?.get(ruleId) : undefined) ?? severity?.get("*");
+    }
+
+    public option<T>(label: string, name: string): T | undefined {
+        return this.gate(label)?.options[name] as T | undefined;
+    }
+}
+
+function matchesAny(relativePath: string, globs: string[]) {
+    return globs.some(glob => minimatch(relativePath, glob, { dot: true, matchBase: !glob.includes('/') }));
+}
+
+//Parse and validate a configuration file, the valid parts are used even when others have problems
+export function parseSecurityGateConfig(content: string, folderPath: string) {
+    return new ConfigReader(content).read(folderPath);
+}
+
+class ConfigReader {
+    private locator: SourceLocator;
+    public problems: ConfigProblem[] = [];
+
+    constructor(content: string) {
+        this.locator = new SourceLocator(content);
+    }
+
+    public read(folderPath: string) {
+        const documents = this.locator.documents;
+        let config = new SecurityGateConfig(folderPath);
+        for (const document of documents) {
+            document.errors.forEach(error => this.problems.push(new ConfigProblem(error.message.split('\n')[0].replace(/:$/, ''), this.errorRange(error.linePos))));
+        }
+        if (documents.length > 1) {
+            this.problems.push(new ConfigProblem("Only the first document of the file is used", this.locator.rangeOf(undefined, documents[1].contents), false));
+        }
+        const contents = documents[0]?.contents;
+        if (isMap(contents)) {
+            config = this.readConfig(documents[0], contents, folderPath);
+        }
+        else if (contents && !(isScalar(contents) && contents.value === null)) {
+            this.problems.push(new ConfigProblem("The configuration must be a map", this.locator.rangeOf(undefined, contents)));
+        }
+        return { config: config, problems: this.problems };
+    }
+
+    private readConfig(document: Document.Parsed, map: YAMLMap, folderPath: string) {
+        let include: string[] = [];
+        let exclude: string[] = [];
+        const gates = new Map<string, GateConfig>();
+        for (const pair of this.pairs(map)) {
+            switch (this.keyOf(pair)) {
+                case 'version':
+                    isScalar(pair.value) && pair.value.value === configVersion ?
+                        null :
+                        this.problem(pair, `The version must be ${configVersion}`);
+                    break;
+                case 'include': include = this.readGlobs(pair); break;
+                case 'exclude': exclude = this.readGlobs(pair); break;
+                case 'gates':
+                    isMap(pair.value) ?
+                        this.pairs(pair.value).forEach(gatePair => gates.set(this.keyOf(gatePair).toLowerCase(), this.readGate(document, gatePair))) :
+                        this.problem(pair, "gates must be a map of gate names to their settings");
+                    break;
+                default: this.problem(pair, `Unknown property ${this.keyOf(pair)}`, false);
+            }
+        }
+        return new SecurityGateConfig(folderPath, include, exclude, gates);
+    }
+
+    private readGate(document: Document.Parsed, gatePair: Pair): GateConfig {
+        //A gate can be turned on or off with a boolean instead of a map
+        if (isScalar(gatePair.value) && typeof gatePair.value.value === 'boolean') {
+            return new GateConfig(gatePair.value.value);
+        }
+        if (!isMap(gatePair.value)) {
+            this.problem(gatePair, `The settings of ${this.keyOf(gatePair)} must be a map or a boolean`);
+            return new GateConfig();
+        }
+        let enabled: boolean | undefined;
+        let include: string[] = [];
+        let exclude: string[] = [];
+        const severity = new Map<string, Severity>();
+        let options: { [option: string]: unknown } = {};
+        for (const pair of this.pairs(gatePair.value)) {
+            switch (this.keyOf(pair)) {
+                case 'enabled':
+                    isScalar(pair.value) && typeof pair.value.value === 'boolean' ?
+                        enabled = pair.value.value :
+                        this.problem(pair, "enabled must be true or false");
+                    break;
+                case 'include': include = this.readGlobs(pair); break;
+                case 'exclude': exclude = this.readGlobs(pair); break;
+                case 'severity':
+                    if (!isMap(pair.value)) {
+                        this.problem(pair, "severity must be a map of rule ids to severities");
+                        break;
+                    }
+                    for (const severityPair of this.pairs(pair.value)) {
+                        const value = isScalar(severityPair.value) ? String(severityPair.value.value).toLowerCase() : undefined;
+                        overrideSeverities.includes(value as Severity) ?
+                            severity.set(this.keyOf(severityPair), value as Severity) :
+                            this.problem(severityPair, `The severity must be one of ${overrideSeverities.join(', ')}`);
+                    }
+                    break;
+                case 'options':
+                    isMap(pair.value) ?
+                        options = (pair.value as YAMLMap).toJS(document) :
+                        this.problem(pair, "options must be a map");
+                    break;
+                default: this.problem(pair, `Unknown property ${this.keyOf(pair)}`, false);
+            }
+        }
+        return new GateConfig(enabled, include, exclude, severity, options);
+    }
+
+    //A single glob can be written without a list
+    private readGlobs(pair: Pair): string[] {
+        if (isScalar(pair.value) && typeof pair.value.value === 'string') {
+            return [pair.value.value];
+        }
+        if (isSeq(pair.value) && pair.value.items.every(item => isScalar(item) && typeof item.value === 'string')) {
+            return pair.value.items.map(item => String((item as any).value));
+        }
+        this.problem(pair, `${this.keyOf(pair)} must be a glob or a list of globs`);
+        return [];
+    }
+
+    private pairs(map: YAMLMap): Pair[] {
+        return map.items.filter(pair => isScalar(pair.key));
+    }
+
+    private keyOf(pair: Pair) {
+        return isScalar(pair.key) ? String(pair.key.value) : "";
+    }
+
+    private problem(pair: Pair, message: string, isError: boolean = true) {
+        this.problems.push(new ConfigProblem(message, this.locator.rangeOf(pair.key, pair.value), isError));
+    }
+
+    //The positions of yaml errors are one based
+    private errorRange(linePos: { line: number; col: number }[] | undefined) {
+        const start = linePos?.[0] ?? { line: 1, col: 1 };
+        const end = linePos?.[1] ?? start;
+        return new SourceRange(start.line - 1, start.col - 1, end.line - 1, end.col - 1);
+    }
+}
+
+//The configurations of all the workspace folders
+export class SecurityGateConfigs {
+    private configs = new Map<string, SecurityGateConfig>();
+
+    public set(config: SecurityGateConfig) {
+        this.configs.set(config.folderPath, config);
+    }
+
+    public delete(folderPath: string) {
+        this.configs.delete(folderPath);
+    }
+
+    //The configuration of the innermost folder that contains the file
+    public forFile(filePath: string): SecurityGateConfig | undefined {
+        let found: SecurityGateConfig | undefined;
+        this.configs.forEach((config) => {
+            const relativePath = path.relative(config.folderPath, filePath);
+            const contains = !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+            found = contains && (!found || config.folderPath.length > found.folderPath.length) ? config : found;
+        });
+        return found;
+    }
+
+    //Whether the configuration turns a gate on or off, the first folder that sets it wins
+    public isEnabled(label: string): boolean | undefined {
+        for (const config of this.configs.values()) {
+            const enabled = config.gate(label)?.enabled;
+            if (enabled !== undefined) {
+                return enabled;
+            }
+        }
+        return undefined;
+    }
+
+    public isIncluded(label: string, filePath: string) {
+        return this.forFile(filePath)?.isIncluded(label, filePath) ?? true;
+    }
+
+    //The files a gate scans, by default the files with one of its extensions
+    //When the configuration includes files for the gate, its globs replace the extensions
+    public filterFiles(label: string, filePaths: string[], extensions: string[]) {
+        return filePaths.filter((filePath) => {
+            const config = this.forFile(filePath);
+            const hasIncludes = (config?.gate(label)?.include.length ?? 0) > 0;
+            return (hasIncludes || extensions.some(extension => filePath.endsWith(extension))) &&
+                (config?.isIncluded(label, filePath) ?? true);
+        });
+    }
+
+    public severityOf(label: string, filePath: string, ruleId: string | undefined) {
+        return this.forFile(filePath)?.severityOf(label, ruleId);
+    }
+
+    //An option of a gate for a file or folder, or of the first folder that sets it
+    public option<T>(label: string, name: string, filePath?: string): T | undefined {
+        if (filePath) {
+            return this.forFile(filePath)?.option<T>(label, name);
+        }
+        for (const config of this.configs.values()) {
+            const value = config.option<T>(label, name);
+            if (value !== undefined) {
+                return value;
+            }
+        }
+        return undefined;
+    }
+}
+
+export const securityGateConfigs = new SecurityGateConfigs();
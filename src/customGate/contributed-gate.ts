@@ -0,0 +1,63 @@
+import minimatch = require('minimatch');
+import { Severity, severityFromLabel } from '../findings/finding';
+import { CustomGate } from './customer-gate';
+import { GateData } from './gate-data';
+import { CancellationSignal, ScanProgress } from '../findings/scan-progress';
+
+//A gate that another extension registers through the api of the extension
+export interface GateContribution {
+    //The name of the gate in the tree, it must be unique
+    label: string;
+
+    //Labels of treeItems in hierarchy of gate, the results of the scan are grouped under them
+    labels: string[];
+
+    description?: string;
+
+    //Glob patterns of the files the gate scans, saving a matching file rescans it
+    //Without patterns every saved file is rescanned
+    files?: string[];
+
+    //Scan the given files, or the whole workspace when no files are given
+    //The token is cancelled when the user cancels the scan or it takes longer than the timeout of the gate
+    scan(files?: string[], token?: CancellationSignal): Promise<GateData> | Thenable<GateData>;
+
+    //The severity of the results under a label, by default it is taken from the label
+    getSeverity?(label: string): Severity;
+}
+
+//Renders a contributed gate like the gates of the extension
+export class ContributedGate extends CustomGate {
+
+    labels: string[];
+
+    label: string;
+
+    description: string;
+
+    constructor(private readonly contribution: GateContribution) {
+        super(contribution.label);
+        this.label = contribution.label;
+        this.labels = contribution.labels;
+        this.description = contribution.description ?? "";
+        this.tooltip = contribution.description;
+    }
+
+    public async scanData(progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+        //The files saved since the last scan, the whole workspace is scanned when there are none
+        const files = this.files.length > 0 ? Array.from(new Set(this.files)) : undefined;
+        this.files = [];
+        const gateData = await this.contribution.scan(files, progress.token);
+        return gateData ?? { data: [] };
+    }
+
+    public getSeverity(label: string): Severity {
+        return this.contribution.getSeverity ? this.contribution.getSeverity(label) : severityFromLabel(label);
+    }
+
+    protected acceptsFile(filePath: string) {
+        const patterns = this.contribution.files ?? [];
+        const normalizedPath = filePath.split('\\').join('/');
+        return patterns.length === 0 || patterns.some(pattern => minimatch(normalizedPath, pattern, { dot: true, matchBase: !pattern.includes('/') }));
+    }
+}
@@ -1,11 +1,19 @@
-import { Command, OutputChannel, TextDocument, TreeDataProvider, TreeItemCollapsibleState, workspace } from "vscode";
+import { Command, Disposable, TextDocument, TreeDataProvider, TreeItemCollapsibleState, workspace } from "vscode";
 import { GatesProvider } from "../gate-provider";
 import { Category } from "../tree item classes/category";
 import { File } from "../tree item classes/file";
 import { Gate } from "../tree item classes/gate";
 import { TreeItem } from "../tree item classes/tree-item";
-import { GateData, ResultsList } from "./gate-data";
-import { GateFunctions, GetFileSettings } from "./gate-functions";
+import { Severity, severityFromLabel } from "../findings/finding";
+import { findingsStore, normalizePath } from "../findings/findings-store";
+import { securityGateConfigs } from "../config/security-gate-config";
+import { treeOptions, withCount } from "../tree item classes/tree-options";
+import { ScanProgress } from "../findings/scan-progress";
+import { runScan } from "../findings/scan-runner";
+import { FileMessages, GateData, GateResult, ResultsList } from "./gate-data";
+import { toFinding, toFindings } from "./gate-findings";
+import { GateFunctions, getGateFiles, GetFileSettings } from "./gate-functions";
+import { HostOutputChannel } from "../host/gate-host";
 
 
 
@@ -34,6 +42,11 @@ export abstract class CustomGate extends Gate {
     //Set functions for generic gate
     private functions = new GateFunctions();
 
+    //Whether saving a file rescans it, gates that watch their own files turn it off
+    protected refreshOnSave = true;
+
+    private saveListener: Disposable | undefined;
+
 
 
     constructor(label: string = "custom", isActive: boolean = false, contextValue: string = "gate") {
@@ -46,23 +59,38 @@ export abstract class CustomGate extends Gate {
     //This function runs when the gate is enabled
     public async activate() {
         this.setIsActive(true);
-        this.scanData().then(data => this.gateScanData = data).then(() => {
-            this.myProvider?.refresh();
-        });
+        this.contextValue = "anyGate";
+        this.rescan();
         this.listenerSaveEvent();
     }
 
+    //This function scans all the files of the gate again, a cancelled scan keeps the last results
+    public async rescan() {
+        const data = await runScan(this.label, progress => this.scanData(progress));
+        if (data) {
+            this.gateScanData = data;
+            findingsStore.setGateFindings(this.label, this.toFindings(this.gateScanData));
+            this.myProvider?.refresh();
+        }
+    }
+
     //This function runs when the gate is disabled
     public async deactivate() {
         this.setIsActive(false);
-        this.gateScanData.data.splice(0, this.gateScanData.data.length);
+        this.contextValue = "gate";
+        this.gateScanData?.data?.splice(0, this.gateScanData.data.length);
+        findingsStore.clearGate(this.label);
         this.myProvider?.refresh();
     }
 
     //This function happens when there are changes in the files
     private listenerSaveEvent() {
-        workspace.onDidSaveTextDocument((document: TextDocument) => {
-            document.uri.scheme === "file" ?
+        this.saveListener?.dispose();
+        this.saveListener = workspace.onDidSaveTextDocument((document: TextDocument) => {
+            if (!this.refreshOnSave) {
+                return;
+            }
+            document.uri.scheme === "file" && this.acceptsFile(document.fileName) && securityGateConfigs.isIncluded(this.label, document.fileName) ?
                 this.files.push(document.fileName) :
                 this.files;
             this.files.length > 0 ?
@@ -71,40 +99,64 @@ export abstract class CustomGate extends Gate {
         });
     }
 
-    //This function refreshes the information and UI
+    //This function scans the changed files and keeps the results of the other files
     private async refresh() {
         if (this.files.length > 0) {
-            const results = this.gateScanData?.data?.filter((element) => {
-                element.result?.map((item) => {
-                    let arr = this.files;
-                    arr = arr.filter(file => {
-                        return file.slice(file.indexOf(':')) === item.filePath.slice(file.indexOf(':'));
-
-                    });
-                    return arr.length === 0;
-                });
-
-            });
-            this.gateScanData.data = results;
-            this.scanData().then((data) => {
-                for (let index = 0; index < this.labels.length; index++) {
-                    this.gateScanData?.data[index]?.result ?
-                        this.gateScanData?.data[index].result.concat(data?.data[index]?.result) :
-                        this.gateScanData.data[index] = new ResultsList(data?.data[index]?.label, data?.data[index]?.result);
-                }
-            });
-            this.files = [];
+            const changedFiles = Array.from(new Set(this.files));
+            const data = await runScan(this.label, progress => this.scanData(progress));
+            //Files saved while the scan was running are scanned by the next refresh
+            this.files = this.files.filter(file => !changedFiles.includes(file));
+            if (!data) {
+                return;
+            }
+            const scannedFiles = this.scannedFiles(changedFiles).concat((data?.data ?? []).flatMap(list => (list.result ?? []).map(file => file.filePath)));
+            this.gateScanData = this.mergeScanData(scannedFiles, data);
+            findingsStore.setFileFindings(this.label, scannedFiles, this.toFindings(data));
             this.myProvider?.refresh();
         }
     }
 
+    //This function replaces the results of the scanned files with their new results
+    private mergeScanData(scannedFiles: string[], data: GateData) {
+        const scanned = new Set(scannedFiles.map(normalizePath));
+        const merged = new GateData();
+        merged.data = this.labels.map((label) => {
+            const kept = (this.gateScanData?.data?.find(list => list.label === label)?.result ?? [])
+                .filter(file => !scanned.has(normalizePath(file.filePath)));
+            return new ResultsList(label, kept.concat(data?.data?.find(list => list.label === label)?.result ?? []));
+        });
+        return merged;
+    }
+
+    //This function returns whether a saved file is rescanned by the gate
+    protected acceptsFile(filePath: string) {
+        return true;
+    }
+
+    //This function returns the files whose results a scan of the changed files replaces
+    //A gate that scans a changed file with other files, like the files of its module, returns them too
+    protected scannedFiles(changedFiles: string[]) {
+        return changedFiles;
+    }
+
+    //This function stops the gate when it is removed from the tree
+    public dispose() {
+        this.saveListener?.dispose();
+        this.saveListener = undefined;
+        this.setIsActive(false);
+        findingsStore.clearGate(this.label);
+    }
+
     //This function return the hierarchy of the gate
     public getMoreChildren(element?: TreeDataProvider<TreeItem> | undefined): Thenable<TreeItem[]> {
         if (this.getIsActive()) {
             this.myProvider = <GatesProvider>element;
             let resultArr: Category[] = [];
             this.labels.map((l) => {
-                resultArr.push(new Category(l, TreeItemCollapsibleState.Collapsed, this.gateScanData?.data.find((e) => e.label === l)!));
+                const results = this.visibleResults(this.gateScanData?.data.find((e) => e.label === l) ?? new ResultsList(l, []));
+                const count = results.result.reduce((sum, file) => sum + file.messages.length, 0);
+                resultArr.push(new Category(withCount(l, count), TreeItemCollapsibleState.Collapsed, results,
+                    (filePath, message) => this.toFinding(l, filePath, message)));
             });
             for(let item of resultArr)
             {
@@ -118,11 +170,39 @@ export abstract class CustomGate extends Gate {
         return Promise.resolve([]);
     }
 
+    //This function returns the severity of the results under a label of the gate
+    public getSeverity(label: string): Severity {
+        return severityFromLabel(label);
+    }
+
+    //This function converts the results of the gate to findings
+    private toFindings(gateData: GateData) {
+        return toFindings(this.label, gateData, label => this.getSeverity(label));
+    }
+
+    //This function converts a result under a label of the gate to a finding
+    private toFinding(label: string, filePath: string, message: GateResult) {
+        return toFinding(this.label, this.getSeverity(label), filePath, message);
+    }
+
+    //This function leaves the suppressed results and the results the filter of the tree hides out of the tree
+    private visibleResults(resultsList: ResultsList) {
+        const files = (resultsList?.result ?? [])
+            .map(file => new FileMessages(file.filePath, file.fileName,
+                file.messages.filter((message) => {
+                    const finding = this.toFinding(resultsList.label, file.filePath, message);
+                    return !findingsStore.isSuppressed(finding) && treeOptions.isShown(finding);
+                })))
+            .filter(file => file.messages.length > 0);
+        return new ResultsList(resultsList?.label, files);
+    }
+
     //This function returns files according to the data sent
+    //The configuration of the workspace can replace the file extensions with its own globs
     public async getFiles(searchSettings: GetFileSettings) {
-        const _files = this.functions.getFiles(searchSettings, this.files);
+        const files = this.files;
         this.files = [];
-        return _files;
+        return getGateFiles(this.label, searchSettings.fileExtension, files, searchSettings.pathToSearch);
     }
 
     //This function create output channel
@@ -131,16 +211,17 @@ export abstract class CustomGate extends Gate {
     }
 
     //This function write to output channel
-    public appendLineToOutputChannel(outputChannel: OutputChannel, message: string) {
+    public appendLineToOutputChannel(outputChannel: HostOutputChannel, message: string) {
         this.functions.appendLineToOutputChannel(outputChannel, message);
     }
 
-    public writeResultsToOutput(results: File, outputChannel: OutputChannel) {
+    public writeResultsToOutput(results: File, outputChannel: HostOutputChannel) {
         this.functions.writeResultsToOutput(results, outputChannel);
     }
 
     //this abstract function that should return the results of the gate
-    public abstract scanData(): Promise<GateData>;
+    //It reports the scanned files to the progress and stops when the progress is cancelled
+    public abstract scanData(progress?: ScanProgress): Promise<GateData>;
 }
 
 
@@ -31,20 +31,28 @@ export class GateResult
 {   
     public location:Location | string;
     public message:string;
+    public ruleId?:string;
+    public helpUri?:string;
+    public fullDescription?:string;
 
-    constructor(location:Location |string,message:string) {       
+    constructor(location:Location |string,message:string,ruleId?:string) {       
         this.location=location;
         this.message=message;
+        this.ruleId=ruleId;
     }
 }
 
 export class Location{
     public lineNumber:number;
     public columnNumber?:number;
+    public endLineNumber?:number;
+    public endColumnNumber?:number;
 
-    constructor(line:number,column:number=0) {
+    constructor(line:number,column:number=0,endLine?:number,endColumn?:number) {
         this.lineNumber=line;
         this.columnNumber=column;
+        this.endLineNumber=endLine;
+        this.endColumnNumber=endColumn;
     }
 }
 
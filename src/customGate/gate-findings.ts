@@ -0,0 +1,29 @@
+import { Finding, Severity } from '../findings/finding';
+import { GateData, GateResult, Location } from './gate-data';
+
+//The locations of the results whose location is a link, the findings of a result share one location
+//like the findings of the other results, so its suppression is found by its location
+const linkLocations = new WeakMap<GateResult, Location>();
+
+//Convert a result under a label of a gate to a finding
+export function toFinding(gate: string, severity: Severity, filePath: string, message: GateResult) {
+    //A location of type string is a link to more information
+    const isLink = typeof (message.location) === typeof (" ");
+    isLink && !linkLocations.has(message) ? linkLocations.set(message, new Location(0)) : null;
+    const finding = new Finding(gate, filePath, severity, message.message,
+        isLink ? linkLocations.get(message)! : message.location as Location, message.ruleId);
+    finding.helpUri = isLink ? message.location as string : message.helpUri;
+    finding.fullDescription = message.fullDescription;
+    return finding;
+}
+
+//Convert the results of a gate to findings, a result has the severity of the label it is under
+export function toFindings(gate: string, gateData: GateData, severityOf: (label: string) => Severity) {
+    const findings: Finding[] = [];
+    gateData?.data?.forEach((resultsList) => {
+        resultsList.result?.forEach((file) => {
+            file.messages?.forEach(message => findings.push(toFinding(gate, severityOf(resultsList.label), file.filePath, message)));
+        });
+    });
+    return findings;
+}
@@ -1,18 +1,20 @@
 import { getAllFilesSync } from "get-all-files";
 import path = require("path");
-import { OutputChannel, Uri, window, workspace } from "vscode";
-import { File } from "../tree item classes/file";
+import type { File } from "../tree item classes/file";
 import * as fs from 'fs';
-import * as vscode from 'vscode';
+import { getHost, HostOutputChannel } from "../host/gate-host";
+import { securityGateConfigs } from "../config/security-gate-config";
+
+//Folders of installed packages and of version control, they are not searched for the files of the gates
+export const excludedFolders = ["node_modules", ".git"];
 
 export class GateFunctions {
 
     public async getFiles(searchSettings: GetFileSettings, files: string[]) {
         let _files = [];
-        let myPath = workspace.workspaceFolders?.map(elem => elem.uri.fsPath);
-        myPath === undefined ? myPath = [] : null;
+        const myPath = getHost().workspaceFolders();
         for (let path of searchSettings.pathToSearch ? searchSettings.pathToSearch : myPath) {
-            for (let filename of files?.length > 0 ? files : getAllFilesSync(path)) {
+            for (let filename of files?.length > 0 ? files : getAllFilesSync(path, { isExcludedDir: isExcludedFolder })) {
                 for (let fileExtension of searchSettings.fileExtension) {
                     if (filename.endsWith(fileExtension)) {
                         _files.push(filename);
@@ -24,15 +26,14 @@ export class GateFunctions {
     }
 
     public createOutputChannel(outputChannelName: string) {
-        let outputChannel = window.createOutputChannel(outputChannelName);
-        return outputChannel;
+        return getHost().createOutputChannel(outputChannelName);
     }
 
-    public appendLineToOutputChannel(outputChannel: OutputChannel, message: string) {
+    public appendLineToOutputChannel(outputChannel: HostOutputChannel, message: string) {
         outputChannel.appendLine(message);
     }
 
-    public writeResultsToOutput(results: File, outputChannel: OutputChannel) {
+    public writeResultsToOutput(results: File, outputChannel: HostOutputChannel) {
         this.appendLineToOutputChannel(outputChannel, "in file: " + results.fileName + " /n");
         results.results.forEach((item) => {
             this.appendLineToOutputChannel(outputChannel, item.message);
@@ -62,7 +63,18 @@ export async function readFileByLines(pathOfFileToSearchIn: string) {
     }
 }
 export function displayErrorMessage(message: string) {
-    vscode.window.showErrorMessage(message);
+    getHost().showError(message);
+
+}
+
+//The files of the workspace that a gate scans, the configuration of the workspace can replace the file extensions with its own globs
+//Only the given files are checked when there are any, files in the excluded folders are left out before the configuration is applied
+export async function getGateFiles(label: string, fileExtensions: string[], files: string[] = [], pathToSearch?: string) {
+    const _files = await new GateFunctions().getFiles(new GetFileSettings([""], pathToSearch), files);
+    return securityGateConfigs.filterFiles(label, _files.filter(file => !file.split(/[\\/]/).some(folder => excludedFolders.includes(folder))), fileExtensions);
+}
 
+function isExcludedFolder(folderPath: string) {
+    return excludedFolders.includes(path.basename(folderPath));
 }
 
@@ -0,0 +1,57 @@
+import path = require('path');
+import { displayErrorMessage } from './gate-functions';
+import { FileMessages, GateData, GateResult, Location, ResultsList } from './gate-data';
+import { hashContent } from '../findings/scan-cache';
+import { ScanCancelledError, ScanProgress } from '../findings/scan-progress';
+import { SourceRange } from '../source-locator';
+
+//Names of variables that hold secrets, like DB_PASSWORD or GITHUB_TOKEN
+export const secretName = /passw(or)?d|secret|token|api[_-]?key|private[_-]?key|access[_-]?key|credential/i;
+
+//An issue of a rule of a gate that checks files in process, its severity is a label of the gate
+//A rule that checks files together, like the files of a module, gives the file of the issue
+export interface RuleIssue {
+    ruleId: string;
+    message: string;
+    severity: string;
+    range: SourceRange;
+    filePath?: string;
+}
+
+//The cached issues of a file are dropped when the rules change
+export function rulesHash(rules: { id: string, severity: string, message: string }[]) {
+    return hashContent(rules.map(rule => `${rule.id} ${rule.severity} ${rule.message}`).join('\n'));
+}
+
+//The issues of the scanned files under the labels of their severities, files without issues under a label are left out of it
+export function issuesToGateData(labels: string[], scanned: Map<string, RuleIssue[]>) {
+    const gateData = new GateData();
+    gateData.data = labels.map(label => new ResultsList(label, []));
+    const issues = new Map<string, RuleIssue[]>();
+    scanned.forEach((scannedIssues, scannedPath) => scannedIssues.forEach((issue) => {
+        const filePath = issue.filePath ?? scannedPath;
+        issues.set(filePath, [...(issues.get(filePath) ?? []), issue]);
+    }));
+    issues.forEach((fileIssues, filePath) => labels.forEach((label, index) => {
+        const messages = fileIssues.filter(issue => issue.severity === label).map(issue => new GateResult(
+            new Location(issue.range.startLine, issue.range.startColumn, issue.range.endLine, issue.range.endColumn),
+            issue.message, issue.ruleId));
+        messages.length > 0 ? gateData.data[index].result.push(new FileMessages(filePath, path.basename(filePath), messages)) : null;
+    }));
+    return gateData;
+}
+
+//Check every file with the rules of a gate, an error is reported and the scan has no issues
+export async function scanRuleIssues(labels: string[], filePaths: string[], progress: ScanProgress,
+    checkFile: (filePath: string) => Promise<RuleIssue[]>): Promise<GateData> {
+    try {
+        return issuesToGateData(labels, await progress.forEachFile(filePaths, checkFile));
+    } catch (ex: any) {
+        //A cancelled scan is reported by the notification of the scan
+        if (ex instanceof ScanCancelledError) {
+            throw ex;
+        }
+        displayErrorMessage(ex.message);
+        return issuesToGateData(labels, new Map());
+    }
+}
@@ -1,40 +1,54 @@
 import * as vscode from 'vscode';
 import { GatesProvider } from './gate-provider';
-import { hierarchySearchInFile } from './search';
-import { jumpSpecifiedLine, showTextDocumentWithErrors } from './ShowFileYaml';
+import { registerGatesView } from './gates-view';
+import { registerStatusBar } from './status-bar';
+import { jumpSpecifiedLine } from './ShowFileYaml';
 import { MessageItem } from './tree item classes/message';
-import { GateFunctions, readFileByLines } from './customGate/gate-functions';
-import { highLightTextInFile } from './highLight';
+import { GateFunctions } from './customGate/gate-functions';
 import { Location } from './customGate/gate-data';
 import { File } from './gates/kubesec/treeItemClasses/file';
 import { ScoringItem } from './gates/kubesec/treeItemClasses/scoring';
+import { Resource } from './gates/kubesec/treeItemClasses/resource';
 import { showTextDocumentWithErrorsKubesec } from './gates/kubesec/kubesecGate/kubesec';
-
-export class ExeClass {
-	public static exe: string;
-	public static sarif: string;
-}
-export class MyPath {
-	public static configPath: string;
-}
-
-export async function activate(context: vscode.ExtensionContext) {
-
-  const exePath = context.asAbsolutePath("TemplateAnalyzer-win-x64");
-	const sarifPath = context.asAbsolutePath("result.sarif");
-	ExeClass.exe = exePath;
-	ExeClass.sarif = sarifPath;
-
-  const whispersConfigPath=context.asAbsolutePath("src");
-  MyPath.configPath=whispersConfigPath;
+import { registerKubesecCodeActions } from './gates/kubesec/kubesecGate/kubesec-code-actions';
+import { registerKubesecCodeLens } from './gates/kubesec/kubesecGate/kubesec-code-lens';
+import { registerDiagnostics } from './findings/diagnostics';
+import { buildSarifLog, SarifRunInput } from './findings/sarif-export';
+import { findingsStore } from './findings/findings-store';
+import { Finding } from './findings/finding';
+import { registerSecurityGateConfig } from './config/config-watcher';
+import { registerSuppressions } from './findings/suppression-commands';
+import { scanCache } from './findings/scan-cache';
+import { registerScanCommands } from './findings/scan-runner';
+import { registerFindingHover } from './findings/finding-hover';
+import { registerDecorations } from './findings/decorations';
+import { createSecurityGateApi, SecurityGateApi } from './api/security-gate-api';
+import { setHost } from './host/gate-host';
+import { VscodeHost } from './host/vscode-host';
+import * as fs from 'fs';
+import path = require('path');
+
+export async function activate(context: vscode.ExtensionContext): Promise<SecurityGateApi> {
+
+  //The gates reach vscode through the host, the cli runs them with its own
+  const host = new VscodeHost(context);
+  setHost(host);
+  scanCache.load(path.join(host.storagePath, "scan-cache.json"), context.extension.packageJSON.version);
+
+  registerDiagnostics(context);
+  registerDecorations(context);
 
   var myGates = new GatesProvider();
-  let activeTextDocument: string[] | undefined;
 
-  vscode.window.registerTreeDataProvider(
-    'package-gates',
-    myGates
-  );
+  const gatesView = registerGatesView(context, myGates);
+
+  registerSecurityGateConfig(context, myGates);
+  registerSuppressions(context, myGates);
+  registerScanCommands(context);
+  registerKubesecCodeActions(context);
+  registerFindingHover(context);
+  registerKubesecCodeLens(context, myGates, gatesView);
+  registerStatusBar(context, myGates);
 
 
   vscode.commands.registerCommand('gates.refreshEntry', () =>
@@ -47,12 +61,33 @@ export async function activate(context: vscode.ExtensionContext) {
   });
 
 
+  vscode.commands.registerCommand('gates.exportSarif', async () => {
+    const rootPaths = vscode.workspace.workspaceFolders?.map(folder => folder.uri.fsPath) ?? [];
+    const runs = myGates.gates
+      .filter(gate => gate.getIsActive())
+      .map(gate => new SarifRunInput(gate.label, gate.description, findingsStore.getGateFindings(gate.label)));
+    if (runs.length === 0) {
+      vscode.window.showInformationMessage('There are no active gates to export');
+      return;
+    }
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: rootPaths.length > 0 ? vscode.Uri.file(rootPaths[0] + '/security-gate.sarif') : undefined,
+      filters: { sarif: ['sarif', 'json'] }
+    });
+    if (target) {
+      try {
+        fs.writeFileSync(target.fsPath, JSON.stringify(buildSarifLog(runs, rootPaths), null, 2));
+        vscode.window.showInformationMessage('The findings were exported to ' + target.fsPath);
+      } catch (ex: any) {
+        vscode.window.showErrorMessage('Failed to export the findings to ' + target.fsPath + ': ' + ex.message);
+      }
+    }
+  });
+
   vscode.commands.registerCommand('customGate.showData', async (arg, item) => {
     const filePath = arg;
     const textDocument = await vscode.workspace.openTextDocument(filePath);
     await vscode.window.showTextDocument(textDocument);
-    activeTextDocument = await readFileByLines(textDocument.fileName);
-    await showTextDocumentWithErrors(item, activeTextDocument!);
   });
 
   vscode.commands.registerCommand('customGate.activate', async (arg) => {
@@ -90,12 +125,12 @@ export async function activate(context: vscode.ExtensionContext) {
 	});
 
 	
-	vscode.commands.registerCommand('openInLine', async (arg: any, item,message) => {
+	//The finding has the line of the result after the edits since the scan
+	vscode.commands.registerCommand('openInLine', async (arg: any, item,message,finding?: Finding) => {
 		const filePath = item.toString();
 		let textDocument = await vscode.workspace.openTextDocument(filePath);
 		await vscode.window.showTextDocument(textDocument);
-    highLightTextInFile(arg.startLine-1,0);
-		jumpSpecifiedLine(arg.startLine-1, filePath);
+		jumpSpecifiedLine(finding ? finding.location.lineNumber : arg.startLine-1, filePath);
 	});
 
   vscode.commands.registerCommand('templateGate.deactivate', async (arg) => {
@@ -120,7 +155,7 @@ export async function activate(context: vscode.ExtensionContext) {
 		arg.deactivate();
 	});
 
-  vscode.commands.registerCommand('kubesec.showTextDocument', async (arg:File) => {
+  vscode.commands.registerCommand('kubesec.showTextDocument', async (arg:File | Resource) => {
 		const textDocument = await vscode.workspace.openTextDocument(arg.path);
 		await vscode.window.showTextDocument(textDocument);
 		await showTextDocumentWithErrorsKubesec(arg.scoringRes, textDocument!);
@@ -132,11 +167,15 @@ export async function activate(context: vscode.ExtensionContext) {
 		await showTextDocumentWithErrorsKubesec([arg],textDocument);
 
 	});
+
+  return createSecurityGateApi(myGates);
 }
 
 
 
-export function deactivate() { }
+export function deactivate() {
+  scanCache.save();
+}
 
 
 
@@ -0,0 +1,68 @@
+import * as vscode from 'vscode';
+import { Severity } from './finding';
+import { findingRange } from './diagnostics';
+import { findingsStore, normalizePath } from './findings-store';
+
+//The severities from the most to the least severe, a line shows the most severe of its findings
+const severities: Severity[] = ['error', 'warning', 'info', 'passed'];
+
+const rulerColors = new Map<Severity, string>([
+    ['error', 'editorOverviewRuler.errorForeground'],
+    ['warning', 'editorOverviewRuler.warningForeground'],
+    ['info', 'editorOverviewRuler.infoForeground'],
+    ['passed', 'testing.iconPassed']
+]);
+
+//Marks the lines of findings in every visible editor with one decoration type per severity
+//The types live as long as the extension, decorations follow the findings store, so a rescan, a deactivated gate
+//or a suppression clears them
+class FindingDecorations implements vscode.Disposable {
+    private readonly types = new Map<Severity, vscode.TextEditorDecorationType>();
+
+    constructor(extensionUri: vscode.Uri) {
+        //The underline of problems comes from their diagnostics
+        severities.forEach(severity => this.types.set(severity, vscode.window.createTextEditorDecorationType({
+            gutterIconPath: vscode.Uri.joinPath(extensionUri, 'media', `gutter-${severity}.svg`),
+            gutterIconSize: 'contain',
+            overviewRulerColor: new vscode.ThemeColor(rulerColors.get(severity)!),
+            overviewRulerLane: vscode.OverviewRulerLane.Left
+        })));
+    }
+
+    //Decorate the visible editors of the given files, or all the visible editors
+    public update(filePaths?: string[]) {
+        const files = filePaths ? new Set(filePaths.map(normalizePath)) : undefined;
+        vscode.window.visibleTextEditors
+            .filter(editor => editor.document.uri.scheme === 'file' && (!files || files.has(normalizePath(editor.document.fileName))))
+            .forEach(editor => this.decorate(editor));
+    }
+
+    private decorate(editor: vscode.TextEditor) {
+        const lines = new Map<number, { severity: Severity, range: vscode.Range }>();
+        findingsStore.getFileFindings(editor.document.fileName).filter(finding => !finding.possiblyFixed).forEach((finding) => {
+            //Only the first line of a finding gets an icon
+            const start = editor.document.validateRange(findingRange(finding)).start;
+            const existing = lines.get(start.line);
+            if (!existing || severities.indexOf(finding.severity) < severities.indexOf(existing.severity)) {
+                lines.set(start.line, { severity: finding.severity, range: editor.document.lineAt(start.line).range.with(start) });
+            }
+        });
+        this.types.forEach((type, severity) => editor.setDecorations(type,
+            Array.from(lines.values()).filter(line => line.severity === severity).map(line => line.range)));
+    }
+
+    public dispose() {
+        this.types.forEach(type => type.dispose());
+        this.types.clear();
+    }
+}
+
+export function registerDecorations(context: vscode.ExtensionContext) {
+    const decorations = new FindingDecorations(context.extensionUri);
+    context.subscriptions.push(
+        decorations,
+        findingsStore.onDidChangeFindings(filePaths => decorations.update(filePaths)),
+        vscode.window.onDidChangeVisibleTextEditors(() => decorations.update())
+    );
+    decorations.update();
+}
@@ -0,0 +1,86 @@
+import * as vscode from 'vscode';
+import { Finding, Severity } from './finding';
+import { findingsStore } from './findings-store';
+import { baselineFileName } from './suppressions';
+import { TextChange } from './position-tracking';
+
+const diagnosticCollectionName = "Microsoft Security Gate";
+
+const diagnosticCollection = vscode.languages.createDiagnosticCollection(diagnosticCollectionName);
+
+//Publish the findings of all gates to the Problems panel and keep them in sync
+export function registerDiagnostics(context: vscode.ExtensionContext) {
+    const watcher = vscode.workspace.createFileSystemWatcher('**/*');
+    context.subscriptions.push(
+        diagnosticCollection,
+        watcher,
+        watcher.onDidDelete(uri => findingsStore.removeFile(uri.fsPath)),
+        vscode.workspace.onDidRenameFiles(event => event.files.forEach(file => findingsStore.removeFile(file.oldUri.fsPath))),
+        //Findings follow the edits of their documents until the next scan
+        vscode.workspace.onDidChangeTextDocument(event => event.document.uri.scheme === 'file' ?
+            findingsStore.trackChanges(event.document.fileName, event.contentChanges.map(change =>
+                new TextChange(change.range.start.line, change.range.start.character, change.range.end.line, change.range.end.character, change.text.replace(/\r\n/g, '\n')))) :
+            null),
+        findingsStore.onDidChangeFindings(filePaths => filePaths.forEach(updateFileDiagnostics))
+    );
+}
+
+function updateFileDiagnostics(filePath: string) {
+    const findings = findingsStore.getFileFindings(filePath).filter(finding => finding.severity !== 'passed');
+    const diagnostics = findings.map(toDiagnostic).concat(expiredSuppressionDiagnostics(findings));
+    diagnostics.length > 0 ?
+        diagnosticCollection.set(vscode.Uri.file(filePath), diagnostics) :
+        diagnosticCollection.delete(vscode.Uri.file(filePath));
+}
+
+export function toDiagnostic(finding: Finding) {
+    //A possibly fixed finding is a hint until the next scan confirms it
+    const diagnostic = finding.possiblyFixed ?
+        new vscode.Diagnostic(findingRange(finding), `${finding.message} (possibly fixed, save to scan again)`, vscode.DiagnosticSeverity.Hint) :
+        new vscode.Diagnostic(findingRange(finding), finding.message, toDiagnosticSeverity(finding.severity));
+    diagnostic.source = finding.gate;
+    if (finding.ruleId) {
+        diagnostic.code = finding.helpUri ?
+            { value: finding.ruleId, target: vscode.Uri.parse(finding.helpUri) } :
+            finding.ruleId;
+    }
+    return diagnostic;
+}
+
+//A finding whose suppression has expired is shown again, with a warning on the suppression
+function expiredSuppressionDiagnostics(findings: Finding[]) {
+    const diagnostics = new Map<string, vscode.Diagnostic>();
+    for (const finding of findings) {
+        const suppression = findingsStore.suppressionOf(finding);
+        if (suppression?.isExpired()) {
+            const range = suppression.line !== undefined ?
+                new vscode.Range(suppression.line, 0, suppression.line, Number.MAX_SAFE_INTEGER) :
+                findingRange(finding);
+            const diagnostic = new vscode.Diagnostic(range,
+                `The suppression of ${finding.ruleId ?? finding.message} expired on ${suppression.until}` + (suppression.kind === 'baseline' ? ` in ${baselineFileName}` : ''),
+                vscode.DiagnosticSeverity.Warning);
+            diagnostic.source = finding.gate;
+            diagnostics.set(`${range.start.line}:${finding.ruleId ?? finding.message}`, diagnostic);
+        }
+    }
+    return Array.from(diagnostics.values());
+}
+
+//The range of a finding, a finding without an end covers the rest of its line
+export function findingRange(finding: Finding) {
+    const location = finding.location;
+    const line = Math.max(location.lineNumber, 0);
+    const column = Math.max(location.columnNumber ?? 0, 0);
+    return location.endLineNumber !== undefined && location.endColumnNumber !== undefined ?
+        new vscode.Range(line, column, Math.max(location.endLineNumber, line), location.endColumnNumber) :
+        new vscode.Range(line, column, line, Number.MAX_SAFE_INTEGER);
+}
+
+export function toDiagnosticSeverity(severity: Severity) {
+    switch (severity) {
+        case 'error': return vscode.DiagnosticSeverity.Error;
+        case 'warning': return vscode.DiagnosticSeverity.Warning;
+        case 'info': return vscode.DiagnosticSeverity.Information;
+        default: return vscode.DiagnosticSeverity.Hint;
+    }
+}
@@ -0,0 +1,97 @@
+import * as vscode from 'vscode';
+import path = require('path');
+import { Finding } from './finding';
+import { findingRange } from './diagnostics';
+import { findingsStore, normalizePath } from './findings-store';
+
+//The scheme of the read-only documents with the details of a finding
+const detailsScheme = 'security-gate-finding';
+
+const severityIcons = new Map<string, string>([['error', '$(error)'], ['warning', '$(warning)'], ['info', '$(info)']]);
+
+//Identifies a finding in the arguments of a command link, the finding itself does not survive the JSON of the link
+interface FindingReference {
+    filePath: string;
+    gate: string;
+    line: number;
+    message: string;
+    ruleId?: string;
+}
+
+function referenceOf(finding: Finding): FindingReference {
+    return { filePath: finding.filePath, gate: finding.gate, line: finding.location.lineNumber, message: finding.message, ruleId: finding.ruleId };
+}
+
+function findingOf(reference: FindingReference) {
+    return findingsStore.getFileFindings(reference.filePath).find(finding => finding.gate === reference.gate &&
+        finding.location.lineNumber === reference.line && finding.message === reference.message && finding.ruleId === reference.ruleId);
+}
+
+//Explain the findings of a line when the mouse is over it, with links to suppress them or open their details
+export function registerFindingHover(context: vscode.ExtensionContext) {
+    const detailsChanged = new vscode.EventEmitter<vscode.Uri>();
+    context.subscriptions.push(
+        detailsChanged,
+        vscode.languages.registerHoverProvider({ scheme: 'file' }, { provideHover: provideFindingsHover }),
+        vscode.workspace.registerTextDocumentContentProvider(detailsScheme, {
+            onDidChange: detailsChanged.event,
+            provideTextDocumentContent: uri => detailsDocument(JSON.parse(uri.query))
+        }),
+        vscode.commands.registerCommand('gates.suppressFindingAt', (reference: FindingReference) => {
+            const finding = findingOf(reference);
+            finding ? null : vscode.window.showInformationMessage('The finding is gone, the file was scanned again');
+            return finding ? vscode.commands.executeCommand('gates.suppressFinding', { finding: finding }) : undefined;
+        }),
+        vscode.commands.registerCommand('gates.showFindingDetails', async (reference: FindingReference) => {
+            const uri = vscode.Uri.from({ scheme: detailsScheme, path: `${reference.ruleId ?? reference.gate}.md`, query: JSON.stringify(reference) });
+            detailsChanged.fire(uri);
+            await vscode.commands.executeCommand('markdown.showPreviewToSide', uri);
+        })
+    );
+}
+
+function provideFindingsHover(document: vscode.TextDocument, position: vscode.Position) {
+    const findings = findingsStore.getFileFindings(document.fileName).filter((finding) => {
+        const range = findingRange(finding);
+        return finding.severity !== 'passed' && range.start.line <= position.line && position.line <= range.end.line;
+    });
+    if (findings.length === 0) {
+        return undefined;
+    }
+    const markdown = new vscode.MarkdownString(findings.map(finding => findingMarkdown(finding, true)).join('\n\n---\n\n'), true);
+    //Trusted, so the links of the commands run
+    markdown.isTrusted = true;
+    return new vscode.Hover(markdown, new vscode.Range(position.line, 0, position.line, document.lineAt(position.line).text.length));
+}
+
+//The gate, rule, severity and explanation of a finding, the hover adds links to act on it
+function findingMarkdown(finding: Finding, withCommands: boolean) {
+    const commandLink = (title: string, command: string) =>
+        `[${title}](command:${command}?${encodeURIComponent(JSON.stringify([referenceOf(finding)]))})`;
+    const lines = [
+        `${withCommands ? (severityIcons.get(finding.severity) ?? '') + ' ' : ''}**${finding.gate}**` +
+        (finding.ruleId ? ` \`${finding.ruleId}\`` : '') + ` ${finding.severity}`,
+        escapeMarkdown(finding.message),
+        finding.possiblyFixed ? "_Possibly fixed, the text of the finding was deleted. Save to scan again._" : '',
+        finding.points !== undefined ? `Kubesec points: ${finding.points}` : '',
+        finding.fullDescription && finding.fullDescription !== finding.message ? escapeMarkdown(finding.fullDescription) : '',
+        finding.helpUri ? `[${finding.helpUri}](${finding.helpUri})` : '',
+        withCommands ? `${commandLink('Suppress', 'gates.suppressFindingAt')} | ${commandLink('Details', 'gates.showFindingDetails')}` : ''
+    ];
+    return lines.filter(line => line).join('\n\n');
+}
+
+function detailsDocument(reference: FindingReference) {
+    const finding = findingOf(reference);
+    if (!finding) {
+        return `The finding of ${reference.gate} in ${reference.filePath} is gone, the file was scanned again.\n`;
+    }
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(finding.filePath));
+    const filePath = folder ? path.relative(folder.uri.fsPath, normalizePath(finding.filePath)) : finding.filePath;
+    return `# ${finding.ruleId ?? finding.gate}\n\n${findingMarkdown(finding, false)}\n\n` +
+        `${escapeMarkdown(filePath)}, line ${Math.max(finding.location.lineNumber, 0) + 1}\n`;
+}
+
+function escapeMarkdown(text: string) {
+    return text.replace(/[\\`*_{}[\]<>#|]/g, '\\$&');
+}
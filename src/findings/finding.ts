@@ -0,0 +1,57 @@
+import { Location } from '../customGate/gate-data';
+
+//Severity of a finding, shared by all gates
+export type Severity = 'error' | 'warning' | 'info' | 'passed';
+
+//A single result of a gate, in a gate independent shape
+export class Finding {
+    //Link to the documentation of the rule
+    public helpUri?: string;
+
+    //Long description of the rule
+    public fullDescription?: string;
+
+    //Kubesec points of the rule
+    public points?: number;
+
+    //The text of the finding was deleted since the scan, the next scan tells whether it is fixed
+    public possiblyFixed?: boolean;
+
+    constructor(
+        public readonly gate: string,
+        public readonly filePath: string,
+        public readonly severity: Severity,
+        public readonly message: string,
+        public readonly location: Location,
+        public readonly ruleId?: string,
+    ) { }
+
+    //A copy of the finding with another severity
+    public withSeverity(severity: Severity) {
+        const finding = new Finding(this.gate, this.filePath, severity, this.message, this.location, this.ruleId);
+        finding.helpUri = this.helpUri;
+        finding.fullDescription = this.fullDescription;
+        finding.points = this.points;
+        finding.possiblyFixed = this.possiblyFixed;
+        return finding;
+    }
+}
+
+//Map a label of a category/level in the tree to a severity
+export function severityFromLabel(label: string): Severity {
+    switch (label.toLowerCase()) {
+        case 'critical':
+        case 'high':
+        case 'error':
+            return 'error';
+        case 'low':
+        case 'note':
+        case 'none':
+        case 'info':
+            return 'info';
+        case 'passed':
+            return 'passed';
+        default:
+            return 'warning';
+    }
+}
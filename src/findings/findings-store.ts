@@ -0,0 +1,162 @@
+import path = require('path');
+import { Finding, Severity } from './finding';
+import { Emitter, Event } from '../host/gate-host';
+import { Location } from '../customGate/gate-data';
+import { moveLocation, TextChange } from './position-tracking';
+import { Suppression } from './suppressions';
+
+//Holds the latest findings of every gate, keyed by the gate label
+export class FindingsStore {
+    private findings = new Map<string, Finding[]>();
+
+    //Fired with the paths of the files whose findings have changed
+    private _onDidChangeFindings: Emitter<string[]> = new Emitter<string[]>();
+    readonly onDidChangeFindings: Event<string[]> = this._onDidChangeFindings.event;
+
+    //The severity a finding is reported with instead of the severity of its gate
+    private overrideSeverity: (finding: Finding) => Severity | undefined = () => undefined;
+
+    //Why a finding was accepted, accepted findings are left out of the results
+    private findSuppression: (finding: Finding) => Suppression | undefined = () => undefined;
+
+    //The suppressions of the findings by their location, looked up when the findings are set or refreshed, not when they are read
+    //A finding keeps its suppression while it is moved with the edits of its document, until the file is saved
+    //Gates convert their results to findings again for their trees, the copies share the location of the result
+    private suppressions = new WeakMap<Location, [Finding, Suppression | undefined][]>();
+
+    //Replace all the findings of a gate
+    public setGateFindings(gate: string, findings: Finding[]) {
+        const changed = this.filesOf(this.findings.get(gate) ?? []).concat(this.filesOf(findings));
+        this.findings.set(gate, findings);
+        this.updateSuppressions(findings);
+        this.fire(changed);
+    }
+
+    //Replace the findings of a gate in the given files only
+    public setFileFindings(gate: string, filePaths: string[], findings: Finding[]) {
+        const files = filePaths.map(normalizePath);
+        const kept = (this.findings.get(gate) ?? []).filter(finding => !files.includes(normalizePath(finding.filePath)));
+        this.findings.set(gate, kept.concat(findings));
+        this.updateSuppressions(findings);
+        this.fire(files.concat(this.filesOf(findings)));
+    }
+
+    //Remove all the findings of a gate, when it is deactivated
+    public clearGate(gate: string) {
+        const changed = this.filesOf(this.findings.get(gate) ?? []);
+        this.findings.delete(gate);
+        this.fire(changed);
+    }
+
+    //Remove the findings of all gates in a file, when it is deleted
+    public removeFile(filePath: string) {
+        const file = normalizePath(filePath);
+        this.findings.forEach((findings, gate) => {
+            this.findings.set(gate, findings.filter(finding => normalizePath(finding.filePath) !== file));
+        });
+        this.fire([file]);
+    }
+
+    //Move the findings of a file with the edits of its document, so they stay on their text until the file is scanned again
+    //A finding whose text was deleted is possibly fixed
+    public trackChanges(filePath: string, changes: TextChange[]) {
+        const file = normalizePath(filePath);
+        const findings = Array.from(this.findings.values()).flat().filter(finding => normalizePath(finding.filePath) === file);
+        if (findings.length === 0 || changes.length === 0) {
+            return;
+        }
+        //Findings can share a location, it moves once
+        const deleted = new Map<Location, boolean>();
+        for (const finding of findings) {
+            if (!deleted.has(finding.location)) {
+                deleted.set(finding.location, changes.map(change => moveLocation(finding.location, change)).some(isDeleted => isDeleted));
+            }
+            finding.possiblyFixed = finding.possiblyFixed || deleted.get(finding.location);
+        }
+        this.fire([file]);
+    }
+
+    //Set how severities are overridden, like by the workspace configuration
+    public setSeverityOverride(overrideSeverity: (finding: Finding) => Severity | undefined) {
+        this.overrideSeverity = overrideSeverity;
+        this.refresh();
+    }
+
+    public setSuppressionFilter(findSuppression: (finding: Finding) => Suppression | undefined) {
+        this.findSuppression = findSuppression;
+        this.refresh();
+    }
+
+    //Look up the suppressions again and notify about the given files, or all the files with findings,
+    //when the way findings are shown has changed, like when a file is saved or a baseline changes
+    public refresh(filePaths?: string[]) {
+        const files = filePaths?.map(normalizePath);
+        const findings = Array.from(this.findings.values()).flat();
+        this.updateSuppressions(files ? findings.filter(finding => files.includes(normalizePath(finding.filePath))) : findings);
+        this.fire(files ?? this.filesOf(findings));
+    }
+
+    //The suppression of a finding, expired suppressions are returned too so they can be reported
+    public suppressionOf(finding: Finding): Suppression | undefined {
+        return this.suppressions.get(finding.location)?.find(([stored]) => isSameResult(stored, finding))?.[1];
+    }
+
+    public isSuppressed(finding: Finding) {
+        const suppression = this.suppressionOf(finding);
+        return suppression !== undefined && !suppression.isExpired();
+    }
+
+    public getGateFindings(gate: string): Finding[] {
+        return this.visible(this.findings.get(gate) ?? []);
+    }
+
+    public getFileFindings(filePath: string): Finding[] {
+        const file = normalizePath(filePath);
+        return this.visible(Array.from(this.findings.values()).flat().filter(finding => normalizePath(finding.filePath) === file));
+    }
+
+    public getAllFindings(): Finding[] {
+        return this.visible(Array.from(this.findings.values()).flat());
+    }
+
+    private visible(findings: Finding[]) {
+        return findings.filter(finding => !this.isSuppressed(finding)).map(finding => this.withOverride(finding));
+    }
+
+    private updateSuppressions(findings: Finding[]) {
+        for (const finding of findings) {
+            const others = (this.suppressions.get(finding.location) ?? []).filter(([stored]) => !isSameResult(stored, finding));
+            this.suppressions.set(finding.location, others.concat([[finding, this.findSuppression(finding)]]));
+        }
+    }
+
+    //The severity a finding is reported with, passed findings keep their severity, they are not problems
+    public severityOf(finding: Finding): Severity {
+        return (finding.severity !== 'passed' ? this.overrideSeverity(finding) : undefined) ?? finding.severity;
+    }
+
+    private withOverride(finding: Finding) {
+        const severity = this.severityOf(finding);
+        return severity !== finding.severity ? finding.withSeverity(severity) : finding;
+    }
+
+    private filesOf(findings: Finding[]) {
+        return findings.map(finding => normalizePath(finding.filePath));
+    }
+
+    private fire(filePaths: string[]) {
+        this._onDidChangeFindings.fire(Array.from(new Set(filePaths)));
+    }
+}
+
+function isSameResult(finding: Finding, other: Finding) {
+    return finding.gate === other.gate && finding.ruleId === other.ruleId && finding.message === other.message &&
+        normalizePath(finding.filePath) === normalizePath(other.filePath);
+}
+
+//Gates report paths with different separators, so compare them normalized
+export function normalizePath(filePath: string) {
+    return path.normalize(filePath);
+}
+
+export const findingsStore = new FindingsStore();
@@ -0,0 +1,65 @@
+import { Location } from '../customGate/gate-data';
+
+//An edit of a document: the replaced range, in positions of the document before the edit, and the new text
+export class TextChange {
+    constructor(
+        public readonly startLine: number,
+        public readonly startColumn: number,
+        public readonly endLine: number,
+        public readonly endColumn: number,
+        public readonly text: string,
+    ) { }
+}
+
+interface Position {
+    line: number;
+    column: number;
+}
+
+function isBefore(position: Position, other: Position) {
+    return position.line < other.line || (position.line === other.line && position.column < other.column);
+}
+
+//Where a position is after a change, a position in the replaced text moves to its start
+function movePosition(position: Position, change: TextChange): Position {
+    const start = { line: change.startLine, column: change.startColumn };
+    const end = { line: change.endLine, column: change.endColumn };
+    if (isBefore(position, start)) {
+        return position;
+    }
+    if (isBefore(position, end)) {
+        return start;
+    }
+    const lines = change.text.split('\n');
+    const lastLength = lines[lines.length - 1].length;
+    return position.line === end.line ?
+        {
+            line: start.line + lines.length - 1,
+            column: (lines.length === 1 ? start.column + lastLength : lastLength) + position.column - end.column
+        } :
+        { line: position.line + lines.length - 1 - (end.line - start.line), column: position.column };
+}
+
+//Move a location of a finding after a change of its document
+//Returns true when the change deleted all of it, a location without an end covers the rest of its line
+export function moveLocation(location: Location, change: TextChange) {
+    if (location.lineNumber < 0) {
+        return false;
+    }
+    const hasEnd = location.endLineNumber !== undefined && location.endColumnNumber !== undefined;
+    const start = { line: location.lineNumber, column: location.columnNumber ?? 0 };
+    const end = hasEnd ? { line: location.endLineNumber!, column: location.endColumnNumber! } : { line: start.line, column: Number.MAX_SAFE_INTEGER };
+    const isDeletion = change.startLine !== change.endLine || change.startColumn !== change.endColumn;
+    const deleted = isDeletion &&
+        !isBefore(start, { line: change.startLine, column: change.startColumn }) &&
+        !isBefore({ line: change.endLine, column: change.endColumn }, end);
+    const movedStart = movePosition(start, change);
+    location.lineNumber = movedStart.line;
+    location.columnNumber = movedStart.column;
+    if (hasEnd) {
+        const movedEnd = movePosition(end, change);
+        location.endLineNumber = movedEnd.line;
+        location.endColumnNumber = movedEnd.column;
+    }
+    return deleted;
+}
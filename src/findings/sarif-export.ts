@@ -0,0 +1,114 @@
+import path = require('path');
+import { pathToFileURL } from 'url';
+import { Finding, Severity } from './finding';
+
+const sarifSchema = "https://json.schemastore.org/sarif-2.1.0.json";
+const sarifVersion = "2.1.0";
+
+//The findings of one gate, exported as one run of the sarif log
+export class SarifRunInput {
+    constructor(
+        public readonly gate: string,
+        public readonly description: string | undefined,
+        public readonly findings: Finding[],
+    ) { }
+}
+
+//Build a SARIF 2.1.0 log with a run for every gate
+//Paths inside one of the root paths are written relative to it, as code scanning expects
+export function buildSarifLog(runs: SarifRunInput[], rootPaths: string[]) {
+    const uriBases = rootPaths.map((rootPath, index) => ({
+        id: index === 0 ? "SRCROOT" : "SRCROOT" + index,
+        rootPath: rootPath
+    }));
+    const originalUriBaseIds: { [id: string]: { uri: string } } = {};
+    uriBases.forEach(base => originalUriBaseIds[base.id] = { uri: pathToFileURL(base.rootPath + path.sep).href });
+
+    return {
+        "$schema": sarifSchema,
+        version: sarifVersion,
+        runs: runs.map(run => buildRun(run, uriBases, originalUriBaseIds))
+    };
+}
+
+function buildRun(run: SarifRunInput, uriBases: { id: string; rootPath: string }[], originalUriBaseIds: any) {
+    const rules: any[] = [];
+    const ruleIndexes = new Map<string, number>();
+    const results = run.findings.map((finding) => {
+        const ruleId = finding.ruleId ?? run.gate;
+        if (!ruleIndexes.has(ruleId)) {
+            ruleIndexes.set(ruleId, rules.length);
+            rules.push(buildRule(ruleId, finding));
+        }
+        return buildResult(finding, ruleId, ruleIndexes.get(ruleId)!, uriBases);
+    });
+    return {
+        tool: {
+            driver: {
+                name: run.gate,
+                fullDescription: run.description ? { text: run.description } : undefined,
+                rules: rules
+            }
+        },
+        originalUriBaseIds: originalUriBaseIds,
+        results: results
+    };
+}
+
+function buildRule(ruleId: string, finding: Finding) {
+    return {
+        id: ruleId,
+        shortDescription: { text: finding.message },
+        fullDescription: finding.fullDescription ? { text: finding.fullDescription } : undefined,
+        helpUri: finding.helpUri,
+        defaultConfiguration: { level: toSarifLevel(finding.severity) },
+        properties: finding.points !== undefined ? { points: finding.points } : undefined
+    };
+}
+
+function buildResult(finding: Finding, ruleId: string, ruleIndex: number, uriBases: { id: string; rootPath: string }[]) {
+    return {
+        ruleId: ruleId,
+        ruleIndex: ruleIndex,
+        kind: finding.severity === 'passed' ? "pass" : "fail",
+        level: toSarifLevel(finding.severity),
+        message: { text: finding.message },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: toArtifactLocation(finding.filePath, uriBases),
+                region: toRegion(finding)
+            }
+        }]
+    };
+}
+
+//SARIF regions are one based
+function toRegion(finding: Finding) {
+    const location = finding.location;
+    const hasEnd = location.endLineNumber !== undefined && location.endColumnNumber !== undefined;
+    return {
+        startLine: Math.max(location.lineNumber, 0) + 1,
+        startColumn: Math.max(location.columnNumber ?? 0, 0) + 1,
+        endLine: hasEnd ? location.endLineNumber! + 1 : undefined,
+        endColumn: hasEnd ? location.endColumnNumber! + 1 : undefined
+    };
+}
+
+function toArtifactLocation(filePath: string, uriBases: { id: string; rootPath: string }[]) {
+    for (const base of uriBases) {
+        const relativePath = path.relative(base.rootPath, filePath);
+        if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+            return { uri: encodeURI(relativePath.split(path.sep).join('/')), uriBaseId: base.id };
+        }
+    }
+    return { uri: pathToFileURL(filePath).href };
+}
+
+export function toSarifLevel(severity: Severity) {
+    switch (severity) {
+        case 'error': return "error";
+        case 'warning': return "warning";
+        case 'info': return "note";
+        default: return "none";
+    }
+}
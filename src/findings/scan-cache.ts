@@ -0,0 +1,141 @@
+import path = require('path');
+import fs = require('fs');
+import crypto = require('crypto');
+
+const cacheFormat = 1;
+
+//Writes are batched, a scan sets many entries in a row
+const saveDelay = 2000;
+
+interface CacheEntry {
+    contentHash: string;
+    settingsHash: string;
+    value: unknown;
+}
+
+export function hashContent(content: string | Buffer) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+//The results of every gate for every file, keyed by the hash of the file content
+//An entry is used only while the file and the settings of the gate are the same as when it was scanned
+export class ScanCache {
+    private gates = new Map<string, Map<string, CacheEntry>>();
+    private cachePath: string | undefined;
+    private version = "";
+    private saveTimer: NodeJS.Timeout | undefined;
+
+    //Load the cache of an earlier session, a cache of another version of the extension is dropped
+    public load(cachePath: string, version: string) {
+        this.cachePath = cachePath;
+        this.version = version;
+        this.gates.clear();
+        try {
+            const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+            if (cache.format === cacheFormat && cache.version === version) {
+                Object.keys(cache.gates ?? {}).forEach(gate => this.gates.set(gate, new Map(Object.entries(cache.gates[gate]))));
+            }
+        } catch (err) {
+            //There is no cache yet or it is broken, the files are scanned again
+        }
+    }
+
+    public get<T>(gate: string, filePath: string, contentHash: string, settingsHash: string): T | undefined {
+        const entry = this.gates.get(gate)?.get(filePath);
+        return entry && entry.contentHash === contentHash && entry.settingsHash === settingsHash ?
+            clone(entry.value) as T :
+            undefined;
+    }
+
+    public set(gate: string, filePath: string, contentHash: string, settingsHash: string, value: unknown) {
+        this.gates.has(gate) ? null : this.gates.set(gate, new Map());
+        this.gates.get(gate)!.set(filePath, { contentHash: contentHash, settingsHash: settingsHash, value: clone(value) });
+        this.scheduleSave();
+    }
+
+    //Drop the entries of files that were not part of a full scan, like deleted files
+    public retain(gate: string, filePaths: string[]) {
+        const entries = this.gates.get(gate);
+        const kept = new Set(filePaths);
+        entries?.forEach((entry, filePath) => kept.has(filePath) ? null : entries.delete(filePath));
+        this.scheduleSave();
+    }
+
+    public clear(gate?: string) {
+        gate ? this.gates.delete(gate) : this.gates.clear();
+        this.scheduleSave();
+    }
+
+    //Scan the files that changed since they were cached, and take the results of the others from the cache
+    //A file that cannot be scanned, like a file that does not parse, has no result and is scanned again the next time
+    public async scanFiles<T>(gate: string, filePaths: string[], settingsHash: string,
+        scanFile: (filePath: string, content: string) => T | undefined | Promise<T | undefined>) {
+        const results = new Map<string, T>();
+        for (const filePath of filePaths) {
+            let content: string;
+            try {
+                content = fs.readFileSync(filePath, 'utf-8');
+            } catch (err) {
+                continue;
+            }
+            const contentHash = hashContent(content);
+            let result = this.get<T>(gate, filePath, contentHash, settingsHash);
+            if (result === undefined) {
+                result = await scanFile(filePath, content);
+                result !== undefined ? this.set(gate, filePath, contentHash, settingsHash, result) : null;
+            }
+            result !== undefined ? results.set(filePath, result) : null;
+        }
+        return results;
+    }
+
+    //Scan files that are checked together, like the files of a module, under the key of the group
+    //The group is scanned again when one of its files changes, is added or is removed
+    public async scanGroup<T>(gate: string, key: string, filePaths: string[], settingsHash: string,
+        scanGroup: (contents: Map<string, string>) => T | undefined | Promise<T | undefined>) {
+        const contents = new Map<string, string>();
+        filePaths.forEach((filePath) => {
+            try {
+                contents.set(filePath, fs.readFileSync(filePath, 'utf-8'));
+            } catch (err) {
+                //A file that cannot be read is left out of the group, like a file that was deleted
+            }
+        });
+        const contentHash = hashContent(Array.from(contents).map(([filePath, content]) => `${filePath}\0${hashContent(content)}`).join('\n'));
+        let result = this.get<T>(gate, key, contentHash, settingsHash);
+        if (result === undefined) {
+            result = await scanGroup(contents);
+            result !== undefined ? this.set(gate, key, contentHash, settingsHash, result) : null;
+        }
+        return result;
+    }
+
+    public save() {
+        this.saveTimer ? clearTimeout(this.saveTimer) : null;
+        this.saveTimer = undefined;
+        if (!this.cachePath) {
+            return;
+        }
+        const gates: { [gate: string]: { [filePath: string]: CacheEntry } } = {};
+        this.gates.forEach((entries, gate) => gates[gate] = Object.fromEntries(entries));
+        try {
+            fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+            fs.writeFileSync(this.cachePath, JSON.stringify({ format: cacheFormat, version: this.version, gates: gates }));
+        } catch (err) {
+            //A cache that cannot be written only makes the next session scan the files again
+        }
+    }
+
+    private scheduleSave() {
+        if (this.cachePath && !this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), saveDelay);
+        }
+    }
+}
+
+//The cached values are copied, so the results that gates change are not changed in the cache
+function clone(value: unknown) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+export const scanCache = new ScanCache();
@@ -0,0 +1,82 @@
+import { Emitter } from '../host/gate-host';
+
+//The part of a cancellation token that scans use, so they also run outside of vscode
+export interface CancellationSignal {
+    readonly isCancellationRequested: boolean;
+    onCancellationRequested?(listener: () => unknown): { dispose(): unknown };
+}
+
+const neverCancelled: CancellationSignal = { isCancellationRequested: false };
+
+//Cancels scans outside of vscode, like a vscode.CancellationTokenSource
+export class CancellationSource implements CancellationSignal {
+    public isCancellationRequested = false;
+
+    private cancelled = new Emitter<void>();
+
+    public get token(): CancellationSignal {
+        return this;
+    }
+
+    public onCancellationRequested(listener: () => unknown) {
+        return this.cancelled.event(listener);
+    }
+
+    public cancel() {
+        if (!this.isCancellationRequested) {
+            this.isCancellationRequested = true;
+            this.cancelled.fire();
+        }
+    }
+}
+
+//Thrown by a scan that stopped because it was cancelled or timed out, the results of the last scan are kept
+export class ScanCancelledError extends Error {
+    constructor(message: string = "The scan was cancelled") {
+        super(message);
+        this.name = "ScanCancelledError";
+    }
+}
+
+//Reports the files a gate has scanned and tells it when to stop
+export class ScanProgress {
+    constructor(
+        public readonly token: CancellationSignal = neverCancelled,
+        private readonly onProgress: (done: number, total: number, filePath?: string) => void = () => undefined,
+        public readonly concurrency: number = 4,
+    ) { }
+
+    public get isCancelled() {
+        return this.token.isCancellationRequested;
+    }
+
+    public throwIfCancelled() {
+        if (this.isCancelled) {
+            throw new ScanCancelledError();
+        }
+    }
+
+    public report(done: number, total: number, filePath?: string) {
+        this.onProgress(done, total, filePath);
+    }
+
+    //Scan the files with at most concurrency files at a time, no file is started after the scan is cancelled
+    public async forEachFile<T>(filePaths: string[], scanFile: (filePath: string) => Promise<T>): Promise<Map<string, T>> {
+        const results = new Map<string, T>();
+        let next = 0;
+        let done = 0;
+        this.report(0, filePaths.length);
+        const worker = async () => {
+            while (next < filePaths.length && !this.isCancelled) {
+                const filePath = filePaths[next++];
+                results.set(filePath, await scanFile(filePath));
+                this.report(++done, filePaths.length, filePath);
+            }
+        };
+        const workers = Math.max(1, Math.min(this.concurrency, filePaths.length));
+        await Promise.all(Array.from({ length: workers }, worker));
+        this.throwIfCancelled();
+        //The results are in the order of the files, not in the order they finished
+        return new Map(filePaths.filter(filePath => results.has(filePath)).map(filePath => [filePath, results.get(filePath)!]));
+    }
+}
@@ -0,0 +1,117 @@
+import * as vscode from 'vscode';
+import path = require('path');
+import { securityGateConfigs } from '../config/security-gate-config';
+import { ScanCancelledError, ScanProgress } from './scan-progress';
+
+const settingsSection = "microsoft.security.gate.scan";
+
+//Shows the cancel button in the title of the Gates view while a scan runs
+const scanningContext = "securityGate.scanning";
+
+//The running scans, the cancel command stops all of them
+const runningScans = new Set<vscode.CancellationTokenSource>();
+
+//The gates that are scanning and why the last scan of a gate failed
+class ScanStatus {
+    private running = new Map<string, number>();
+    private failures = new Map<string, string>();
+
+    private _onDidChange = new vscode.EventEmitter<void>();
+    readonly onDidChange: vscode.Event<void> = this._onDidChange.event;
+
+    public get runningGates() {
+        return Array.from(this.running.keys());
+    }
+
+    public get failedGates() {
+        return Array.from(this.failures);
+    }
+
+    public start(gateLabel: string) {
+        this.running.set(gateLabel, (this.running.get(gateLabel) ?? 0) + 1);
+        this.failures.delete(gateLabel);
+        this._onDidChange.fire();
+    }
+
+    public finish(gateLabel: string) {
+        const count = (this.running.get(gateLabel) ?? 1) - 1;
+        count > 0 ? this.running.set(gateLabel, count) : this.running.delete(gateLabel);
+        this._onDidChange.fire();
+    }
+
+    //An error shown while gates scan is a failure of those gates
+    public reportError(message: string, gateLabel?: string) {
+        (gateLabel ? [gateLabel] : this.runningGates).forEach(gate => this.failures.set(gate, message));
+        this._onDidChange.fire();
+    }
+}
+
+export const scanStatus = new ScanStatus();
+
+export function registerScanCommands(context: vscode.ExtensionContext) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('gates.cancelScan', cancelScans),
+        { dispose: cancelScans }
+    );
+}
+
+export function cancelScans() {
+    runningScans.forEach(source => source.cancel());
+}
+
+//Run a scan of a gate in a notification that counts the scanned files and cancels the scan
+//A scan that is cancelled, takes longer than the timeout of the gate or fails returns undefined, so the gate keeps its last results
+//A failure is reported by the scan status, the callers start scans without waiting for them
+export async function runScan<T>(gateLabel: string, scan: (progress: ScanProgress) => Promise<T>): Promise<T | undefined> {
+    const settings = vscode.workspace.getConfiguration(settingsSection);
+    const concurrency = Math.max(1, settings.get<number>('concurrency', 4));
+    //The timeout in the configuration of the workspace wins over the settings
+    const timeout = securityGateConfigs.option<number>(gateLabel, 'timeout') ?? settings.get<number>('timeout', 300);
+    const source = new vscode.CancellationTokenSource();
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        source.cancel();
+    }, timeout * 1000) : undefined;
+    runningScans.add(source);
+    scanStatus.start(gateLabel);
+    vscode.commands.executeCommand('setContext', scanningContext, true);
+    try {
+        const result = await vscode.window.withProgress({ location: vscode.ProgressLocation.Notification, title: gateLabel, cancellable: true },
+            (notification, notificationToken) => {
+                notificationToken.onCancellationRequested(() => source.cancel());
+                //The bar grows by the part of the files scanned since the last report
+                let reportedPercent = 0;
+                const progress = new ScanProgress(source.token, (done, total, filePath) => {
+                    const percent = total > 0 ? done / total * 100 : 0;
+                    notification.report({
+                        message: `${done}/${total} files` + (filePath ? ` - ${path.basename(filePath)}` : ""),
+                        increment: Math.max(0, percent - reportedPercent)
+                    });
+                    reportedPercent = Math.max(reportedPercent, percent);
+                }, concurrency);
+                return scan(progress);
+            });
+        //Results of a scan that stopped early are partial
+        if (source.token.isCancellationRequested) {
+            throw new ScanCancelledError();
+        }
+        return result;
+    } catch (ex) {
+        if (ex instanceof ScanCancelledError || source.token.isCancellationRequested) {
+            timedOut ? scanStatus.reportError(`Stopped after ${timeout} seconds`, gateLabel) : null;
+            timedOut ?
+                vscode.window.showWarningMessage(`${gateLabel} stopped after ${timeout} seconds, its last results are kept`) :
+                vscode.window.setStatusBarMessage(`${gateLabel} scan cancelled`, 5000);
+            return undefined;
+        }
+        scanStatus.reportError((ex as Error)?.message ?? String(ex), gateLabel);
+        return undefined;
+    } finally {
+        timer ? clearTimeout(timer) : null;
+        runningScans.delete(source);
+        scanStatus.finish(gateLabel);
+        source.dispose();
+        vscode.commands.executeCommand('setContext', scanningContext, runningScans.size > 0);
+    }
+}
@@ -0,0 +1,114 @@
+import * as vscode from 'vscode';
+import path = require('path');
+import fs = require('fs');
+import { GatesProvider } from '../gate-provider';
+import { Finding } from './finding';
+import { findingsStore } from './findings-store';
+import { baselineFileName, BaselineEntry, isValidDate, parseBaseline, serializeBaseline, suppressions } from './suppressions';
+
+//The comment that starts a line, by the extension of the file, files without comments are suppressed in the baseline
+const lineComments = new Map<string, string>([
+    ['.yaml', '#'], ['.yml', '#'], ['.tf', '#'], ['.py', '#'], ['.sh', '#'], ['.toml', '#'],
+    ['.bicep', '//'], ['.jsonc', '//'], ['.js', '//'], ['.ts', '//'], ['.cs', '//'], ['.go', '//']
+]);
+
+//Load the baselines of the workspace folders and register the command that suppresses a finding
+export function registerSuppressions(context: vscode.ExtensionContext, provider: GatesProvider) {
+    const watcher = vscode.workspace.createFileSystemWatcher('**/' + baselineFileName);
+    const onBaselineChange = (uri: vscode.Uri) => {
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        if (folder && path.dirname(uri.fsPath) === folder.uri.fsPath) {
+            loadBaseline(folder);
+            refresh(provider);
+        }
+    };
+    context.subscriptions.push(
+        watcher,
+        watcher.onDidCreate(onBaselineChange),
+        watcher.onDidChange(onBaselineChange),
+        watcher.onDidDelete(onBaselineChange),
+        vscode.workspace.onDidChangeWorkspaceFolders((event) => {
+            event.removed.forEach(folder => suppressions.deleteBaseline(folder.uri.fsPath));
+            event.added.forEach(loadBaseline);
+            refresh(provider);
+        }),
+        //A new or removed comment changes what is suppressed
+        vscode.workspace.onDidSaveTextDocument((document) => {
+            findingsStore.refresh([document.fileName]);
+            provider.refresh();
+        }),
+        vscode.commands.registerCommand('gates.suppressFinding', (item: { finding?: Finding }) => suppressFinding(item?.finding, provider))
+    );
+    (vscode.workspace.workspaceFolders ?? []).forEach(loadBaseline);
+    findingsStore.setSuppressionFilter(finding => suppressions.find(finding));
+}
+
+function loadBaseline(folder: vscode.WorkspaceFolder) {
+    const baselinePath = path.join(folder.uri.fsPath, baselineFileName);
+    try {
+        suppressions.setBaseline(folder.uri.fsPath, fs.existsSync(baselinePath) ? parseBaseline(fs.readFileSync(baselinePath, 'utf-8')) : []);
+    } catch (ex: any) {
+        suppressions.setBaseline(folder.uri.fsPath, []);
+        vscode.window.showErrorMessage(`Failed to read ${baselinePath}: ${ex.message}`);
+    }
+}
+
+function refresh(provider: GatesProvider) {
+    findingsStore.refresh();
+    provider.refresh();
+}
+
+async function suppressFinding(finding: Finding | undefined, provider: GatesProvider) {
+    if (!finding) {
+        vscode.window.showInformationMessage('Select a finding in the Gates view to suppress it');
+        return;
+    }
+    const comment = lineComments.get(path.extname(finding.filePath).toLowerCase());
+    const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(finding.filePath));
+    const targets = [
+        ...(comment ? [{ label: 'Add a comment above the finding', target: 'inline' }] : []),
+        ...(folder ? [{ label: 'Add the finding to ' + baselineFileName, target: 'baseline' }] : [])
+    ];
+    if (targets.length === 0) {
+        vscode.window.showInformationMessage('The finding can not be suppressed, its file is outside of the workspace');
+        return;
+    }
+    const target = targets.length === 1 ? targets[0] : await vscode.window.showQuickPick(targets, { placeHolder: 'Where to suppress the finding' });
+    const reason = target ? await vscode.window.showInputBox({ prompt: 'Why is the finding accepted?', ignoreFocusOut: true }) : undefined;
+    if (!target || reason === undefined) {
+        return;
+    }
+    const until = await vscode.window.showInputBox({
+        prompt: 'The last day of the suppression as YYYY-MM-DD, leave empty to keep it',
+        ignoreFocusOut: true,
+        validateInput: value => value === '' || isValidDate(value) ? undefined : 'Enter a date like 2027-01-01'
+    });
+    if (until === undefined) {
+        return;
+    }
+    target.target === 'inline' ?
+        await addIgnoreComment(finding, comment!, reason, until) :
+        addToBaseline(finding, folder!, reason, until);
+    refresh(provider);
+}
+
+//The comment is added above the finding, with the indentation of its line
+async function addIgnoreComment(finding: Finding, comment: string, reason: string, until: string) {
+    const document = await vscode.workspace.openTextDocument(finding.filePath);
+    const line = document.lineAt(Math.min(Math.max(finding.location.lineNumber, 0), document.lineCount - 1));
+    const indentation = line.text.slice(0, line.firstNonWhitespaceCharacterIndex);
+    const parameters = [reason ? `reason="${reason.replace(/"/g, "'")}"` : '', until ? `until=${until}` : ''].filter(parameter => parameter).join(' ');
+    const text = `${indentation}${comment} security-gate:ignore ${finding.ruleId ?? '*'} ${parameters}`.trimEnd() + '\n';
+    const edit = new vscode.WorkspaceEdit();
+    edit.insert(document.uri, new vscode.Position(line.lineNumber, 0), text);
+    await vscode.workspace.applyEdit(edit);
+    await document.save();
+}
+
+function addToBaseline(finding: Finding, folder: vscode.WorkspaceFolder, reason: string, until: string) {
+    const entry = suppressions.toBaselineEntry(finding, folder.uri.fsPath, reason || undefined, until || undefined);
+    const entries: BaselineEntry[] = suppressions.getBaseline(folder.uri.fsPath).filter(existing => existing.fingerprint !== entry.fingerprint);
+    entries.push(entry);
+    fs.writeFileSync(path.join(folder.uri.fsPath, baselineFileName), serializeBaseline(entries));
+    suppressions.setBaseline(folder.uri.fsPath, entries);
+}
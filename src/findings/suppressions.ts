@@ -0,0 +1,170 @@
+import path = require('path');
+import fs = require('fs');
+import crypto = require('crypto');
+import { Finding } from './finding';
+
+//The baseline at the root of a workspace folder, it lists the accepted findings of the folder
+export const baselineFileName = ".securitygate-baseline.json";
+
+const baselineVersion = 1;
+
+//# security-gate:ignore TA-000009 reason="Needed by the legacy client" until=2027-01-01
+//The comment is on the line of the finding or on the line above it, "*" ignores every rule
+const ignoreComment = /security-gate:ignore\s+(\S+)(.*)$/;
+
+//An accepted finding in the baseline, its path is relative to the folder of the baseline
+export interface BaselineEntry {
+    fingerprint: string;
+    gate: string;
+    ruleId?: string;
+    filePath: string;
+    message: string;
+    reason?: string;
+    until?: string;
+}
+
+//Why and until when a finding is accepted
+export class Suppression {
+    constructor(
+        public readonly kind: 'inline' | 'baseline',
+        public readonly reason?: string,
+        //The last day of the suppression, as YYYY-MM-DD
+        public readonly until?: string,
+        //The line of an inline comment
+        public readonly line?: number,
+    ) { }
+
+    public isExpired(today: string = localDate(new Date())) {
+        return this.until !== undefined && today > this.until;
+    }
+}
+
+export function localDate(date: Date) {
+    const twoDigits = (value: number) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${twoDigits(date.getMonth() + 1)}-${twoDigits(date.getDate())}`;
+}
+
+export function isValidDate(value: string) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+export function parseBaseline(content: string): BaselineEntry[] {
+    const baseline = JSON.parse(content);
+    return Array.isArray(baseline?.findings) ? baseline.findings.filter((entry: any) => typeof entry?.fingerprint === 'string') : [];
+}
+
+export function serializeBaseline(entries: BaselineEntry[]) {
+    return JSON.stringify({ version: baselineVersion, findings: entries }, null, 2) + '\n';
+}
+
+//The suppressions of all gates, from inline comments and from the baselines of the workspace folders
+export class Suppressions {
+    private baselines = new Map<string, Map<string, BaselineEntry>>();
+
+    //The lines of the files, read again when a file changes
+    private files = new Map<string, { modified: number; lines: string[] }>();
+
+    public setBaseline(folderPath: string, entries: BaselineEntry[]) {
+        this.baselines.set(folderPath, new Map(entries.map(entry => [entry.fingerprint, entry])));
+    }
+
+    public deleteBaseline(folderPath: string) {
+        this.baselines.delete(folderPath);
+    }
+
+    public getBaseline(folderPath: string): BaselineEntry[] {
+        return Array.from(this.baselines.get(folderPath)?.values() ?? []);
+    }
+
+    //The suppression of a finding, expired suppressions are returned too so they can be reported
+    public find(finding: Finding): Suppression | undefined {
+        const inline = this.findInline(finding);
+        if (inline) {
+            return inline;
+        }
+        const folderPath = this.folderOf(finding.filePath);
+        const entry = folderPath !== undefined ? this.baselines.get(folderPath)?.get(this.fingerprint(finding, folderPath)) : undefined;
+        return entry ? new Suppression('baseline', entry.reason, entry.until) : undefined;
+    }
+
+    public isSuppressed(finding: Finding) {
+        const suppression = this.find(finding);
+        return suppression !== undefined && !suppression.isExpired();
+    }
+
+    //A fingerprint that stays the same when lines are added above the finding
+    public fingerprint(finding: Finding, folderPath: string) {
+        const relativePath = path.relative(folderPath, finding.filePath).split(path.sep).join('/');
+        const lineText = this.linesOf(finding.filePath)[finding.location.lineNumber]?.trim() ?? "";
+        return crypto.createHash('sha256')
+            .update([finding.gate, finding.ruleId ?? "", finding.message, relativePath, lineText].join('\0'))
+            .digest('hex');
+    }
+
+    public toBaselineEntry(finding: Finding, folderPath: string, reason?: string, until?: string): BaselineEntry {
+        return {
+            fingerprint: this.fingerprint(finding, folderPath),
+            gate: finding.gate,
+            ruleId: finding.ruleId,
+            filePath: path.relative(folderPath, finding.filePath).split(path.sep).join('/'),
+            message: finding.message,
+            reason: reason,
+            until: until
+        };
+    }
+
+    //The folder of the innermost baseline that contains the file
+    public folderOf(filePath: string): string | undefined {
+        let found: string | undefined;
+        this.baselines.forEach((entries, folderPath) => {
+            const relativePath = path.relative(folderPath, filePath);
+            const contains = !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+            found = contains && (found === undefined || folderPath.length > found.length) ? folderPath : found;
+        });
+        return found;
+    }
+
+    private findInline(finding: Finding): Suppression | undefined {
+        const lines = this.linesOf(finding.filePath);
+        const line = finding.location.lineNumber;
+        for (const commentLine of [line, line - 1]) {
+            const match = ignoreComment.exec(lines[commentLine] ?? "");
+            const ruleIds = match ? match[1].split(',') : [];
+            if (ruleIds.includes("*") || (finding.ruleId !== undefined && ruleIds.includes(finding.ruleId))) {
+                const parameters = parseParameters(match![2]);
+                return new Suppression('inline', parameters.get('reason'), parameters.get('until'), commentLine);
+            }
+        }
+        return undefined;
+    }
+
+    private linesOf(filePath: string) {
+        try {
+            const modified = fs.statSync(filePath).mtimeMs;
+            const cached = this.files.get(filePath);
+            if (cached?.modified === modified) {
+                return cached.lines;
+            }
+            const lines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/);
+            this.files.set(filePath, { modified: modified, lines: lines });
+            return lines;
+        } catch (err) {
+            return [];
+        }
+    }
+}
+
+//The key=value pairs after the rule, a value runs until the next key unless it is quoted
+function parseParameters(text: string) {
+    const parameters = new Map<string, string>();
+    for (const part of text.trim().split(/\s+(?=\w+=)/)) {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            const value = part.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+            parameters.set(part.slice(0, separator), value);
+        }
+    }
+    return parameters;
+}
+
+export const suppressions = new Suppressions();
@@ -5,10 +5,16 @@ import * as gatesList from './gates/gateList.json';
 import { WhispersGate } from './gates/whispers/whispers-gate';
 import { TemplateAnalyzerGate } from './gates/templateAnalyzer/Template-analyzer/Template-gate';
 import { KubesecGate } from './gates/kubesec/kubesecGate/kubesec-gate';
+import { CustomGate } from './customGate/customer-gate';
+import { findingsStore } from './findings/findings-store';
+import { treeOptions } from './tree item classes/tree-options';
+import { groupFindings } from './tree item classes/finding-group';
 
 
 export class GatesProvider implements vscode.TreeDataProvider<TreeItem> {
   public gates: any[] = [];
+  //Resolved when the gates of gateList.json are loaded
+  public ready: Promise<void> = Promise.resolve();
   private _onDidChangeTreeData: vscode.EventEmitter<TreeItem | undefined | null | void> = new vscode.EventEmitter<TreeItem | undefined | null | void>();
   readonly onDidChangeTreeData: vscode.Event<TreeItem | undefined | null | void> = this._onDidChangeTreeData.event;
 
@@ -20,12 +26,33 @@ export class GatesProvider implements vscode.TreeDataProvider<TreeItem> {
   }
 
   loadGates() {
-    gatesList.forEach((gate) => {
-      import(gate.path).then((x: any) => {
+    this.ready = Promise.all(gatesList.map((gate) => {
+      return import(gate.path).then((x: any) => {
         this.gates.push(new x[gate.name]());
       });
 
-    });
+    })).then(() => undefined);
+  }
+
+  //Add a gate that was registered through the api, it is shown like the gates of the extension
+  //The gates of gateList.json are loaded first, so a contributed gate cannot take the label of one of them
+  //The gate is created only when its label is free, a gate listens to the saved files from its creation
+  async registerGate(label: string, createGate: () => CustomGate) {
+    await this.ready;
+    if (this.gates.some(existing => existing.label === label)) {
+      throw new Error(`A gate named ${label} is already registered`);
+    }
+    this.gates.push(createGate());
+    this.refresh();
+  }
+
+  unregisterGate(label: string) {
+    const gate = this.gates.find(existing => existing.label === label);
+    if (gate) {
+      this.gates.splice(this.gates.indexOf(gate), 1);
+      gate.dispose?.();
+      this.refresh();
+    }
   }
 
   getTreeItem(element: Gate): vscode.TreeItem {
@@ -33,9 +60,20 @@ export class GatesProvider implements vscode.TreeDataProvider<TreeItem> {
   }
 
   getChildren(element?: TreeItem | undefined): Thenable<TreeItem[]> {
-    return element === undefined ?
-      Promise.resolve(this.gates) :
-      element.getMoreChildren(this);
+    return element !== undefined ? element.getMoreChildren(this) :
+      treeOptions.groupBy === 'gate' ? Promise.resolve(this.gates) :
+        Promise.resolve(this.groupedFindings());
+  }
+
+  //The findings of the active gates that the filter shows, grouped across the gates
+  private groupedFindings(): TreeItem[] {
+    const groups = groupFindings(findingsStore.getAllFindings().filter(finding => treeOptions.isShown(finding)), treeOptions.groupBy);
+    return groups.length > 0 ? groups :
+      [new TreeItem(treeOptions.isFiltered ? "No findings match the filter" : "No findings", vscode.TreeItemCollapsibleState.None)];
+  }
+
+  getParent(element: TreeItem): TreeItem | undefined {
+    return element.parent;
   }
 
   activeAllGates() {
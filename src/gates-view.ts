@@ -0,0 +1,66 @@
+import * as vscode from 'vscode';
+import { GatesProvider } from './gate-provider';
+import { Severity } from './findings/finding';
+import { findingsStore } from './findings/findings-store';
+import { allSeverities, groupings, treeOptions } from './tree item classes/tree-options';
+
+//Create the view of the gates with its grouping, filter and badge of the open findings
+export function registerGatesView(context: vscode.ExtensionContext, provider: GatesProvider) {
+  const gatesView = vscode.window.createTreeView('package-gates', { treeDataProvider: provider, showCollapseAll: true });
+  const update = () => {
+    const open = findingsStore.getAllFindings().filter(finding => finding.severity !== 'passed').length;
+    gatesView.badge = open > 0 ? { value: open, tooltip: `${open} open findings` } : undefined;
+    gatesView.message = treeOptions.isFiltered ? `Showing findings ${treeOptions.describeFilter()}` : undefined;
+    vscode.commands.executeCommand('setContext', 'securityGate.filtered', treeOptions.isFiltered);
+  };
+  const onOptionsChange = () => {
+    update();
+    provider.refresh();
+  };
+  context.subscriptions.push(
+    gatesView,
+    findingsStore.onDidChangeFindings(() => {
+      update();
+      //The gates refresh their own items, the groups of findings follow the store
+      treeOptions.groupBy !== 'gate' ? provider.refresh() : null;
+    }),
+    vscode.commands.registerCommand('gates.groupBy', async () => {
+      const picked = await vscode.window.showQuickPick(groupings.map(grouping => ({
+        label: grouping.label,
+        description: grouping.groupBy === treeOptions.groupBy ? "current" : undefined,
+        groupBy: grouping.groupBy
+      })), { placeHolder: 'Group the findings by' });
+      if (picked) {
+        treeOptions.groupBy = picked.groupBy;
+        onOptionsChange();
+      }
+    }),
+    vscode.commands.registerCommand('gates.filter', async () => {
+      const text = await vscode.window.showInputBox({
+        prompt: 'Show the findings whose message, rule id or path contains the text, leave empty to show all',
+        value: treeOptions.text
+      });
+      if (text !== undefined) {
+        treeOptions.text = text.trim();
+        onOptionsChange();
+      }
+    }),
+    vscode.commands.registerCommand('gates.filterSeverity', async () => {
+      const picked = await vscode.window.showQuickPick(allSeverities.map(severity => ({
+        label: severity,
+        picked: treeOptions.severities.includes(severity),
+        severity: severity
+      })), { placeHolder: 'Show the findings of these severities', canPickMany: true });
+      if (picked) {
+        treeOptions.severities = picked.length > 0 ? picked.map(item => item.severity as Severity) : allSeverities;
+        onOptionsChange();
+      }
+    }),
+    vscode.commands.registerCommand('gates.clearFilter', () => {
+      treeOptions.clearFilter();
+      onOptionsChange();
+    })
+  );
+  update();
+  return gatesView;
+}
@@ -0,0 +1,33 @@
+import { CustomGate } from '../../customGate/customer-gate';
+import { GetFileSettings } from '../../customGate/gate-functions';
+import { GateData } from '../../customGate/gate-data';
+import { ScanProgress } from '../../findings/scan-progress';
+import { dockerfileDescription, dockerfileLabel, dockerfileLabels, isDockerfile, scanDockerfiles } from './dockerfile-scanner';
+
+export class DockerfileGate extends CustomGate {
+
+    //Labels of treeItems in hierarchy of gate
+    labels: string[] = dockerfileLabels;
+
+    //The name of the gate
+    label: string = dockerfileLabel;
+
+    //Description of gate
+    description: string = dockerfileDescription;
+
+    constructor() {
+        super(dockerfileLabel);
+    }
+
+    public async scanData(progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+        const isFullScan = this.files.length === 0;
+        //Dockerfiles are found by their names, they have no file extension of their own
+        const filePaths = await this.getFiles(new GetFileSettings([""]));
+        return scanDockerfiles(filePaths, isFullScan, progress);
+    }
+
+    protected acceptsFile(filePath: string) {
+        return isDockerfile(filePath);
+    }
+
+}
@@ -0,0 +1,173 @@
+import { SourceRange } from '../../source-locator';
+
+//A line of the file that belongs to an instruction, continued lines and the lines of heredocs included
+export class InstructionLine {
+    constructor(
+        public readonly line: number,
+        public readonly text: string,
+    ) { }
+}
+
+export class DockerInstruction {
+    constructor(
+        //The instruction in upper case, like RUN
+        public readonly keyword: string,
+        //The arguments, continued lines are joined with a space and heredocs are left out
+        public readonly args: string,
+        public readonly lines: InstructionLine[],
+        public readonly heredocs: string[] = [],
+    ) { }
+
+    public get range() {
+        const last = this.lines[this.lines.length - 1];
+        return new SourceRange(this.lines[0].line, 0, last.line, last.text.length);
+    }
+
+    //The command of a RUN, with the scripts of its heredocs
+    public get command() {
+        return [this.args, ...this.heredocs].join('\n');
+    }
+
+    //The arguments without their flags, like the image of "FROM --platform=linux/amd64 node:18 AS build"
+    public get words() {
+        return splitWords(this.args).filter(word => !word.startsWith('--'));
+    }
+
+    //The first match of the pattern on a line of the instruction, or the whole instruction when no line matches
+    public locate(pattern: RegExp) {
+        for (const instructionLine of this.lines) {
+            const match = pattern.exec(instructionLine.text);
+            if (match) {
+                return new SourceRange(instructionLine.line, match.index, instructionLine.line, match.index + match[0].length);
+            }
+        }
+        return this.range;
+    }
+}
+
+//A stage starts with its FROM, the stages of a multi-stage build can copy from each other by their names
+export class DockerStage {
+    constructor(
+        public readonly from: DockerInstruction,
+        public readonly image: string,
+        public readonly name: string | undefined,
+        public readonly instructions: DockerInstruction[] = [],
+    ) { }
+}
+
+export class Dockerfile {
+    constructor(
+        //The ARGs before the first FROM, they can be used in the images of the stages
+        public readonly globalArgs: DockerInstruction[],
+        public readonly stages: DockerStage[],
+    ) { }
+
+    //The stage that is built into the image, unless a build targets another stage
+    public get finalStage(): DockerStage | undefined {
+        return this.stages[this.stages.length - 1];
+    }
+}
+
+//The instructions that can have heredocs, like "RUN <<EOF"
+const heredocKeywords = ["RUN", "COPY", "ADD"];
+
+//Parse a Dockerfile, with its escape directive, line continuations, comments and heredocs
+export function parseDockerfile(content: string): Dockerfile {
+    const lines = content.split(/\r?\n/);
+    const escape = escapeDirective(lines);
+    const instructions: DockerInstruction[] = [];
+    let index = 0;
+    while (index < lines.length) {
+        const keyword = /^\s*([A-Za-z]+)(\s|$)/.exec(lines[index]);
+        if (!keyword || /^\s*#/.test(lines[index])) {
+            index++;
+            continue;
+        }
+        const instructionLines: InstructionLine[] = [];
+        const args: string[] = [];
+        let text = lines[index].slice(keyword[0].length);
+        instructionLines.push(new InstructionLine(index, lines[index]));
+        //A line that ends with the escape character continues on the next line, comments and empty lines between are skipped
+        while (text.trimEnd().endsWith(escape) && index + 1 < lines.length) {
+            args.push(text.trimEnd().slice(0, -escape.length));
+            index++;
+            while (index + 1 < lines.length && (/^\s*#/.test(lines[index]) || lines[index].trim() === "")) {
+                index++;
+            }
+            text = lines[index];
+            instructionLines.push(new InstructionLine(index, lines[index]));
+        }
+        args.push(text);
+        index++;
+        const instructionArgs = args.map(arg => arg.trim()).filter(arg => arg !== "").join(' ');
+        const heredocs: string[] = [];
+        if (heredocKeywords.includes(keyword[1].toUpperCase())) {
+            //The heredocs follow the instruction in the order they are opened, each ends at its delimiter
+            for (const heredoc of instructionArgs.matchAll(/<<(-?)(["']?)([A-Za-z_][A-Za-z0-9_]*)\2/g)) {
+                const body: string[] = [];
+                while (index < lines.length && (heredoc[1] ? lines[index].replace(/^\t+/, '') : lines[index]) !== heredoc[3]) {
+                    body.push(lines[index]);
+                    instructionLines.push(new InstructionLine(index, lines[index]));
+                    index++;
+                }
+                index < lines.length ? instructionLines.push(new InstructionLine(index, lines[index])) : null;
+                index++;
+                heredocs.push(body.join('\n'));
+            }
+        }
+        instructions.push(new DockerInstruction(keyword[1].toUpperCase(), instructionArgs, instructionLines, heredocs));
+    }
+    return toStages(instructions);
+}
+
+//The parser directives are comments at the top of the file, like "# escape=`" for Windows images
+function escapeDirective(lines: string[]) {
+    for (const line of lines) {
+        const directive = /^\s*#\s*([a-zA-Z]+)\s*=\s*(\S+)\s*$/.exec(line);
+        if (!directive) {
+            break;
+        }
+        if (directive[1].toLowerCase() === 'escape') {
+            return directive[2];
+        }
+    }
+    return '\\';
+}
+
+function toStages(instructions: DockerInstruction[]) {
+    const globalArgs: DockerInstruction[] = [];
+    const stages: DockerStage[] = [];
+    instructions.forEach((instruction) => {
+        if (instruction.keyword === 'FROM') {
+            const [image, as, name] = instruction.words;
+            stages.push(new DockerStage(instruction, image ?? "", as?.toUpperCase() === 'AS' ? name : undefined));
+        } else {
+            stages.length > 0 ? stages[stages.length - 1].instructions.push(instruction) : instruction.keyword === 'ARG' ? globalArgs.push(instruction) : null;
+        }
+    });
+    return new Dockerfile(globalArgs, stages);
+}
+
+//Words separated by spaces, quoted words keep their spaces and lose their quotes
+//A quoted part of a word keeps its spaces too, like KEY="two words"
+export function splitWords(text: string) {
+    return (text.match(/(?:"(?:[^"\\]|\\.)*"|'[^']*'|[^\s"']+|["'])+/g) ?? []).map(word => word.replace(/^(["'])(.*)\1$/, '$2'));
+}
+
+//The variables an ENV or ARG sets, "ENV KEY=value OTHER=value", the legacy "ENV KEY value" and "ARG NAME" without a default
+export function variablesOf(instruction: DockerInstruction): [string, string | undefined][] {
+    const words = splitWords(instruction.args);
+    if (instruction.keyword === 'ENV' && words.length > 0 && !words[0].includes('=')) {
+        return [[words[0], words.slice(1).join(' ')]];
+    }
+    return words.map((word) => {
+        const separator = word.indexOf('=');
+        return separator === -1 ? [word, undefined] : [word.slice(0, separator), word.slice(separator + 1).replace(/^(["'])(.*)\1$/, '$2')];
+    });
+}
+
+//Replace $NAME, ${NAME} and ${NAME:-default} with the values of the variables, unknown variables are kept
+export function substituteVariables(text: string, variables: Map<string, string>) {
+    return text.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::?-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)/g,
+        (variable, name, defaultValue, plainName) => variables.get(name ?? plainName) ?? defaultValue ?? variable);
+}
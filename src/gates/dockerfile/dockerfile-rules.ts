@@ -0,0 +1,130 @@
+import { SourceRange } from '../../source-locator';
+import { secretName } from '../../customGate/rule-issues';
+import { DockerInstruction, Dockerfile, splitWords, substituteVariables, variablesOf } from './dockerfile-parser';
+
+export type DockerfileSeverity = 'High' | 'Medium' | 'Low';
+
+//An issue of a rule, located at the line of the instruction that causes it
+export class DockerfileIssue {
+    constructor(
+        public readonly ruleId: string,
+        public readonly message: string,
+        public readonly severity: DockerfileSeverity,
+        public readonly range: SourceRange,
+    ) { }
+}
+
+export class DockerfileRule {
+    constructor(
+        public readonly id: string,
+        public readonly message: string,
+        public readonly severity: DockerfileSeverity,
+        //The ranges of the issues, with details added to the message of the rule
+        public readonly check: (dockerfile: Dockerfile) => { range: SourceRange, detail?: string }[],
+    ) { }
+}
+
+//curl or wget whose output is piped into a shell
+const pipeToShell = /\b(curl|wget)\b[^|;&\n]*\|\s*(sudo\s+)?(\S*\/)?(ba|z|da|k|a)?sh\b/;
+
+//The commands of a shell line, split at &&, ||, ; and |, without sudo
+function commandsOf(command: string) {
+    return command.split(/&&|\|\||;|\||\n/).map(part => splitWords(part.trim().replace(/^sudo\s+/, '')));
+}
+
+function variablePattern(name: string) {
+    return new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`);
+}
+
+function instructionsOf(dockerfile: Dockerfile, keyword: string) {
+    return dockerfile.stages.flatMap(stage => stage.instructions.filter(instruction => instruction.keyword === keyword));
+}
+
+//The image of a stage with the defaults of the global ARGs, undefined when it is a previous stage or it depends on a variable without a default
+function resolvedImages(dockerfile: Dockerfile) {
+    const variables = new Map<string, string>();
+    dockerfile.globalArgs.forEach(arg => variablesOf(arg).forEach(([name, value]) => value !== undefined ? variables.set(name, value) : null));
+    const stageNames = new Set<string>();
+    return dockerfile.stages.map((stage) => {
+        const image = substituteVariables(stage.image, variables);
+        const isStage = stageNames.has(image.toLowerCase());
+        stage.name ? stageNames.add(stage.name.toLowerCase()) : null;
+        return { stage: stage, image: isStage || image.includes('$') || image.toLowerCase() === 'scratch' ? undefined : image };
+    });
+}
+
+//The tag of "registry:5000/team/node:18-alpine" is "18-alpine", an image pinned by its digest has no tag to check
+function tagOf(image: string) {
+    const name = image.slice(image.lastIndexOf('/') + 1);
+    return name.includes(':') ? name.slice(name.indexOf(':') + 1) : undefined;
+}
+
+//The user of the final stage is the last USER of the stage, or of the stages it is built from
+function finalUser(dockerfile: Dockerfile): DockerInstruction | undefined {
+    let stage = dockerfile.finalStage;
+    while (stage) {
+        const users = stage.instructions.filter(instruction => instruction.keyword === 'USER');
+        if (users.length > 0) {
+            return users[users.length - 1];
+        }
+        const base = stage.image.toLowerCase();
+        stage = dockerfile.stages.slice(0, dockerfile.stages.indexOf(stage)).reverse().find(previous => previous.name?.toLowerCase() === base);
+    }
+    return undefined;
+}
+
+function isRoot(user: DockerInstruction) {
+    const name = (user.words[0] ?? "").split(':')[0];
+    return name === 'root' || name === '0';
+}
+
+export const dockerfileRules: DockerfileRule[] = [
+    new DockerfileRule("RootUser", "The container runs as root, switch to an unprivileged USER at the end of the final stage", 'High',
+        (dockerfile) => {
+            const user = finalUser(dockerfile);
+            return user && isRoot(user) ? [{ range: user.range }] : [];
+        }),
+    new DockerfileRule("MissingUser", "The final stage has no USER, so the container runs as root unless the base image sets a user", 'Medium',
+        dockerfile => dockerfile.finalStage && !finalUser(dockerfile) ? [{ range: dockerfile.finalStage.from.range }] : []),
+    new DockerfileRule("LatestTag", "The base image uses the latest tag, pin a version so builds are reproducible", 'Medium',
+        dockerfile => resolvedImages(dockerfile)
+            .filter(({ image }) => image && !image.includes('@') && tagOf(image) === 'latest')
+            .map(({ stage, image }) => ({ range: stage.from.locate(/\S+:latest\b/), detail: image }))),
+    new DockerfileRule("UntaggedImage", "The base image has no tag or digest, so it is the latest image, pin a version so builds are reproducible", 'Medium',
+        dockerfile => resolvedImages(dockerfile)
+            .filter(({ image }) => image && !image.includes('@') && tagOf(image) === undefined)
+            .map(({ stage, image }) => ({ range: stage.from.range, detail: image }))),
+    new DockerfileRule("AddFromUrl", "ADD downloads a remote file without checking it, download it with RUN and verify its checksum or use ADD --checksum", 'Medium',
+        dockerfile => instructionsOf(dockerfile, 'ADD')
+            .filter(add => !/--checksum=/.test(add.args) && add.words.slice(0, -1).some(source => /^(https?|git):\/\/|^git@/.test(source)))
+            .map(add => ({ range: add.locate(/(https?|git):\/\/\S+|git@\S+/) }))),
+    new DockerfileRule("SecretInEnv", "A secret in ENV is stored in the image and visible to everyone who can pull it, use a build secret or set it at runtime", 'High',
+        dockerfile => instructionsOf(dockerfile, 'ENV').flatMap(env => variablesOf(env)
+            .filter(([name, value]) => secretName.test(name) && value !== undefined && value !== "")
+            .map(([name]) => ({ range: env.locate(variablePattern(name)), detail: name })))),
+    new DockerfileRule("SecretInArg", "A secret in ARG is stored in the history of the image, use a build secret with RUN --mount=type=secret", 'Medium',
+        dockerfile => [...dockerfile.globalArgs, ...instructionsOf(dockerfile, 'ARG')].flatMap(arg => variablesOf(arg)
+            .filter(([name]) => secretName.test(name))
+            .map(([name]) => ({ range: arg.locate(variablePattern(name)), detail: name })))),
+    new DockerfileRule("CurlPipeShell", "A script downloaded with curl or wget is piped into a shell without being verified", 'High',
+        dockerfile => instructionsOf(dockerfile, 'RUN')
+            .filter(run => pipeToShell.test(run.command))
+            .map(run => ({ range: run.locate(/\b(curl|wget)\b/) }))),
+    new DockerfileRule("MissingHealthcheck", "The final stage has no HEALTHCHECK, so the container engine cannot tell when the service stops responding", 'Low',
+        dockerfile => dockerfile.finalStage && !dockerfile.finalStage.instructions.some(instruction => instruction.keyword === 'HEALTHCHECK') ?
+            [{ range: dockerfile.finalStage.from.range }] :
+            []),
+    new DockerfileRule("AptGetUnpinned", "apt-get install without versions installs whatever is latest, pin the packages like curl=7.88.1-10", 'Low',
+        dockerfile => instructionsOf(dockerfile, 'RUN').flatMap((run) => {
+            const unpinned = commandsOf(run.command)
+                .filter(words => /^(apt-get|apt)$/.test(words[0] ?? "") && words.includes('install'))
+                .flatMap(words => words.slice(words.indexOf('install') + 1).filter(word => !word.startsWith('-') && !word.includes('=') && !word.includes('$')));
+            return unpinned.length > 0 ? [{ range: run.locate(/\bapt(-get)?\s+(-\S+\s+)*install\b/), detail: unpinned.join(', ') }] : [];
+        }))
+];
+
+//Check a Dockerfile against all the rules
+export function checkDockerfile(dockerfile: Dockerfile): DockerfileIssue[] {
+    return dockerfileRules.flatMap(rule => rule.check(dockerfile).map(({ range, detail }) =>
+        new DockerfileIssue(rule.id, detail ? `${rule.message}: ${detail}` : rule.message, rule.severity, range)));
+}
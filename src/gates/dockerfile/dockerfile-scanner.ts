@@ -0,0 +1,34 @@
+import path = require('path');
+import { GateData } from '../../customGate/gate-data';
+import { rulesHash, scanRuleIssues } from '../../customGate/rule-issues';
+import { scanCache } from '../../findings/scan-cache';
+import { ScanProgress } from '../../findings/scan-progress';
+import { parseDockerfile } from './dockerfile-parser';
+import { checkDockerfile, DockerfileSeverity, dockerfileRules } from './dockerfile-rules';
+
+export const dockerfileLabel = "Dockerfile";
+
+export const dockerfileDescription = "Checks Dockerfiles for root users, unpinned base images and packages, remote ADDs, secrets in ENV and ARG, curl piped into a shell and missing health checks.";
+
+export const dockerfileLabels: DockerfileSeverity[] = ["High", "Medium", "Low"];
+
+const dockerfileRulesHash = rulesHash(dockerfileRules);
+
+//Dockerfile, Dockerfile.prod, api.dockerfile and Containerfile
+export function isDockerfile(filePath: string) {
+    const fileName = path.basename(filePath).toLowerCase();
+    return /^(dockerfile|containerfile)(\..+)?$/.test(fileName) || fileName.endsWith(".dockerfile");
+}
+
+//The Dockerfiles are parsed and checked in process, files that did not change take their issues from the cache
+//A full scan drops the cached issues of the files it did not scan
+export async function scanDockerfiles(filePaths: string[], isFullScan: boolean, progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+    const dockerfiles = filePaths.filter(isDockerfile);
+    const gateData = await scanRuleIssues(dockerfileLabels, dockerfiles, progress, async (filePath) => {
+        const cached = await scanCache.scanFiles(dockerfileLabel, [filePath], dockerfileRulesHash, (file: string, content: string) =>
+            checkDockerfile(parseDockerfile(content)));
+        return cached.get(filePath) ?? [];
+    });
+    isFullScan ? scanCache.retain(dockerfileLabel, dockerfiles) : null;
+    return gateData;
+}
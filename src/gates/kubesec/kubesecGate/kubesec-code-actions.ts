@@ -0,0 +1,68 @@
+import * as vscode from 'vscode';
+import { findingRange } from '../../../findings/diagnostics';
+import { findingsStore } from '../../../findings/findings-store';
+import { kubesecRules } from '../rules/kubesec-rules';
+import { documentIndexAt, isFixableRule, kubesecFix, ManifestFix } from '../rules/kubesec-fixes';
+import { ScoringItem } from '../treeItemClasses/scoring';
+import { gateLabel } from './kubesec-scanner';
+
+//Offer fixes for the kubesec findings of manifests, as quick fixes in the editor and from the items of the tree
+export function registerKubesecCodeActions(context: vscode.ExtensionContext) {
+    context.subscriptions.push(
+        vscode.languages.registerCodeActionsProvider({ scheme: 'file', pattern: '**/*.{yaml,yml}' }, new KubesecCodeActionProvider(),
+            { providedCodeActionKinds: KubesecCodeActionProvider.providedCodeActionKinds }),
+        vscode.commands.registerCommand('kubesec.fixScoring', (item: ScoringItem) => fixScoringItem(item))
+    );
+}
+
+class KubesecCodeActionProvider implements vscode.CodeActionProvider {
+    public static readonly providedCodeActionKinds = [vscode.CodeActionKind.QuickFix];
+
+    public provideCodeActions(document: vscode.TextDocument, range: vscode.Range | vscode.Selection, context: vscode.CodeActionContext) {
+        const content = document.getText();
+        const actions = new Map<string, vscode.CodeAction>();
+        const findings = findingsStore.getFileFindings(document.fileName).filter(finding =>
+            finding.gate === gateLabel && finding.severity !== 'passed' && isFixableRule(finding.ruleId) && findingRange(finding).intersection(range));
+        for (const finding of findings) {
+            const documentIndex = documentIndexAt(content, finding.location.lineNumber);
+            const key = `${documentIndex}:${finding.ruleId}`;
+            const fix = actions.has(key) ? undefined : fixOf(content, finding.ruleId!, documentIndex);
+            if (fix) {
+                const action = new vscode.CodeAction(fix.title, vscode.CodeActionKind.QuickFix);
+                action.edit = toWorkspaceEdit(document, fix);
+                action.diagnostics = context.diagnostics.filter(diagnostic => diagnostic.source === gateLabel && codeOf(diagnostic) === fix.ruleId);
+                actions.set(key, action);
+            }
+        }
+        return Array.from(actions.values());
+    }
+}
+
+function fixOf(content: string, ruleId: string, documentIndex: number) {
+    const rule = kubesecRules.find(kubesecRule => kubesecRule.id === ruleId);
+    return rule ? kubesecFix(content, rule.id, rule.selector, documentIndex) : undefined;
+}
+
+function codeOf(diagnostic: vscode.Diagnostic) {
+    return typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code;
+}
+
+//The edits need a confirmation, so they open in the refactor preview before they are applied
+function toWorkspaceEdit(document: vscode.TextDocument, fix: ManifestFix) {
+    const edit = new vscode.WorkspaceEdit();
+    const metadata: vscode.WorkspaceEditEntryMetadata = { needsConfirmation: true, label: fix.title };
+    fix.edits.forEach(manifestEdit => edit.replace(document.uri,
+        new vscode.Range(document.positionAt(manifestEdit.start), document.positionAt(manifestEdit.end)), manifestEdit.text, metadata));
+    return edit;
+}
+
+async function fixScoringItem(item: ScoringItem) {
+    const document = await vscode.workspace.openTextDocument(item.filePath);
+    const fix = kubesecFix(document.getText(), item.name, item.selector, item.documentIndex);
+    if (!fix) {
+        vscode.window.showInformationMessage(`There is nothing to fix for ${item.name} in ${item.filePath}`);
+        return;
+    }
+    await vscode.window.showTextDocument(document);
+    await vscode.workspace.applyEdit(toWorkspaceEdit(document, fix));
+}
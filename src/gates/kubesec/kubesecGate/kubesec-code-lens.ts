@@ -0,0 +1,95 @@
+import * as vscode from 'vscode';
+import { GatesProvider } from '../../../gate-provider';
+import { TreeItem } from '../../../tree item classes/tree-item';
+import { findingsStore, normalizePath } from '../../../findings/findings-store';
+import { SourceLocator } from '../../../source-locator';
+import { treeOptions } from '../../../tree item classes/tree-options';
+import { Category } from '../treeItemClasses/category';
+import { File } from '../treeItemClasses/file';
+import { KubesecGate } from './kubesec-gate';
+import { isKubesecFile } from './kubesec-scanner';
+
+//The categories a file is searched under when it is revealed, the most severe first
+const revealOrder = ["Critical", "Advise", "Passed"];
+
+//Show the kubesec score of every resource of a manifest above its kind, with links to the tree and to scan it again
+export function registerKubesecCodeLens(context: vscode.ExtensionContext, provider: GatesProvider, gatesView: vscode.TreeView<TreeItem>) {
+    const codeLensProvider = new KubesecCodeLensProvider(provider);
+    context.subscriptions.push(
+        vscode.languages.registerCodeLensProvider({ scheme: 'file', pattern: '**/*.{yaml,yml}' }, codeLensProvider),
+        findingsStore.onDidChangeFindings(() => codeLensProvider.refresh()),
+        vscode.commands.registerCommand('kubesec.revealFile', (filePath: string) => revealFile(provider, gatesView, filePath)),
+        vscode.commands.registerCommand('kubesec.rescanFile', (filePath: string) => rescanFile(provider, filePath))
+    );
+}
+
+class KubesecCodeLensProvider implements vscode.CodeLensProvider {
+    private _onDidChangeCodeLenses = new vscode.EventEmitter<void>();
+    readonly onDidChangeCodeLenses = this._onDidChangeCodeLenses.event;
+
+    constructor(private readonly provider: GatesProvider) { }
+
+    public refresh() {
+        this._onDidChangeCodeLenses.fire();
+    }
+
+    public provideCodeLenses(document: vscode.TextDocument): vscode.CodeLens[] {
+        const gate = kubesecGateOf(this.provider);
+        const file = gate?.getIsActive() && isKubesecFile(document.fileName) ?
+            gate.data.find(entry => normalizePath(entry.filePath) === normalizePath(document.fileName)) :
+            undefined;
+        if (!file) {
+            return [];
+        }
+        //The kinds are located in the text of the editor, so the lenses follow unsaved edits
+        const locator = new SourceLocator(document.getText());
+        return file.kubesecResult.flatMap((resource: any, index: number) => {
+            const kind = locator.resolvePath(["kind"], resource.documentIndex ?? index);
+            if (!kind) {
+                return [];
+            }
+            const range = new vscode.Range(kind.range.startLine, 0, kind.range.startLine, 0);
+            const title = resource.valid === false ?
+                `Kubesec: ${resource.message}` :
+                `Kubesec score ${resource.score}: ${visibleItems(resource.scoring?.critical).length} critical, ${visibleItems(resource.scoring?.advise).length} advise`;
+            return [
+                new vscode.CodeLens(range, { title: title, command: 'kubesec.revealFile', arguments: [file.filePath], tooltip: "Show the file in the gates view" }),
+                new vscode.CodeLens(range, { title: "Rescan", command: 'kubesec.rescanFile', arguments: [file.filePath] })
+            ];
+        });
+    }
+}
+
+function kubesecGateOf(provider: GatesProvider): KubesecGate | undefined {
+    return provider.gates.find(gate => gate instanceof KubesecGate);
+}
+
+//Suppressed items are not counted, like they are not shown in the tree
+function visibleItems(items: any[] | undefined) {
+    return (items ?? []).filter(item => !item.finding || !findingsStore.isSuppressed(item.finding));
+}
+
+async function revealFile(provider: GatesProvider, gatesView: vscode.TreeView<TreeItem>, filePath: string) {
+    //The files are in the hierarchy of the gate, which the tree shows when it is grouped by gate
+    if (treeOptions.groupBy !== 'gate') {
+        treeOptions.groupBy = 'gate';
+        provider.refresh();
+    }
+    const gate = kubesecGateOf(provider);
+    const categories = (gate ? await gate.getMoreChildren(provider) : []).filter((item): item is Category => item instanceof Category);
+    for (const category of revealOrder.map(label => categories.find(item => item.name === label))) {
+        const files: File[] = category ? await category.getMoreChildren(provider) : [];
+        const file = files.find(item => normalizePath(item.path) === normalizePath(filePath));
+        if (file) {
+            await gatesView.reveal(file, { select: true, focus: true, expand: true });
+            return;
+        }
+    }
+    vscode.window.showInformationMessage(`${filePath} has no Kubesec results`);
+}
+
+//The gate scans saved files, saving a changed file scans it
+async function rescanFile(provider: GatesProvider, filePath: string) {
+    const document = vscode.workspace.textDocuments.find(item => normalizePath(item.fileName) === normalizePath(filePath));
+    document?.isDirty ? await document.save() : await kubesecGateOf(provider)?.refresh([filePath]);
+}
@@ -6,9 +6,10 @@ import { Category } from '../treeItemClasses/category';
 import { Gate } from '../treeItemClasses/gate';
 import { TreeItem } from '../treeItemClasses/tree-item';
 
-import { kubesec, sendFilesToKubesec } from './kubesec';
+import { findingsStore } from '../../../findings/findings-store';
+import { runScan } from '../../../findings/scan-runner';
+import { isKubesecFile, kubesec, kubesecFindings, sendFilesToKubesec } from './kubesec-scanner';
 
-const documentType = "yaml";
 export class KubesecGate extends Gate {
 
   public myProvider: GatesProvider | undefined;
@@ -28,13 +29,18 @@ export class KubesecGate extends Gate {
   public async getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined): Promise<TreeItem[]> {
     this.myProvider = <GatesProvider>element;
     if (this.getIsActive() === true) {
-      this.data.length === 0 ? this.data = await kubesec() : this.data;
-      let criticalData = this.data.filter((element) => { return element.kubesecResult[0].scoring?.critical?.length > 0; });
-      let passedData = this.data.filter((element) => { return element.kubesecResult[0].scoring?.passed?.length > 0; });
-      let adviseData = this.data.filter((element) => { return element.kubesecResult[0].scoring?.advise?.length > 0; });
-      return Promise.resolve([new Category("Critical", vscode.TreeItemCollapsibleState.Collapsed, criticalData),
+      if (this.data.length === 0) {
+        this.data = await runScan(this.label, kubesec) ?? [];
+        findingsStore.setGateFindings(this.label, await kubesecFindings(this.label, this.data));
+      }
+      let criticalData = this.data.filter((element) => { return element.kubesecResult.some((resource: any) => resource.scoring?.critical?.length > 0); });
+      let passedData = this.data.filter((element) => { return element.kubesecResult.some((resource: any) => resource.scoring?.passed?.length > 0); });
+      let adviseData = this.data.filter((element) => { return element.kubesecResult.some((resource: any) => resource.scoring?.advise?.length > 0); });
+      const categories = [new Category("Critical", vscode.TreeItemCollapsibleState.Collapsed, criticalData),
       new Category("Passed", vscode.TreeItemCollapsibleState.Collapsed, passedData),
-      new Category("Advise", vscode.TreeItemCollapsibleState.Collapsed, adviseData)]);
+      new Category("Advise", vscode.TreeItemCollapsibleState.Collapsed, adviseData)];
+      categories.forEach(category => category.parent = this);
+      return Promise.resolve(categories);
 
     }
     else {
@@ -45,17 +51,32 @@ export class KubesecGate extends Gate {
 
   public async refresh(changeFiles: string[] | undefined) {
 
-    if (changeFiles) {
+    if (changeFiles && this.getIsActive()) {
+      const newData = await runScan(this.label, progress => sendFilesToKubesec(changeFiles, progress));
+      if (!newData) {
+        return;
+      }
       this.data = this.data.filter(elem => !changeFiles?.includes(elem.filePath));
-      const newData = await sendFilesToKubesec(changeFiles);
       for (const newFile of newData) {
         this.data.push(newFile);
       }
+      findingsStore.setFileFindings(this.label, changeFiles, await kubesecFindings(this.label, newData));
       this.myProvider?.refresh(this);
 
     }
   }
 
+  //Scan all the manifests again, a cancelled scan keeps the last results
+  public async rescan() {
+    const data = await runScan(this.label, kubesec);
+    if (!data) {
+      return;
+    }
+    this.data = data;
+    findingsStore.setGateFindings(this.label, await kubesecFindings(this.label, this.data));
+    this.myProvider?.refresh(this);
+  }
+
   public async activate() {
     super.activate();
     this.data = [];
@@ -65,6 +86,7 @@ export class KubesecGate extends Gate {
 
   public async deactivate() {
     super.deactivate();
+    findingsStore.clearGate(this.label);
     this.myProvider?.refresh();
   }
 
@@ -72,7 +94,7 @@ export class KubesecGate extends Gate {
     let arrResult: string[] = [];
     workspace.onDidSaveTextDocument((document: TextDocument) => {
       arrResult = [];
-      document.uri.scheme === "file" && document.languageId === documentType ?
+      document.uri.scheme === "file" && isKubesecFile(document.fileName) ?
         arrResult.push(document.fileName) :
         arrResult;
 
@@ -0,0 +1,133 @@
+import { fileKubesecResultToOutputChannel } from '../output-channel';
+import { Finding, Severity } from '../../../findings/finding';
+import { Location } from '../../../customGate/gate-data';
+import { getGateFiles } from '../../../customGate/gate-functions';
+import { scanManifest } from '../rules/rule-engine';
+import { kubesecSelectorPaths } from '../rules/kubesec-selector';
+import { SourceLocator } from '../../../source-locator';
+import { parseAllDocuments } from 'yaml';
+import { securityGateConfigs } from '../../../config/security-gate-config';
+import { scanCache } from '../../../findings/scan-cache';
+import { ScanProgress } from '../../../findings/scan-progress';
+import { getHost } from '../../../host/gate-host';
+import { isPipelineFile } from '../../pipelines/pipeline-scanner';
+import fs = require('fs');
+
+const axios = require('axios');
+
+const fileType = '.yaml';
+export const gateLabel = "Kubesec";
+const scoringSeverities: [string, Severity][] = [['critical', 'error'], ['advise', 'warning'], ['passed', 'passed']];
+
+export async function kubesec(progress: ScanProgress = new ScanProgress()) {
+    const files = await getFiles();
+    const results = await sendFilesToKubesec(files, progress);
+    scanCache.retain(gateLabel, files);
+    return results;
+}
+
+
+//Workflows and pipelines are YAML too, the Pipelines gate checks them
+async function getFiles() {
+    return (await getGateFiles(gateLabel, [fileType])).filter(filePath => !isPipelineFile(filePath));
+}
+
+//Whether a saved file is a manifest that the gate scans
+export function isKubesecFile(filePath: string) {
+    return !isPipelineFile(filePath) && securityGateConfigs.filterFiles(gateLabel, [filePath], [fileType]).length > 0;
+}
+
+
+//Manifests are scanned locally, unless the remote kubesec.io api is enabled in the settings
+//The mode in the configuration of the workspace wins over the settings
+function useRemoteKubesec(filePath: string) {
+    const mode = securityGateConfigs.option<string>(gateLabel, 'mode', filePath) ??
+        getHost().getSetting<string>('microsoft.security.gate.kubesec', 'mode', 'local', filePath);
+    return mode === 'remote';
+}
+
+//Manifests that did not change since they were scanned in the same mode take their results from the cache
+async function sendFileToKubesec(filePath: string, progress: ScanProgress) {
+    const remote = useRemoteKubesec(filePath);
+    const scanned = await scanCache.scanFiles(gateLabel, [filePath], remote ? 'remote' : 'local', (file: string, content: string) => remote ?
+        sendDocumentsToKubesec(content, progress) :
+        scanManifest(content, file));
+    const results = scanned.get(filePath) ?? [];
+    fileKubesecResultToOutputChannel(filePath, results);
+    return results;
+}
+
+//Every document of the manifest is sent on its own, so its results know the document they belong to
+//A cancelled scan aborts the request that is running
+async function sendDocumentsToKubesec(file: string, progress: ScanProgress) {
+    const results: any[] = [];
+    const documents = Array.from(parseAllDocuments(file));
+    const controller = new AbortController();
+    const cancellation = progress.token.onCancellationRequested?.(() => controller.abort());
+    try {
+        for (const [documentIndex, document] of documents.entries()) {
+            progress.throwIfCancelled();
+            if (document.errors.length === 0 && document.toJS() === null) {
+                continue;
+            }
+            const response = await axios({
+                method: "post",
+                url: 'https://v2.kubesec.io/scan',
+                data: Buffer.from(file.slice(document.range[0], document.range[2])),
+                headers:
+                {
+                    "Content-Type": `text/yaml`
+                },
+                signal: controller.signal
+            });
+            response.data.forEach((result: any) => results.push({ ...result, documentIndex: documentIndex }));
+        }
+    } finally {
+        cancellation?.dispose();
+    }
+    return results;
+}
+
+
+
+
+//The manifests are scanned a few at a time, as many as the concurrency of the progress
+export async function sendFilesToKubesec(files: string[], progress: ScanProgress = new ScanProgress()) {
+    const scanned = await progress.forEachFile(files, file => sendFileToKubesec(file, progress));
+    return Array.from(scanned, ([file, kubesecResult]) => (
+        {
+            'filePath': file,
+            'kubesecResult': kubesecResult
+        }));
+}
+
+
+//Locate a selector of a kubesec result in a document of the manifest
+export function locateSelector(locator: SourceLocator, selector: string, documentIndex: number = 0) {
+    const kind = locator.rootValue('kind', documentIndex);
+    return locator.resolveAnyPath(kubesecSelectorPaths(selector, typeof kind === 'string' ? kind : undefined), documentIndex);
+}
+
+//Convert the kubesec results of files to findings, located by their selectors
+export async function kubesecFindings(gateLabel: string, data: { filePath: string; kubesecResult: any; }[]) {
+    const findings: Finding[] = [];
+    for (const file of data) {
+        if (!fs.existsSync(file.filePath)) {
+            continue;
+        }
+        const locator = new SourceLocator(fs.readFileSync(file.filePath, 'utf-8'));
+        for (const resource of file.kubesecResult) {
+            for (const [category, severity] of scoringSeverities) {
+                resource.scoring?.[category]?.forEach((item: any) => {
+                    const location = locateSelector(locator, item.selector, resource.documentIndex ?? 0)?.range.toLocation() ?? new Location(0);
+                    const finding = new Finding(gateLabel, file.filePath, severity, `${resource.object}: ${item.reason}`, location, item.id);
+                    finding.points = item.points;
+                    //The tree items of the result show and suppress this finding
+                    item.finding = finding;
+                    findings.push(finding);
+                });
+            }
+        }
+    }
+    return findings;
+}
@@ -0,0 +1,220 @@
+import { isMap, isScalar, isSeq, parseAllDocuments, Pair, Scalar, YAMLMap, YAMLSeq } from 'yaml';
+import { podSpecPaths } from './rule-engine';
+import { splitKubesecSelector } from './kubesec-selector';
+
+//A replacement of the text between two offsets of a manifest, an insertion when they are equal
+export class ManifestEdit {
+    constructor(
+        public readonly start: number,
+        public readonly end: number,
+        public readonly text: string,
+    ) { }
+}
+
+//The edits that make a document of a manifest pass a rule
+export class ManifestFix {
+    constructor(
+        public readonly ruleId: string,
+        public readonly title: string,
+        public readonly edits: ManifestEdit[],
+    ) { }
+}
+
+//The rules that have a fix, the fix sets what the selector of the rule checks
+const fixTitles = new Map<string, string>([
+    ["RunAsNonRoot", "Run the containers as a non-root user"],
+    ["RunAsUser", "Run the containers with a user id above 10000"],
+    ["ReadOnlyRootFilesystem", "Make the root filesystem of the containers read-only"],
+    ["CapDropAll", "Drop all capabilities of the containers"],
+    ["CapDropAny", "Drop all capabilities of the containers"],
+    ["LimitsCPU", "Add a CPU limit to the containers"],
+    ["LimitsMemory", "Add a memory limit to the containers"],
+    ["RequestsCPU", "Add a CPU request to the containers"],
+    ["RequestsMemory", "Add a memory request to the containers"],
+    ["AutomountServiceAccountToken", "Do not mount the service account token"],
+]);
+
+//Selectors of resources only check that a value is set, these are starting points to tune
+const defaultResources = new Map<string, string>([
+    ["limits.cpu", "500m"], ["limits.memory", "512Mi"], ["requests.cpu", "100m"], ["requests.memory", "128Mi"]
+]);
+
+//What a fix writes at the end of the path of a selector: a value, or an item of a list
+//A list with any item passes when the rule only checks that something is in it
+type FixTarget = { value: string, satisfies: (value: unknown) => boolean } | { item: string, anyItem?: boolean };
+
+export function isFixableRule(ruleId: string | undefined) {
+    return ruleId !== undefined && fixTitles.has(ruleId);
+}
+
+function fixTarget(keys: string[], condition: string): FixTarget | undefined {
+    const item = /^\|\s*index\("([^"]+)"\)$/.exec(condition);
+    const equals = /^==\s*(\S+)$/.exec(condition);
+    const greater = /^-gt\s+(\d+)$/.exec(condition);
+    if (item) {
+        return { item: item[1] };
+    }
+    if (equals) {
+        return { value: equals[1], satisfies: value => String(value) === equals[1] };
+    }
+    if (greater) {
+        const minimum = Number(greater[1]);
+        return { value: String(minimum + 1), satisfies: value => typeof value === 'number' && value > minimum };
+    }
+    if (condition !== "") {
+        return undefined;
+    }
+    //Any dropped capability passes, dropping all of them passes the stricter rule too
+    if (keys[keys.length - 1] === "drop") {
+        return { item: "ALL", anyItem: true };
+    }
+    const resource = defaultResources.get(keys.slice(-2).join('.'));
+    return resource ? { value: resource, satisfies: value => value !== null && value !== undefined && value !== "" } : undefined;
+}
+
+//The fix of a rule for a document of a manifest, undefined when the rule has no fix or the document already passes it
+export function kubesecFix(content: string, ruleId: string, selector: string, documentIndex: number): ManifestFix | undefined {
+    const title = fixTitles.get(ruleId);
+    const { keys, condition } = splitKubesecSelector(selector);
+    const target = title ? fixTarget(keys, condition) : undefined;
+    const document = Array.from(parseAllDocuments(content))[documentIndex];
+    if (!title || !target || !document || document.errors.length > 0 || !isMap(document.contents)) {
+        return undefined;
+    }
+    const specPath = podSpecPaths.get(String(document.contents.get('kind')));
+    const podSpec = specPath ? nodeAt(document.contents, specPath) : undefined;
+    if (!isMap(podSpec)) {
+        return undefined;
+    }
+    const maps = keys[0] === "containers[]" ? containersOf(podSpec) : keys[0] === "spec" ? [podSpec] : [];
+    const editor = new ManifestEditor(content);
+    const edits = maps.map(map => editor.ensure(map, keys.slice(1), target))
+        .filter((edit): edit is ManifestEdit => edit !== undefined);
+    return edits.length > 0 ? new ManifestFix(ruleId, title, edits) : undefined;
+}
+
+//The index of the document of a manifest that a zero based line is in
+export function documentIndexAt(content: string, line: number) {
+    const lineOffset = content.split('\n').slice(0, line).reduce((offset, text) => offset + text.length + 1, 0);
+    const index = Array.from(parseAllDocuments(content)).findIndex(document => document.range && lineOffset <= document.range[2]);
+    return Math.max(index, 0);
+}
+
+function nodeAt(map: YAMLMap, keys: string[]) {
+    return keys.reduce<unknown>((node, key) => isMap(node) ? node.get(key, true) : undefined, map);
+}
+
+//The containers and init containers of a pod spec
+function containersOf(podSpec: YAMLMap) {
+    return ["containers", "initContainers"].flatMap((key) => {
+        const containers = podSpec.get(key, true);
+        return isSeq(containers) ? containers.items.filter(isMap) : [];
+    });
+}
+
+//A key without a value, like "securityContext:"
+function isEmpty(node: unknown) {
+    return node === null || node === undefined || (isScalar(node) && (node.value === null || node.value === undefined));
+}
+
+//Writes the edits of a fix in the style of the manifest, nested keys are indented like its other nested keys
+class ManifestEditor {
+    private readonly indentUnit: number;
+
+    constructor(private readonly content: string) {
+        this.indentUnit = detectIndentUnit(content);
+    }
+
+    //The edit that sets a path under a block map, undefined when it is set or in flow style
+    public ensure(map: YAMLMap, path: string[], target: FixTarget): ManifestEdit | undefined {
+        if (map.flow || !map.range) {
+            return undefined;
+        }
+        const pair = map.items.find(item => isScalar(item.key) && String(item.key.value) === path[0]) as Pair<Scalar, unknown> | undefined;
+        if (!pair) {
+            return this.insert(this.lineAfter(map.range[1]), this.block(path, target, this.column(map.items[0]?.key)));
+        }
+        const value = pair.value;
+        if (path.length > 1) {
+            return isMap(value) ? this.ensure(value, path.slice(1), target) :
+                isEmpty(value) ? this.insertUnder(pair, path.slice(1), target) : undefined;
+        }
+        if ('item' in target) {
+            return isSeq(value) ? this.addItem(value, target) :
+                isEmpty(value) ? this.insertUnder(pair, [], target) : undefined;
+        }
+        if (!isScalar(value) || !value.range || target.satisfies(value.value)) {
+            return undefined;
+        }
+        //"key:" followed by the value on the same line needs a space to stay a key
+        const separator = value.range[0] === value.range[1] && this.content[value.range[0] - 1] === ':' ? " " : "";
+        return new ManifestEdit(value.range[0], value.range[1], separator + target.value);
+    }
+
+    private insertUnder(pair: Pair<Scalar, unknown>, path: string[], target: FixTarget) {
+        const lineEnd = this.content.indexOf('\n', pair.key.range?.[1] ?? 0);
+        const offset = lineEnd === -1 ? this.content.length : lineEnd + 1;
+        return this.insert(offset, this.block(path, target, this.column(pair.key) + this.indentUnit));
+    }
+
+    //Append an item to a list, after the last item of a block list or before the bracket of a flow list
+    private addItem(seq: YAMLSeq, target: { item: string, anyItem?: boolean }) {
+        const item = target.item;
+        if (!seq.range || (target.anyItem && seq.items.length > 0) || seq.items.some(existing => isScalar(existing) && existing.value === item)) {
+            return undefined;
+        }
+        if (seq.flow) {
+            const bracket = this.content.lastIndexOf(']', seq.range[1]);
+            return bracket === -1 ? undefined : new ManifestEdit(bracket, bracket, (seq.items.length > 0 ? ", " : "") + item);
+        }
+        const first = seq.items[0] as { range?: [number, number, number] } | undefined;
+        const dash = first?.range ? this.content.lastIndexOf('-', first.range[0]) : seq.range[0];
+        return this.insert(this.lineAfter(seq.range[1]), `${' '.repeat(this.columnOf(dash))}- ${item}\n`);
+    }
+
+    //The lines of nested keys that end with the value or the item of the target
+    private block(path: string[], target: FixTarget, indent: number): string {
+        const padding = ' '.repeat(indent);
+        if (path.length === 0) {
+            return 'item' in target ? `${padding}- ${target.item}\n` : "";
+        }
+        if (path.length === 1 && 'value' in target) {
+            return `${padding}${path[0]}: ${target.value}\n`;
+        }
+        return `${padding}${path[0]}:\n` + this.block(path.slice(1), target, indent + this.indentUnit);
+    }
+
+    //An insertion of whole lines, a file without a newline at its end gets one first
+    private insert(offset: number, lines: string) {
+        const newline = offset === this.content.length && this.content.length > 0 && !this.content.endsWith('\n') ? "\n" : "";
+        return new ManifestEdit(offset, offset, newline + lines);
+    }
+
+    //The start of the line after the last content before an offset, node ranges end after trailing newlines and comments
+    private lineAfter(offset: number) {
+        let end = offset;
+        while (end > 0 && /\s/.test(this.content[end - 1])) {
+            end--;
+        }
+        const lineEnd = this.content.indexOf('\n', end);
+        return lineEnd === -1 ? this.content.length : lineEnd + 1;
+    }
+
+    private column(node: unknown) {
+        const range = (node as { range?: [number, number, number] } | undefined)?.range;
+        return range ? this.columnOf(range[0]) : 0;
+    }
+
+    private columnOf(offset: number) {
+        return offset - (this.content.lastIndexOf('\n', offset - 1) + 1);
+    }
+}
+
+//The smallest indentation of the manifest, 2 when nothing is nested
+function detectIndentUnit(content: string) {
+    const indents = content.split('\n')
+        .filter(line => line.trim() !== "" && !line.trim().startsWith('#'))
+        .map(line => line.length - line.trimStart().length)
+        .filter(indent => indent > 0);
+    return indents.length > 0 ? Math.min(...indents) : 2;
+}
@@ -0,0 +1,109 @@
+//The kubesec rule set, with the same ids, selectors, reasons and points as the kubesec.io api
+
+export type RuleCategory = 'critical' | 'advise';
+
+//The parts of a kubernetes object the rules are evaluated on
+export class RuleContext {
+    constructor(
+        public readonly podSpec: any,
+        public readonly annotations: { [key: string]: string },
+    ) { }
+
+    //Containers and init containers of the pod
+    public get containers(): any[] {
+        return [...(this.podSpec?.containers ?? []), ...(this.podSpec?.initContainers ?? [])];
+    }
+}
+
+export class KubesecRule {
+    constructor(
+        public readonly id: string,
+        public readonly selector: string,
+        public readonly reason: string,
+        public readonly points: number,
+        public readonly category: RuleCategory,
+        //Critical rules match when the risk exists, advise rules match when the practice is applied
+        public readonly matches: (context: RuleContext) => boolean,
+    ) { }
+}
+
+//A critical rule matches if any container has the risk
+function anyContainer(context: RuleContext, test: (container: any) => boolean) {
+    return context.containers.some(test);
+}
+
+//An advise rule matches only if every container applies the practice
+function everyContainer(context: RuleContext, test: (container: any) => boolean) {
+    const containers = context.containers;
+    return containers.length > 0 && containers.every(test);
+}
+
+function hasAnnotation(context: RuleContext, prefix: string) {
+    return Object.keys(context.annotations).some(key => key.startsWith(prefix));
+}
+
+export const kubesecRules: KubesecRule[] = [
+    new KubesecRule("CapSysAdmin", "containers[] .securityContext .capabilities .add == SYS_ADMIN",
+        "CAP_SYS_ADMIN is the most privileged capability and should always be avoided", -30, 'critical',
+        context => anyContainer(context, c => (c.securityContext?.capabilities?.add ?? []).includes("SYS_ADMIN"))),
+    new KubesecRule("Privileged", "containers[] .securityContext .privileged == true",
+        "Privileged containers can allow almost completely unrestricted host access", -30, 'critical',
+        context => anyContainer(context, c => c.securityContext?.privileged === true)),
+    new KubesecRule("HostNetwork", ".spec .hostNetwork",
+        "Sharing the host's network namespace permits processes in the pod to communicate with processes bound to the host's loopback adapter", -9, 'critical',
+        context => context.podSpec?.hostNetwork === true),
+    new KubesecRule("HostPID", ".spec .hostPID",
+        "Sharing the host's PID namespace allows visibility of processes on the host, potentially leaking information such as environment variables and configuration", -9, 'critical',
+        context => context.podSpec?.hostPID === true),
+    new KubesecRule("HostIPC", ".spec .hostIPC",
+        "Sharing the host's IPC namespace allows container processes to communicate with processes on the host", -9, 'critical',
+        context => context.podSpec?.hostIPC === true),
+    new KubesecRule("DockerSock", ".spec .volumes[] .hostPath .path == /var/run/docker.sock",
+        "Mounting the docker.socket leaks information about other containers and can allow container breakout", -9, 'critical',
+        context => (context.podSpec?.volumes ?? []).some((v: any) => v.hostPath?.path === "/var/run/docker.sock")),
+    new KubesecRule("AllowPrivilegeEscalation", "containers[] .securityContext .allowPrivilegeEscalation == true",
+        "Ensure a non-root process can not gain more privileges", -7, 'critical',
+        context => anyContainer(context, c => c.securityContext?.allowPrivilegeEscalation === true)),
+
+    new KubesecRule("ApparmorAny", ".metadata .annotations .\"container.apparmor.security.beta.kubernetes.io/nginx\"",
+        "Well defined AppArmor policies may provide greater protection from unknown threats. WARNING: NOT PRODUCTION READY", 3, 'advise',
+        context => hasAnnotation(context, "container.apparmor.security.beta.kubernetes.io/")),
+    new KubesecRule("ServiceAccountName", ".spec .serviceAccountName",
+        "Service accounts restrict Kubernetes API access and should be configured with least privilege", 3, 'advise',
+        context => !!context.podSpec?.serviceAccountName),
+    new KubesecRule("SeccompAny", ".metadata .annotations .\"container.seccomp.security.alpha.kubernetes.io/pod\"",
+        "Seccomp profiles set minimum privilege and secure against unknown threats", 1, 'advise',
+        context => hasAnnotation(context, "container.seccomp.security.alpha.kubernetes.io/") ||
+            hasAnnotation(context, "seccomp.security.alpha.kubernetes.io/pod") ||
+            !!context.podSpec?.securityContext?.seccompProfile),
+    new KubesecRule("AutomountServiceAccountToken", ".spec .automountServiceAccountToken == false",
+        "Disabling the automounting of Service Account Token reduces the attack surface of the API server", 1, 'advise',
+        context => context.podSpec?.automountServiceAccountToken === false),
+    new KubesecRule("LimitsCPU", "containers[] .resources .limits .cpu",
+        "Enforcing CPU limits prevents DOS via resource exhaustion", 1, 'advise',
+        context => everyContainer(context, c => c.resources?.limits?.cpu !== undefined)),
+    new KubesecRule("LimitsMemory", "containers[] .resources .limits .memory",
+        "Enforcing memory limits prevents DOS via resource exhaustion", 1, 'advise',
+        context => everyContainer(context, c => c.resources?.limits?.memory !== undefined)),
+    new KubesecRule("RequestsCPU", "containers[] .resources .requests .cpu",
+        "Enforcing CPU requests aids a fair balancing of resources across the cluster", 1, 'advise',
+        context => everyContainer(context, c => c.resources?.requests?.cpu !== undefined)),
+    new KubesecRule("RequestsMemory", "containers[] .resources .requests .memory",
+        "Enforcing memory requests aids a fair balancing of resources across the cluster", 1, 'advise',
+        context => everyContainer(context, c => c.resources?.requests?.memory !== undefined)),
+    new KubesecRule("CapDropAny", "containers[] .securityContext .capabilities .drop",
+        "Reducing kernel capabilities available to a container limits its attack surface", 1, 'advise',
+        context => everyContainer(context, c => (c.securityContext?.capabilities?.drop ?? []).length > 0)),
+    new KubesecRule("CapDropAll", "containers[] .securityContext .capabilities .drop | index(\"ALL\")",
+        "Drop all capabilities and add only those required to reduce syscall attack surface", 1, 'advise',
+        context => everyContainer(context, c => (c.securityContext?.capabilities?.drop ?? []).includes("ALL"))),
+    new KubesecRule("ReadOnlyRootFilesystem", "containers[] .securityContext .readOnlyRootFilesystem == true",
+        "An immutable root filesystem can prevent malicious binaries being added to PATH and increase attack cost", 1, 'advise',
+        context => everyContainer(context, c => c.securityContext?.readOnlyRootFilesystem === true)),
+    new KubesecRule("RunAsNonRoot", "containers[] .securityContext .runAsNonRoot == true",
+        "Force the running image to run as a non-root user to ensure least privilege", 1, 'advise',
+        context => everyContainer(context, c => (c.securityContext?.runAsNonRoot ?? context.podSpec?.securityContext?.runAsNonRoot) === true)),
+    new KubesecRule("RunAsUser", "containers[] .securityContext .runAsUser -gt 10000",
+        "Run as a high-UID user to avoid conflicts with the host's user table", 1, 'advise',
+        context => everyContainer(context, c => (c.securityContext?.runAsUser ?? context.podSpec?.securityContext?.runAsUser ?? 0) > 10000)),
+];
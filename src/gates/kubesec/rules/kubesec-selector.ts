@@ -0,0 +1,38 @@
+import { anyItem, PathSegment } from '../../../source-locator';
+import { podSpecPaths } from './rule-engine';
+
+//Operators that end the path part of a kubesec selector, like "== true", "-gt 10000" or "| index(\"ALL\")"
+const selectorOperators = /\s(?:\||==|!=|-gt|-lt|-ge|-le|>|<)(?:\s|$)/;
+
+//Keys of a selector: ".spec .volumes[] .hostPath", quoted keys like ."container.apparmor.security.beta.kubernetes.io/nginx" keep their dots
+const selectorKeys = /\.?"([^"]+)"|\.?([^\s."]+)/g;
+
+//The keys of a kubesec selector and the condition after them, like "== true"
+export function splitKubesecSelector(selector: string) {
+    const operator = selector.search(selectorOperators);
+    const keys = Array.from((operator === -1 ? selector : selector.slice(0, operator)).matchAll(selectorKeys))
+        .map(match => match[1] ?? match[2]);
+    return { keys: keys, condition: operator === -1 ? "" : selector.slice(operator).trim() };
+}
+
+//Translate a kubesec selector to the paths it can refer to in an object of the given kind
+//"containers[]" are the containers and init containers of the pod spec, ".spec" is the pod spec and ".metadata" its template metadata
+export function kubesecSelectorPaths(selector: string, kind?: string): PathSegment[][] {
+    const keys = splitKubesecSelector(selector).keys;
+    if (keys.length === 0) {
+        return [];
+    }
+    const expand = (key: string): PathSegment[] => key.endsWith("[]") ? [key.slice(0, -2), anyItem] : [key];
+    const specPath = podSpecPaths.get(kind ?? "") ?? ["spec"];
+    const rest = keys.slice(1).flatMap(expand);
+    switch (keys[0]) {
+        case "containers[]":
+            return [[...specPath, "containers", anyItem, ...rest], [...specPath, "initContainers", anyItem, ...rest]];
+        case "spec":
+            return [[...specPath, ...rest]];
+        case "metadata":
+            return [[...specPath.slice(0, -1), "metadata", ...rest], ["metadata", ...rest]];
+        default:
+            return [[...expand(keys[0]), ...rest]];
+    }
+}
@@ -0,0 +1,61 @@
+import { parseAllDocuments } from 'yaml';
+import { kubesecRules, RuleContext } from './kubesec-rules';
+
+//Kinds whose pod spec kubesec knows where to find
+export const podSpecPaths = new Map<string, string[]>([
+    ["Pod", ["spec"]],
+    ["Deployment", ["spec", "template", "spec"]],
+    ["StatefulSet", ["spec", "template", "spec"]],
+    ["DaemonSet", ["spec", "template", "spec"]],
+    ["ReplicaSet", ["spec", "template", "spec"]],
+    ["ReplicationController", ["spec", "template", "spec"]],
+    ["Job", ["spec", "template", "spec"]],
+    ["CronJob", ["spec", "jobTemplate", "spec", "template", "spec"]],
+]);
+
+//Scan every document of a manifest locally, the results have the same shape as the results of the kubesec.io api
+//and the index of the document they belong to
+export function scanManifest(content: string, fileName: string) {
+    const results: any[] = [];
+    parseAllDocuments(content).forEach((document, documentIndex) => {
+        if (document.errors.length > 0) {
+            results.push({ object: "Unknown", valid: false, fileName: fileName, message: document.errors[0].message, score: 0, scoring: {}, documentIndex: documentIndex });
+        }
+        //Documents with only comments are skipped
+        else if (document.toJS() !== null) {
+            results.push({ ...scanObject(document.toJS(), fileName), documentIndex: documentIndex });
+        }
+    });
+    return results;
+}
+
+export function scanObject(object: any, fileName: string) {
+    const kind: string = object?.kind ?? "Unknown";
+    const name = `${kind}/${object?.metadata?.name ?? ""}.${object?.metadata?.namespace ?? "default"}`;
+    const specPath = podSpecPaths.get(kind);
+    if (!specPath) {
+        return { object: name, valid: false, fileName: fileName, message: "This resource kind is not supported by kubesec", score: 0, scoring: {} };
+    }
+
+    const podSpec = specPath.reduce((value, key) => value?.[key], object);
+    const templateAnnotations = specPath.slice(0, -1).reduce((value, key) => value?.[key], object)?.metadata?.annotations;
+    const context = new RuleContext(podSpec, { ...object.metadata?.annotations, ...templateAnnotations });
+
+    const critical: any[] = [], passed: any[] = [], advise: any[] = [];
+    for (const rule of kubesecRules) {
+        const item = { id: rule.id, selector: rule.selector, reason: rule.reason, points: rule.points };
+        const matches = rule.matches(context);
+        if (rule.category === 'critical') {
+            matches ? critical.push(item) : null;
+        }
+        else {
+            matches ? passed.push(item) : advise.push(item);
+        }
+    }
+    //Like kubesec, a critical finding fails the object and only critical points are counted
+    const score = (critical.length > 0 ? critical : passed).reduce((sum, item) => sum + item.points, 0);
+    const message = critical.length > 0 ?
+        `Failed with a score of ${score} points` :
+        `Passed with a score of ${score} points`;
+    return { object: name, valid: true, fileName: fileName, message: message, score: score, scoring: { critical: critical, passed: passed, advise: advise } };
+}
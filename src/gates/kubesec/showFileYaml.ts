@@ -1,8 +1,6 @@
 import { Position, Range, Selection, Uri, window, workspace } from "vscode";
 //import { Location } from "./customGate/gate-data";
 
-import { highLightTextInFile } from "./highLight";
-import { hierarchySearchInFile } from "./search";
 
 // export async function showTextDocumentWithErrors(result: any, documentText: string[]) {
 
@@ -1,6 +1,10 @@
 import * as vscode from 'vscode';
+import path = require('path');
 import { File } from './file';
+import { Resource } from './resource';
 import { TreeItem } from './tree-item';
+import { treeOptions, withCount } from '../../../tree item classes/tree-options';
+import { findingsStore } from '../../../findings/findings-store';
 
 export enum CategoryType {
   Critical,
@@ -11,38 +15,36 @@ export class Category extends TreeItem {
   public files: { filePath: string; kubesecResult: any; }[] = [];
 
   constructor(
-    public readonly label: string,
+    public readonly name: string,
     public readonly collapsibleState: vscode.TreeItemCollapsibleState,
     public data: { filePath: string; kubesecResult: any; }[]
   ) {
-    super(label, collapsibleState);
+    super(withCount(name, data.flatMap(obj => visibleResources(obj.kubesecResult, name)).reduce((sum, resource) => sum + resource.items.length, 0)), collapsibleState);
     this.files = data;
   }
 
   public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined):any {
-    return Promise.resolve(this.getYamlFiles(this.label));
+    return Promise.resolve(this.getYamlFiles(this.name));
   }
 
+  //Every file shows the resources that have results of this category
   async getYamlFiles(label: string): Promise<TreeItem[]> {
-    switch (label) {
-      case 'Critical':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath, obj.filePath.slice(obj.filePath.lastIndexOf('\\') + 1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.kubesecResult[0].scoring.critical);
-        });
-      case 'Passed':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath, obj.filePath.slice(obj.filePath.lastIndexOf('\\') + 1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.kubesecResult[0].scoring.passed);
-        });
-      case 'Advise':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath, obj.filePath.slice(obj.filePath.lastIndexOf('\\') + 1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.kubesecResult[0].scoring.advise);
-        });
-    }
-    return [];
+    return this.files?.map((obj) => {
+      const resources = visibleResources(obj.kubesecResult, label)
+        .map((resource: any) => new Resource(obj.filePath, resource.object, resource.score, resource.documentIndex ?? 0, resource.items));
+      const file = new File(obj.filePath, path.basename(obj.filePath), vscode.TreeItemCollapsibleState.Collapsed, resources);
+      file.parent = this;
+      return file;
+    });
   }
 
 
 };
+
+//The resources of a file with the items of a category that the tree shows, suppressed and filtered items are left out
+function visibleResources(kubesecResult: any[], label: string): any[] {
+  const category = label.toLowerCase();
+  return kubesecResult
+    .map((resource: any) => ({ ...resource, items: (resource.scoring?.[category] ?? []).filter((item: any) => !item.finding || (!findingsStore.isSuppressed(item.finding) && treeOptions.isShown(item.finding))) }))
+    .filter((resource: any) => resource.items.length > 0);
+}
@@ -1,18 +1,19 @@
 import * as vscode from 'vscode';
-import { ScoringItem } from './scoring';
+import { Resource } from './resource';
 import { TreeItem } from './tree-item';
 
 export class File extends TreeItem {
-  private scoring: [] = this.scoringRes;
+  public scoringRes: any[];
 
   constructor(
     public readonly path: string,
     public readonly fileName: string,
     public readonly collapsibleState: vscode.TreeItemCollapsibleState,
-    public scoringRes: [],
+    public resources: Resource[],
     public readonly command?: vscode.Command,
   ) {
     super(fileName, collapsibleState);
+    this.scoringRes = resources.flatMap(resource => resource.scoringRes);
     command = {
       "title": "",
       "command": "kubesec.showTextDocument",
@@ -23,9 +24,6 @@ export class File extends TreeItem {
 
 
   public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined):any {
-    let filePath = this.path;
-    return Promise.resolve(this.scoring.map(function (obj) {
-      return new ScoringItem(obj['id'], obj['selector'], obj['reason'], filePath);
-    }));
+    return Promise.resolve(this.resources);
   }
 };
@@ -0,0 +1,33 @@
+import * as vscode from 'vscode';
+import { ScoringItem } from './scoring';
+import { TreeItem } from './tree-item';
+
+//A kubernetes object of a manifest, a file can hold several objects separated by ---
+export class Resource extends TreeItem {
+  public scoringRes: any[];
+
+  constructor(
+    public readonly path: string,
+    public readonly object: string,
+    public readonly score: number,
+    public readonly documentIndex: number,
+    scoring: any[],
+    public readonly command?: vscode.Command,
+  ) {
+    super(object, vscode.TreeItemCollapsibleState.Collapsed);
+    this.description = "score: " + score;
+    //The items remember their document, so they are located inside it
+    this.scoringRes = scoring.map(item => ({ ...item, documentIndex: documentIndex }));
+    this.command = {
+      "title": "",
+      "command": "kubesec.showTextDocument",
+      arguments: [this],
+    };
+  }
+
+  public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined): any {
+    return Promise.resolve(this.scoringRes.map((obj) => {
+      return new ScoringItem(obj['id'], obj['selector'], obj['reason'], this.path, this.documentIndex, undefined, obj['finding']);
+    }));
+  }
+};
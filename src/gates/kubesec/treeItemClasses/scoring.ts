@@ -1,5 +1,7 @@
 import * as vscode from 'vscode';
 import { TreeItem } from './tree-item';
+import { Finding } from '../../../findings/finding';
+import { isFixableRule } from '../rules/kubesec-fixes';
 
 
 export class ScoringItem extends TreeItem {
@@ -8,10 +10,13 @@ export class ScoringItem extends TreeItem {
     public readonly selector: string,
     public readonly reason: string,
     public readonly filePath: string,
+    public readonly documentIndex: number = 0,
     public readonly command?: vscode.Command,
-
+    public readonly finding?: Finding,
   ) {
     super(reason, vscode.TreeItemCollapsibleState.None);
+    //Items of findings can be suppressed from their context menu, and fixed for some rules, passed items are not problems
+    this.contextValue = finding && finding.severity !== 'passed' ? (isFixableRule(name) ? "finding.fixable" : "finding") : undefined;
     command = {
       "title": "",
       "command": "kubesec.showScoring",
@@ -1,6 +1,9 @@
 import * as vscode from 'vscode';
 
 export class TreeItem extends vscode.TreeItem {
+  //The item this item is a child of, the tree reveals an item through its parents
+  public parent?: TreeItem;
+
   constructor(
     public readonly label: string,
     public readonly collapsibleState: vscode.TreeItemCollapsibleState,
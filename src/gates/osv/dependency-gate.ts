@@ -0,0 +1,39 @@
+import { CustomGate } from '../../customGate/customer-gate';
+import { GetFileSettings } from '../../customGate/gate-functions';
+import { GateData } from '../../customGate/gate-data';
+import { ScanProgress } from '../../findings/scan-progress';
+import { lockfileNames } from './lockfile-parser';
+import { dependenciesDescription, dependenciesLabel, dependencyLabels, dependencyLockfiles, dependencyScannedFiles, isDependencyFile, scanDependencies } from './dependency-scanner';
+
+export class DependencyGate extends CustomGate {
+
+    //Labels of treeItems in hierarchy of gate
+    labels: string[] = dependencyLabels;
+
+    //The name of the gate
+    label: string = dependenciesLabel;
+
+    //Description of gate
+    description: string = dependenciesDescription;
+
+    constructor() {
+        super(dependenciesLabel);
+    }
+
+    public async scanData(progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+        const isFullScan = this.files.length === 0;
+        const filePaths = await this.getFiles(new GetFileSettings([...lockfileNames, "package.json"])); //a saved package.json scans the lockfiles next to it
+        return scanDependencies(dependencyLockfiles(filePaths), isFullScan, progress);
+    }
+
+    //Saving package.json changes the lines its packages are reported at
+    protected acceptsFile(filePath: string) {
+        return isDependencyFile(filePath);
+    }
+
+    //A scan of a lockfile replaces the results of the package.json of its project too
+    protected scannedFiles(changedFiles: string[]) {
+        return dependencyScannedFiles(changedFiles);
+    }
+
+}
@@ -0,0 +1,180 @@
+import path = require('path');
+import fs = require('fs');
+import { displayErrorMessage } from '../../customGate/gate-functions';
+import { FileMessages, GateData, GateResult, Location, ResultsList } from '../../customGate/gate-data';
+import { securityGateConfigs } from '../../config/security-gate-config';
+import { scanCache } from '../../findings/scan-cache';
+import { ScanCancelledError, ScanProgress } from '../../findings/scan-progress';
+import { getHost } from '../../host/gate-host';
+import { AdvisoryDatabase, AdvisorySeverity, loadAdvisoryDatabase } from './osv-database';
+import { jsonKeyLines, keyPath, LockedPackage, lockfileNames, parseLockfile } from './lockfile-parser';
+
+export const dependenciesLabel = "Dependencies";
+
+export const dependenciesDescription = "Matches the packages of package-lock.json and yarn.lock files against a local snapshot of OSV and GitHub advisories.";
+
+export const dependencyLabels: AdvisorySeverity[] = ["High", "Medium", "Low"];
+
+const settingsSection = "microsoft.security.gate.dependencies";
+
+//The sections of package.json whose packages are located in package.json instead of the lockfile
+const manifestSections = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+
+//The loaded snapshots by their path, a snapshot is loaded again when it changes
+const loadedDatabases = new Map<string, { modified: number, database: AdvisoryDatabase }>();
+
+//The lockfiles of the installed packages are skipped, only the lockfiles of the projects are scanned
+export function isLockfile(filePath: string) {
+    return lockfileNames.includes(path.basename(filePath)) && !filePath.split(/[\\/]/).includes("node_modules");
+}
+
+//The files of a project whose change is scanned: its lockfiles and the package.json the direct packages are located in
+export function isDependencyFile(filePath: string) {
+    return isLockfile(filePath) || (path.basename(filePath) === "package.json" && !filePath.split(/[\\/]/).includes("node_modules"));
+}
+
+//The lockfiles of the projects of the files, a project is scanned as a whole because its lockfiles share the lines of its package.json
+export function dependencyLockfiles(filePaths: string[]) {
+    const folders = new Set(filePaths.filter(isDependencyFile).map(filePath => path.dirname(filePath)));
+    return Array.from(folders).flatMap(folder => lockfileNames.map(name => path.join(folder, name)))
+        .filter(lockfile => fs.existsSync(lockfile) && securityGateConfigs.isIncluded(dependenciesLabel, lockfile));
+}
+
+//The files whose results a scan of the changed files replaces, the lockfiles and the package.json of their projects
+export function dependencyScannedFiles(changedFiles: string[]) {
+    const lockfiles = dependencyLockfiles(changedFiles);
+    const manifests = lockfiles.map(lockfile => path.join(path.dirname(lockfile), "package.json"));
+    return Array.from(new Set([...changedFiles, ...lockfiles, ...manifests]));
+}
+
+//The lockfiles are scanned in process against the snapshot, nothing is installed and nothing leaves the machine
+//A lockfile whose package.json and snapshot did not change takes its advisories from the cache, a full scan drops the others
+export async function scanDependencies(filePaths: string[], isFullScan: boolean, progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+    const gateData = new GateData();
+    gateData.data = dependencyLabels.map(label => new ResultsList(label, []));
+    const lockfiles = filePaths.filter(isLockfile);
+    if (lockfiles.length === 0) {
+        return gateData;
+    }
+    try {
+        //The folders of a multi-root workspace can use different snapshots, a snapshot is resolved once per scan
+        const databases = new Map<string, AdvisoryDatabase | undefined>();
+        const scanned = await progress.forEachFile(lockfiles, async (lockfile) => {
+            const databasePath = advisoryDatabasePath(lockfile);
+            if (!databases.has(databasePath ?? "")) {
+                databases.set(databasePath ?? "", advisoryDatabase(databasePath));
+            }
+            const database = databases.get(databasePath ?? "");
+            if (!database) {
+                return [];
+            }
+            const manifest = path.join(path.dirname(lockfile), "package.json");
+            const databaseHash = `${databasePath}\0${loadedDatabases.get(databasePath!)?.modified}`;
+            return await scanCache.scanGroup(dependenciesLabel, lockfile, [lockfile, manifest], databaseHash,
+                contents => scanLockfile(database, lockfile, contents)) ?? [];
+        });
+        isFullScan ? scanCache.retain(dependenciesLabel, lockfiles) : null;
+        scanned.forEach(results => results.forEach(([severity, filePath, result]) => {
+            const resultsList = gateData.data.find(list => list.label === severity)!;
+            let file = resultsList.result.find(fileMessages => fileMessages.filePath === filePath);
+            if (!file) {
+                file = new FileMessages(filePath, path.basename(filePath), []);
+                resultsList.result.push(file);
+            }
+            //package-lock.json and yarn.lock of the same project locate their direct packages on the same line of package.json
+            const isReported = file.messages.some(message => message.ruleId === result.ruleId && message.message === result.message &&
+                (message.location as Location).lineNumber === (result.location as Location).lineNumber);
+            isReported ? null : file.messages.push(result);
+        }));
+    } catch (ex: any) {
+        //A cancelled scan is reported by the notification of the scan
+        if (ex instanceof ScanCancelledError) {
+            throw ex;
+        }
+        displayErrorMessage(ex.message);
+    }
+    return gateData;
+}
+
+//The advisories of the packages of a lockfile, a package the project depends on directly is located in its package.json
+//A lockfile that cannot be read has no advisories, it is not cached so it is reported until it is fixed
+function scanLockfile(database: AdvisoryDatabase, lockfile: string, contents: Map<string, string>): [AdvisorySeverity, string, GateResult][] | undefined {
+    let packages: LockedPackage[];
+    try {
+        packages = parseLockfile(lockfile, contents.get(lockfile) ?? fs.readFileSync(lockfile, 'utf-8'));
+    } catch (ex: any) {
+        displayErrorMessage(`Failed to read the lockfile ${lockfile}: ${ex.message}`);
+        return undefined;
+    }
+    const manifestPath = path.join(path.dirname(lockfile), "package.json");
+    const manifest = readManifest(manifestPath, contents.get(manifestPath));
+    return packages.flatMap(lockedPackage => database.advisoriesOf(lockedPackage.name, lockedPackage.version).map((advisory): [AdvisorySeverity, string, GateResult] => {
+        const manifestLine = manifest?.lineOf(lockedPackage);
+        const result = new GateResult(new Location(manifestLine ?? lockedPackage.line),
+            `${lockedPackage.name}@${lockedPackage.version}: ${advisory.summary}`, advisory.id);
+        result.helpUri = advisory.url;
+        result.fullDescription = [advisory.aliases.join(', '), advisory.details].filter(text => text).join('\n\n') || undefined;
+        return [advisory.severity, manifestLine !== undefined ? manifest!.filePath : lockfile, result];
+    }));
+}
+
+//The lines of the packages package.json depends on, when the lockfile has one next to it
+function readManifest(filePath: string, content: string | undefined) {
+    if (content === undefined) {
+        return undefined;
+    }
+    try {
+        const manifest = JSON.parse(content);
+        const lines = jsonKeyLines(content);
+        return {
+            filePath: filePath,
+            lineOf: (lockedPackage: LockedPackage) => manifestSections
+                .filter(section => typeof manifest[section]?.[lockedPackage.name] === 'string' && lockedPackage.isRequestedBy(manifest[section][lockedPackage.name]))
+                .map(section => lines.get(keyPath([section, lockedPackage.name])))
+                .find(line => line !== undefined)
+        };
+    } catch {
+        return undefined;
+    }
+}
+
+//The snapshot of a lockfile in the configuration of its workspace, relative to its folder, or in the settings of its folder
+export function advisoryDatabasePath(filePath: string) {
+    const workspaceConfig = securityGateConfigs.forFile(filePath);
+    const databaseOption = workspaceConfig?.option<string>(dependenciesLabel, 'database');
+    const databaseSetting = getHost().getSetting<string>(settingsSection, 'database', "", filePath);
+    const folderPath = getHost().workspaceFolders().find((folder) => {
+        const relativePath = path.relative(folder, filePath);
+        return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    }) ?? getHost().workspaceFolders()[0] ?? "";
+    return databaseOption ?
+        path.resolve(workspaceConfig!.folderPath, databaseOption) :
+        databaseSetting ? path.resolve(folderPath, databaseSetting) : undefined;
+}
+
+//Why the gate cannot run on the workspace, undefined when a folder has a snapshot set
+//A snapshot that is set but missing is a failure of the scan, not a missing setup
+export function databaseUnavailableReason() {
+    return getHost().workspaceFolders().some(folder => advisoryDatabasePath(folder)) ? undefined :
+        `no advisory snapshot is set, set ${settingsSection}.database or the database option of the ${dependenciesLabel} gate`;
+}
+
+//A missing snapshot is reported, the gate has nothing to match the packages of its lockfiles against
+function advisoryDatabase(databasePath: string | undefined) {
+    if (!databasePath || !fs.existsSync(databasePath)) {
+        displayErrorMessage(databasePath ?
+            `The advisory snapshot ${databasePath} of the ${dependenciesLabel} gate does not exist` :
+            `Set ${settingsSection}.database or the database option of the ${dependenciesLabel} gate to a snapshot of OSV or GitHub advisories`);
+        return undefined;
+    }
+    const modified = fs.statSync(databasePath).mtimeMs;
+    if (loadedDatabases.get(databasePath)?.modified !== modified) {
+        try {
+            loadedDatabases.set(databasePath, { modified: modified, database: loadAdvisoryDatabase(databasePath) });
+        } catch (ex: any) {
+            displayErrorMessage(`Failed to read the advisory snapshot ${databasePath}: ${ex.message}`);
+            return undefined;
+        }
+    }
+    return loadedDatabases.get(databasePath)!.database;
+}
@@ -0,0 +1,105 @@
+import path = require('path');
+
+//The lockfiles the gate reads, by their file name
+export const lockfileNames = ["package-lock.json", "yarn.lock"];
+
+//A version of a package that a lockfile installs, with the zero based line of its entry
+//A nested package is installed for another package, it is not the version package.json asks for
+//yarn.lock does not nest packages, its entries list the ranges they were resolved for instead
+export class LockedPackage {
+    constructor(
+        public readonly name: string,
+        public readonly version: string,
+        public readonly line: number,
+        public readonly isNested: boolean = false,
+        public readonly ranges?: string[],
+    ) { }
+
+    //Whether this is the version of the package that package.json asks for with the range
+    public isRequestedBy(range: string) {
+        return !this.isNested && (this.ranges?.includes(range) ?? true);
+    }
+}
+
+export function parseLockfile(filePath: string, content: string): LockedPackage[] {
+    return path.basename(filePath) === "yarn.lock" ? parseYarnLock(content) : parsePackageLock(content);
+}
+
+//package-lock.json v2 and v3 list the installed packages by their path under "packages"
+//v1 nests them under "dependencies", v2 has both and the packages win
+export function parsePackageLock(content: string): LockedPackage[] {
+    const lock = JSON.parse(content);
+    const lines = jsonKeyLines(content);
+    if (lock.packages && typeof lock.packages === 'object') {
+        return Object.entries<any>(lock.packages)
+            .filter(([packagePath, entry]) => packagePath !== "" && typeof entry?.version === 'string' && !entry.link)
+            .map(([packagePath, entry]) => new LockedPackage(entry.name ?? packageNameOf(packagePath), entry.version,
+                lines.get(keyPath(["packages", packagePath])) ?? 0, packagePath.lastIndexOf("node_modules/") !== 0));
+    }
+    const packages: LockedPackage[] = [];
+    const visit = (dependencies: any, parentPath: string[]) => {
+        Object.entries<any>(dependencies ?? {}).forEach(([name, entry]) => {
+            const entryPath = [...parentPath, name];
+            typeof entry?.version === 'string' && !entry.version.startsWith('file:') ?
+                packages.push(new LockedPackage(name, entry.version, lines.get(keyPath(entryPath)) ?? 0, parentPath.length > 1)) :
+                null;
+            visit(entry?.dependencies, [...entryPath, "dependencies"]);
+        });
+    };
+    visit(lock.dependencies, ["dependencies"]);
+    return packages;
+}
+
+//"node_modules/a/node_modules/@scope/b" installs @scope/b
+function packageNameOf(packagePath: string) {
+    const index = packagePath.lastIndexOf("node_modules/");
+    return index === -1 ? packagePath : packagePath.slice(index + "node_modules/".length);
+}
+
+//Entries of yarn.lock start with their specifiers, like "lodash@^4.17.0, lodash@^4.17.21:" in v1
+//or "lodash@npm:^4.17.21": in the lockfiles of yarn 2 and later, and have an indented version
+export function parseYarnLock(content: string): LockedPackage[] {
+    const packages: LockedPackage[] = [];
+    let entry: { name: string, line: number, ranges: string[] } | undefined;
+    content.split(/\r?\n/).forEach((text, line) => {
+        if (/^\S.*:$/.test(text) && !text.startsWith('#')) {
+            const specifiers = text.slice(0, -1).split(',').map(specifier => specifier.trim().replace(/^"|"$/g, ''));
+            const separator = specifiers[0].indexOf('@', 1);
+            const name = specifiers[0].slice(0, separator);
+            entry = separator > 0 && specifiers[0] !== "__metadata" ?
+                { name: name, line: line, ranges: specifiers.map(specifier => specifier.slice(name.length + 1).replace(/^npm:/, '')) } :
+                undefined;
+            return;
+        }
+        const version = /^\s+version:?\s+"?([^"\s]+)"?\s*$/.exec(text);
+        if (entry && version) {
+            packages.push(new LockedPackage(entry.name, version[1], entry.line, false, entry.ranges));
+            entry = undefined;
+        }
+    });
+    return packages;
+}
+
+//The lines of the keys of a pretty printed JSON file, by their path, to locate entries without parsing the file again
+export function jsonKeyLines(content: string) {
+    const lines = new Map<string, number>();
+    const stack: { indent: number, key: string }[] = [];
+    content.split(/\r?\n/).forEach((text, line) => {
+        const match = /^(\s*)"((?:[^"\\]|\\.)*)"\s*:/.exec(text);
+        if (!match) {
+            return;
+        }
+        const indent = match[1].length;
+        while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+            stack.pop();
+        }
+        const keys = [...stack.map(item => item.key), match[2]];
+        lines.set(keyPath(keys), line);
+        /[{[]\s*$/.test(text) ? stack.push({ indent: indent, key: match[2] }) : null;
+    });
+    return lines;
+}
+
+export function keyPath(keys: string[]) {
+    return keys.join('\u0000');
+}
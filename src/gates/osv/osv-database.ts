@@ -0,0 +1,134 @@
+import path = require('path');
+import fs = require('fs');
+import semver = require('semver');
+
+export type AdvisorySeverity = 'High' | 'Medium' | 'Low';
+
+//The severities of GitHub advisories and of the database_specific field of OSV records
+const severityNames = new Map<string, AdvisorySeverity>([
+    ['critical', 'High'], ['high', 'High'], ['moderate', 'Medium'], ['medium', 'Medium'], ['low', 'Low']
+]);
+
+//Prereleases of an affected range are affected too
+const rangeOptions = { includePrerelease: true, loose: true };
+
+//An advisory about the versions of an npm package, from an OSV record or a GitHub advisory
+export class Advisory {
+    constructor(
+        public readonly id: string,
+        public readonly packageName: string,
+        public readonly summary: string,
+        public readonly severity: AdvisorySeverity,
+        private readonly isAffectedVersion: (version: string) => boolean,
+        public readonly url?: string,
+        public readonly aliases: string[] = [],
+        public readonly details?: string,
+    ) { }
+
+    public affects(version: string) {
+        return semver.valid(version, rangeOptions) !== null && this.isAffectedVersion(version);
+    }
+}
+
+//The advisories of a snapshot by the name of their package
+export class AdvisoryDatabase {
+    private packages = new Map<string, Advisory[]>();
+
+    constructor(advisories: Advisory[]) {
+        advisories.forEach(advisory => this.packages.set(advisory.packageName, [...(this.packages.get(advisory.packageName) ?? []), advisory]));
+    }
+
+    public get size() {
+        return Array.from(this.packages.values()).reduce((sum, advisories) => sum + advisories.length, 0);
+    }
+
+    public advisoriesOf(packageName: string, version: string) {
+        return (this.packages.get(packageName) ?? []).filter(advisory => advisory.affects(version));
+    }
+}
+
+//A snapshot is a JSON file or a folder of JSON files, like an extracted OSV export of the npm ecosystem
+//A file holds one record, an array of records or an object with the records under "vulns" or "advisories"
+export function loadAdvisoryDatabase(snapshotPath: string) {
+    const files = fs.statSync(snapshotPath).isDirectory() ?
+        fs.readdirSync(snapshotPath).filter(file => file.endsWith('.json')).map(file => path.join(snapshotPath, file)) :
+        [snapshotPath];
+    return new AdvisoryDatabase(files.flatMap((file) => {
+        const content = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const records: any[] = Array.isArray(content) ? content : content.vulns ?? content.advisories ?? [content];
+        return records.flatMap(parseAdvisory);
+    }));
+}
+
+//The advisories of a record for every npm package it affects, records of other ecosystems have none
+export function parseAdvisory(record: any): Advisory[] {
+    return record?.affected ? parseOsvRecord(record) : record?.vulnerabilities ? parseGithubAdvisory(record) : [];
+}
+
+function parseOsvRecord(record: any): Advisory[] {
+    const severity = severityNames.get(String(record.database_specific?.severity ?? "").toLowerCase()) ?? 'Medium';
+    const url = record.references?.find((reference: any) => reference.type === 'ADVISORY')?.url ?? record.references?.[0]?.url;
+    return (record.affected as any[])
+        .filter(affected => affected.package?.ecosystem === 'npm' && affected.package?.name)
+        .map((affected) => {
+            const versions: string[] = affected.versions ?? [];
+            const ranges = (affected.ranges ?? [])
+                .filter((range: any) => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+                .map((range: any) => semverEvents(range.events ?? []))
+                .filter((events: OsvEvent[] | undefined): events is OsvEvent[] => events !== undefined);
+            return new Advisory(record.id, affected.package.name, record.summary ?? record.id, severity,
+                version => versions.includes(version) || ranges.some((events: OsvEvent[]) => inOsvRange(version, events)),
+                url, record.aliases ?? [], record.details);
+        });
+}
+
+interface OsvEvent {
+    introduced?: string;
+    fixed?: string;
+    lastAffected?: string;
+}
+
+//The events of a range with their versions in semver, versions like "1.0" are completed to "1.0.0"
+//A range with a version that is not one, like a commit, is skipped instead of failing the scan
+function semverEvents(events: any[]): OsvEvent[] | undefined {
+    const toSemver = (value: unknown) => value === undefined || value === "0" ? value :
+        semver.valid(String(value), rangeOptions) ?? semver.coerce(String(value))?.version ?? null;
+    const converted = events.map(event => ({ introduced: toSemver(event?.introduced), fixed: toSemver(event?.fixed), lastAffected: toSemver(event?.last_affected) }));
+    return converted.some(event => Object.values(event).includes(null)) ? undefined : converted as OsvEvent[];
+}
+
+//The events of a range are in order, a version is affected from an "introduced" until the next "fixed" or "last_affected"
+function inOsvRange(version: string, events: OsvEvent[]) {
+    let introduced: string | undefined;
+    for (const event of events) {
+        if (event.introduced !== undefined) {
+            introduced = event.introduced;
+        } else if (introduced !== undefined && (event.fixed !== undefined || event.lastAffected !== undefined)) {
+            const affected = isAtLeast(version, introduced) &&
+                (event.fixed !== undefined ? semver.lt(version, event.fixed, rangeOptions) : semver.lte(version, event.lastAffected!, rangeOptions));
+            if (affected) {
+                return true;
+            }
+            introduced = undefined;
+        }
+    }
+    return introduced !== undefined && isAtLeast(version, introduced);
+}
+
+function isAtLeast(version: string, introduced: string) {
+    return introduced === "0" || semver.gte(version, introduced, rangeOptions);
+}
+
+//GitHub advisories have ranges like ">= 1.0.0, < 1.2.3"
+function parseGithubAdvisory(record: any): Advisory[] {
+    const severity = severityNames.get(String(record.severity ?? "").toLowerCase()) ?? 'Medium';
+    const id = record.ghsa_id ?? record.id;
+    return (record.vulnerabilities as any[])
+        .filter(vulnerability => String(vulnerability.package?.ecosystem).toLowerCase() === 'npm' && vulnerability.package?.name)
+        .map((vulnerability) => {
+            const range = String(vulnerability.vulnerable_version_range ?? "").replace(/,/g, ' ');
+            return new Advisory(id, vulnerability.package.name, record.summary ?? id, severity,
+                version => range !== "" && semver.satisfies(version, range, rangeOptions),
+                record.html_url, record.cve_id ? [record.cve_id] : [], record.description);
+        });
+}
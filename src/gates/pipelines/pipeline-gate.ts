@@ -0,0 +1,32 @@
+import { CustomGate } from '../../customGate/customer-gate';
+import { GetFileSettings } from '../../customGate/gate-functions';
+import { GateData } from '../../customGate/gate-data';
+import { ScanProgress } from '../../findings/scan-progress';
+import { isPipelineFile, pipelineFileTypes, pipelineLabels, pipelinesDescription, pipelinesLabel, scanPipelines } from './pipeline-scanner';
+
+export class PipelineGate extends CustomGate {
+
+    //Labels of treeItems in hierarchy of gate
+    labels: string[] = pipelineLabels;
+
+    //The name of the gate
+    label: string = pipelinesLabel;
+
+    //Description of gate
+    description: string = pipelinesDescription;
+
+    constructor() {
+        super(pipelinesLabel);
+    }
+
+    public async scanData(progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+        const isFullScan = this.files.length === 0;
+        const filePaths = await this.getFiles(new GetFileSettings(pipelineFileTypes)); //the scanner keeps the workflows and pipelines
+        return scanPipelines(filePaths, isFullScan, progress);
+    }
+
+    protected acceptsFile(filePath: string) {
+        return isPipelineFile(filePath);
+    }
+
+}
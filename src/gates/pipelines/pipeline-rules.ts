@@ -0,0 +1,184 @@
+import { SourceLocator, SourceRange } from '../../source-locator';
+import { secretName } from '../../customGate/rule-issues';
+
+export type PipelineSeverity = 'High' | 'Medium' | 'Low';
+
+export type PipelinePlatform = 'github' | 'azure';
+
+//A workflow of GitHub Actions or a pipeline of Azure Pipelines, with its values and the locator of their source
+export class PipelineFile {
+    constructor(
+        public readonly platform: PipelinePlatform,
+        public readonly value: any,
+        public readonly locator: SourceLocator,
+    ) { }
+}
+
+//An issue of a rule, located at the key or at the text in a value that causes it
+export class PipelineIssue {
+    constructor(
+        public readonly ruleId: string,
+        public readonly message: string,
+        public readonly severity: PipelineSeverity,
+        public readonly range: SourceRange,
+    ) { }
+}
+
+//The path of a value that causes an issue, with the text in the value when only a part of it does
+interface PipelineMatch {
+    path: (string | number)[];
+    text?: string;
+    detail?: string;
+}
+
+export class PipelineRule {
+    constructor(
+        public readonly id: string,
+        public readonly message: string,
+        public readonly severity: PipelineSeverity,
+        public readonly platforms: PipelinePlatform[],
+        public readonly check: (pipeline: PipelineFile) => PipelineMatch[],
+    ) { }
+}
+
+//Parts of the event that the author of a pull request, an issue or a comment controls
+const safeEventFields = /\.(number|id|node_id|sha|run_id|run_number|(created|updated|closed|merged)_at)$/;
+
+//An action is pinned when its ref is a full commit SHA
+const pinnedRef = /^[0-9a-f]{40}$/;
+
+//A checkout of the code of the pull request, in the ref of actions/checkout or in a script
+const prCodeRef = /github\.event\.pull_request\.head\.(sha|ref)|github\.head_ref|refs\/pull\//;
+const prCodeScript = /\bgh\s+pr\s+checkout\b|\bgit\s+(fetch|checkout)\b[^\n]*(github\.event\.pull_request\.head|github\.head_ref|refs\/pull\/)/;
+
+function isMap(value: unknown): value is { [key: string]: any } {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function entriesOf(value: unknown): [string, any][] {
+    return isMap(value) ? Object.entries(value) : [];
+}
+
+//The triggers of a workflow, "on" can be a string, a list or a map
+function triggersOf(workflow: any): string[] {
+    const on = workflow?.on;
+    return typeof on === 'string' ? [on] : Array.isArray(on) ? on.map(String) : Object.keys(isMap(on) ? on : {});
+}
+
+//The jobs of a workflow with their steps
+function githubJobs(workflow: any) {
+    return entriesOf(workflow?.jobs).map(([jobId, job]) => ({
+        jobId: jobId,
+        job: job,
+        steps: (Array.isArray(job?.steps) ? job.steps : []).map((step: any, index: number) => ({ step: step, path: ["jobs", jobId, "steps", index] }))
+    }));
+}
+
+function githubSteps(workflow: any): { step: any, path: (string | number)[] }[] {
+    return githubJobs(workflow).flatMap(job => job.steps).filter(({ step }) => isMap(step));
+}
+
+//The ${{ }} expressions of a script that read the event, like ${{ github.event.issue.title }}
+function untrustedExpressions(script: string) {
+    return Array.from(script.matchAll(/\$\{\{([^}]*)\}\}/g))
+        .filter(([, expression]) => Array.from(expression.matchAll(/\bgithub\.(event\.[\w.*\[\]'"-]+|head_ref)/g))
+            .some(([context]) => !safeEventFields.test(context)))
+        .map(([text]) => text);
+}
+
+//The maps of variables of a workflow or a pipeline, with their paths
+function variableScopes(pipeline: PipelineFile): { path: (string | number)[], variables: any }[] {
+    const value = pipeline.value;
+    if (pipeline.platform === 'github') {
+        return [
+            { path: ["env"], variables: value?.env },
+            ...githubJobs(value).flatMap(({ jobId, job, steps }) => [
+                { path: ["jobs", jobId, "env"], variables: job?.env },
+                ...steps.map(({ step, path }: { step: any, path: (string | number)[] }) => ({ path: [...path, "env"], variables: step?.env }))
+            ])
+        ];
+    }
+    //The variables of a pipeline, its stages and its jobs
+    const scopes: { path: (string | number)[], variables: any }[] = [];
+    const visit = (node: any, path: (string | number)[]) => {
+        if (!isMap(node)) {
+            return;
+        }
+        scopes.push({ path: [...path, "variables"], variables: node.variables });
+        ["stages", "jobs"].forEach(key => Array.isArray(node[key]) ? node[key].forEach((child: any, index: number) => visit(child, [...path, key, index])) : null);
+    };
+    visit(value, []);
+    return scopes;
+}
+
+//A literal value, not a reference to a secret like ${{ secrets.TOKEN }} or $(token)
+function isLiteral(value: unknown) {
+    return (typeof value === 'string' || typeof value === 'number') && String(value) !== "" && !/\$\{\{|\$\(|\$\[/.test(String(value));
+}
+
+export const pipelineRules: PipelineRule[] = [
+    new PipelineRule("PullRequestTargetCheckout", "The workflow runs on pull_request_target with the secrets and write token of the repository, but checks out the code of the pull request", 'High',
+        ['github'],
+        pipeline => !triggersOf(pipeline.value).includes('pull_request_target') ? [] : githubSteps(pipeline.value).flatMap(({ step, path }) => {
+            if (typeof step.uses === 'string' && step.uses.startsWith('actions/checkout@') && prCodeRef.test(String(step.with?.ref ?? ""))) {
+                return [{ path: [...path, "with", "ref"] }];
+            }
+            const script = typeof step.run === 'string' ? prCodeScript.exec(step.run) : null;
+            return script ? [{ path: [...path, "run"], text: script[0] }] : [];
+        })),
+    new PipelineRule("ScriptInjection", "The script uses an expression the author of the event controls, pass it through an environment variable instead", 'High',
+        ['github'],
+        pipeline => githubSteps(pipeline.value).flatMap(({ step, path }) => {
+            const scripts: [(string | number)[], unknown][] = [[[...path, "run"], step.run]];
+            typeof step.uses === 'string' && step.uses.startsWith('actions/github-script@') ? scripts.push([[...path, "with", "script"], step.with?.script]) : null;
+            return scripts
+                .filter(([, script]) => typeof script === 'string')
+                .flatMap(([scriptPath, script]) => untrustedExpressions(script as string).map(text => ({ path: scriptPath, text: text, detail: text })));
+        })),
+    new PipelineRule("UnpinnedAction", "The action is not pinned to a commit SHA, so a moved tag or branch changes the code that runs with the secrets", 'Medium',
+        ['github'],
+        pipeline => [
+            ...githubSteps(pipeline.value).map(({ step, path }) => ({ uses: step.uses, path: [...path, "uses"] })),
+            ...githubJobs(pipeline.value).map(({ jobId, job }) => ({ uses: job?.uses, path: ["jobs", jobId, "uses"] }))
+        ].filter(({ uses }) => typeof uses === 'string' && !uses.startsWith('./') && (uses.startsWith('docker://') ?
+            !uses.includes('@sha256:') :
+            !pinnedRef.test(uses.slice(uses.lastIndexOf('@') + 1))))
+            .map(({ uses, path }) => ({ path: path, detail: uses }))),
+    new PipelineRule("BroadPermissions", "The token has write access to everything, grant only the permissions the jobs need", 'Medium',
+        ['github'],
+        pipeline => [
+            { permissions: pipeline.value?.permissions, path: ["permissions"] },
+            ...githubJobs(pipeline.value).map(({ jobId, job }) => ({ permissions: job?.permissions, path: ["jobs", jobId, "permissions"] }))
+        ].filter(({ permissions }) => permissions === 'write-all').map(({ path }) => ({ path: path }))),
+    new PipelineRule("MissingPermissions", "The workflow does not set permissions, so the token gets the default permissions of the repository, which can include write access", 'Low',
+        ['github'],
+        (pipeline) => {
+            const jobs = githubJobs(pipeline.value);
+            return pipeline.value?.permissions === undefined && jobs.some(({ job }) => job?.permissions === undefined) ?
+                [{ path: jobs.length > 0 ? ["jobs"] : [] }] :
+                [];
+        }),
+    new PipelineRule("PlaintextSecret", "The secret is written in the pipeline, store it as a secret and reference it instead", 'High',
+        ['github', 'azure'],
+        pipeline => variableScopes(pipeline).flatMap(({ path, variables }) => {
+            //Variables of Azure Pipelines can be a list of name and value pairs, groups and templates
+            if (Array.isArray(variables)) {
+                return variables
+                    .map((variable, index) => ({ variable: variable, index: index }))
+                    .filter(({ variable }) => isMap(variable) && secretName.test(String(variable.name ?? "")) && isLiteral(variable.value))
+                    .map(({ variable, index }) => ({ path: [...path, index, "value"], detail: String(variable.name) }));
+            }
+            return entriesOf(variables)
+                .filter(([name, value]) => secretName.test(name) && isLiteral(value))
+                .map(([name]) => ({ path: [...path, name], detail: name }));
+        }))
+];
+
+//Check a workflow or a pipeline against the rules of its platform
+export function checkPipeline(pipeline: PipelineFile): PipelineIssue[] {
+    return pipelineRules
+        .filter(rule => rule.platforms.includes(pipeline.platform))
+        .flatMap(rule => rule.check(pipeline).map(({ path, text, detail }) => new PipelineIssue(rule.id,
+            detail ? `${rule.message}: ${detail}` : rule.message, rule.severity,
+            (text ? pipeline.locator.resolveText(path, text) : pipeline.locator.resolvePath(path)?.range) ?? new SourceRange(0, 0, 0, 0))));
+}
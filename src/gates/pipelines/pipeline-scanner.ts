@@ -0,0 +1,54 @@
+import path = require('path');
+import { displayErrorMessage } from '../../customGate/gate-functions';
+import { GateData } from '../../customGate/gate-data';
+import { rulesHash, scanRuleIssues } from '../../customGate/rule-issues';
+import { scanCache } from '../../findings/scan-cache';
+import { ScanProgress } from '../../findings/scan-progress';
+import { SourceLocator } from '../../source-locator';
+import { checkPipeline, PipelineFile, PipelinePlatform, pipelineRules, PipelineSeverity } from './pipeline-rules';
+
+export const pipelinesLabel = "Pipelines";
+
+export const pipelinesDescription = "Checks GitHub Actions workflows and Azure Pipelines for pull_request_target checkouts, script injection, unpinned actions, broad token permissions and plaintext secrets.";
+
+export const pipelineLabels: PipelineSeverity[] = ["High", "Medium", "Low"];
+
+export const pipelineFileTypes = [".yml", ".yaml"];
+
+const pipelineRulesHash = rulesHash(pipelineRules);
+
+//Workflows are the YAML files of .github/workflows, pipelines are named azure-pipelines or kept in a .pipelines, .azure-pipelines or .azuredevops folder
+export function pipelinePlatform(filePath: string): PipelinePlatform | undefined {
+    const normalizedPath = filePath.split('\\').join('/');
+    if (!pipelineFileTypes.some(fileType => normalizedPath.endsWith(fileType))) {
+        return undefined;
+    }
+    return /(^|\/)\.github\/workflows\/[^/]+$/.test(normalizedPath) ? 'github' :
+        /^azure-pipelines([.-][^/]*)?\.ya?ml$/i.test(path.basename(normalizedPath)) || /(^|\/)\.(azure-pipelines|azuredevops|pipelines)\//.test(normalizedPath) ? 'azure' :
+        undefined;
+}
+
+export function isPipelineFile(filePath: string) {
+    return pipelinePlatform(filePath) !== undefined;
+}
+
+//The workflows and pipelines are checked in process, files that did not change take their issues from the cache
+//A full scan drops the cached issues of the files it did not scan
+export async function scanPipelines(filePaths: string[], isFullScan: boolean, progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+    const pipelineFiles = filePaths.filter(isPipelineFile);
+    const gateData = await scanRuleIssues(pipelineLabels, pipelineFiles, progress, async (filePath) => {
+        const cached = await scanCache.scanFiles(pipelinesLabel, [filePath], pipelineRulesHash, (file: string, content: string) => {
+            const locator = new SourceLocator(content);
+            const document = locator.documents[0];
+            if (!document || document.errors.length > 0) {
+                //The error is reported on every scan until the file is fixed
+                displayErrorMessage(`Failed to parse the pipeline ${file}: ${document?.errors[0]?.message ?? "the file is empty"}`);
+                return undefined;
+            }
+            return checkPipeline(new PipelineFile(pipelinePlatform(file)!, document.toJS(), locator));
+        });
+        return cached.get(filePath) ?? [];
+    });
+    isFullScan ? scanCache.retain(pipelinesLabel, pipelineFiles) : null;
+    return gateData;
+}
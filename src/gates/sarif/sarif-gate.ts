@@ -0,0 +1,111 @@
+import * as vscode from 'vscode';
+import path = require('path');
+import fs = require('fs');
+import { CustomGate } from '../../customGate/customer-gate';
+import { displayErrorMessage } from '../../customGate/gate-functions';
+import { FileMessages, GateData, GateResult, ResultsList } from '../../customGate/gate-data';
+import { parseSarifLog, SarifResult } from './sarif-parser';
+import { securityGateConfigs } from '../../config/security-gate-config';
+import { ScanProgress } from '../../findings/scan-progress';
+
+const settingsSection = "microsoft.security.gate.sarif";
+
+//SARIF levels and the labels they are shown under in the tree
+const levelLabels: { [level: string]: string } = { error: "Error", warning: "Warning", note: "Note", none: "None" };
+
+export class SarifGate extends CustomGate {
+
+    //Labels of treeItems in hierarchy of gate
+    labels: string[] = Object.values(levelLabels);
+
+    //The name of the gate
+    label: string = "SARIF";
+
+    //Description of gate
+    description: string = "Imports the results of any SARIF-emitting analyzer found in the workspace.";
+
+    //The gate watches the sarif files instead of rescanning saved files
+    protected refreshOnSave = false;
+
+    private watchers: vscode.Disposable[] = [];
+
+    private configurationListener: vscode.Disposable;
+
+    constructor() {
+        super("SARIF");
+        this.listenerSarifFiles();
+        this.configurationListener = vscode.workspace.onDidChangeConfiguration((event) => {
+            event.affectsConfiguration(settingsSection) ? this.listenerSarifFiles() : null;
+        });
+    }
+
+    //This function stops watching the sarif files and the settings when the gate is removed from the tree
+    public dispose() {
+        super.dispose();
+        this.configurationListener.dispose();
+        this.watchers.forEach(watcher => watcher.dispose());
+        this.watchers = [];
+    }
+
+    //The reports are not cached: a relative path of a result is resolved against the files that exist in the workspace,
+    //so the same report can locate its results in other files when files are added or removed
+    public async scanData(progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+        const gateData = new GateData();
+        gateData.data = this.labels.map(label => new ResultsList(label, []));
+        const sarifResults = await progress.forEachFile(await this.findSarifFiles(), async (sarifFile) => {
+            try {
+                const log = JSON.parse(fs.readFileSync(sarifFile, 'utf-8'));
+                return parseSarifLog(log, sarifFile, this.fallbackBases(sarifFile));
+            } catch (ex: any) {
+                displayErrorMessage(`Failed to read the SARIF file ${sarifFile}: ${ex.message}`);
+                return [];
+            }
+        });
+        sarifResults.forEach(results => results.forEach(result => this.addResult(gateData, result)));
+        return gateData;
+    }
+
+    private addResult(gateData: GateData, result: SarifResult) {
+        const resultsList = gateData.data.find(list => list.label === (levelLabels[result.level] ?? levelLabels.warning))!;
+        let file = resultsList.result.find(fileMessages => fileMessages.filePath === result.filePath);
+        if (!file) {
+            file = new FileMessages(result.filePath, path.basename(result.filePath), []);
+            resultsList.result.push(file);
+        }
+        const gateResult = new GateResult(result.location, `${result.toolName}: ${result.message}`, result.ruleId);
+        gateResult.helpUri = result.helpUri;
+        gateResult.fullDescription = result.fullDescription;
+        file.messages.push(gateResult);
+    }
+
+    private async findSarifFiles() {
+        const settings = vscode.workspace.getConfiguration(settingsSection);
+        const include = settings.get<string[]>('include', ["**/*.sarif"]);
+        const exclude = settings.get<string>('exclude');
+        const files: string[] = [];
+        for (const glob of include) {
+            (await vscode.workspace.findFiles(glob, exclude)).forEach(uri => files.includes(uri.fsPath) ? null : files.push(uri.fsPath));
+        }
+        return files.filter(file => securityGateConfigs.isIncluded(this.label, file));
+    }
+
+    //Relative paths are looked up in the workspace folder of the sarif file, its parent and the sarif file folder
+    private fallbackBases(sarifFile: string) {
+        const folder = vscode.workspace.getWorkspaceFolder(vscode.Uri.file(sarifFile))?.uri.fsPath;
+        return folder ?
+            [folder, path.dirname(folder), path.dirname(sarifFile)] :
+            [path.dirname(sarifFile)];
+    }
+
+    //This function rescans the gate when a sarif file is created, changed or deleted
+    private listenerSarifFiles() {
+        this.watchers.forEach(watcher => watcher.dispose());
+        this.watchers = [];
+        const include = vscode.workspace.getConfiguration(settingsSection).get<string[]>('include', ["**/*.sarif"]);
+        for (const glob of include) {
+            const watcher = vscode.workspace.createFileSystemWatcher(glob);
+            const onSarifChange = () => this.getIsActive() ? this.rescan() : null;
+            this.watchers.push(watcher, watcher.onDidCreate(onSarifChange), watcher.onDidChange(onSarifChange), watcher.onDidDelete(onSarifChange));
+        }
+    }
+}
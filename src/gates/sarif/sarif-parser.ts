@@ -0,0 +1,114 @@
+import path = require('path');
+import fs = require('fs');
+import { fileURLToPath } from 'url';
+import { Location } from '../../customGate/gate-data';
+
+//A result of a sarif log, with its rule and its resolved location
+export class SarifResult {
+    constructor(
+        public readonly toolName: string,
+        public readonly level: string,
+        public readonly filePath: string,
+        public readonly location: Location,
+        public readonly message: string,
+        public readonly ruleId?: string,
+        public readonly helpUri?: string,
+        public readonly fullDescription?: string,
+    ) { }
+}
+
+//Parse all the runs of a sarif log
+//Relative uris without a known uriBaseId are resolved against the first fallback base that contains them
+export function parseSarifLog(log: any, sarifFilePath: string, fallbackBases: string[]): SarifResult[] {
+    const results: SarifResult[] = [];
+    for (const run of log?.runs ?? []) {
+        const driver = run.tool?.driver ?? {};
+        for (const result of run.results ?? []) {
+            const rule = findRule(driver.rules ?? [], result);
+            const physicalLocation = result.locations?.[0]?.physicalLocation;
+            const artifactLocation = physicalLocation?.artifactLocation;
+            const region = physicalLocation?.region ?? {};
+            const filePath = artifactLocation?.uri ?
+                resolveArtifactUri(artifactLocation.uri, artifactLocation.uriBaseId, run.originalUriBaseIds ?? {}, fallbackBases) :
+                sarifFilePath;
+            results.push(new SarifResult(
+                driver.name ?? "SARIF",
+                resultLevel(result, rule),
+                filePath,
+                sarifRegionToLocation(region),
+                resultMessage(result, rule),
+                result.ruleId ?? result.rule?.id ?? rule?.id,
+                rule?.helpUri,
+                rule?.fullDescription?.text ?? rule?.shortDescription?.text
+            ));
+        }
+    }
+    return results;
+}
+
+//Convert a one based sarif region to a zero based location
+export function sarifRegionToLocation(region: any) {
+    const hasEnd = region.endColumn !== undefined;
+    return new Location((region.startLine ?? 1) - 1, (region.startColumn ?? 1) - 1,
+        hasEnd ? (region.endLine ?? region.startLine ?? 1) - 1 : undefined,
+        hasEnd ? region.endColumn - 1 : undefined);
+}
+
+function findRule(rules: any[], result: any) {
+    const ruleIndex = result.rule?.index ?? result.ruleIndex;
+    if (ruleIndex !== undefined && rules[ruleIndex]) {
+        return rules[ruleIndex];
+    }
+    const ruleId = result.ruleId ?? result.rule?.id;
+    return rules.find((rule) => rule.id === ruleId);
+}
+
+//The level of a result falls back to its rule, and a result that is not a failure has no level
+function resultLevel(result: any, rule: any): string {
+    if (result.level) {
+        return result.level;
+    }
+    if (result.kind && result.kind !== "fail") {
+        return "none";
+    }
+    return rule?.defaultConfiguration?.level ?? "warning";
+}
+
+//The message is either plain text or a message string of the rule with arguments
+function resultMessage(result: any, rule: any): string {
+    const message = result.message ?? {};
+    const text: string = message.text ??
+        (message.id ? rule?.messageStrings?.[message.id]?.text : undefined) ??
+        rule?.fullDescription?.text ??
+        rule?.shortDescription?.text ??
+        result.ruleId ?? "";
+    return text.replace(/\{(\d+)\}/g, (placeholder: string, index: string) => message.arguments?.[Number(index)] ?? placeholder);
+}
+
+export function resolveArtifactUri(uri: string, uriBaseId: string | undefined, originalUriBaseIds: any, fallbackBases: string[], depth: number = 0): string {
+    //A file uri without a slash after its scheme, like file:src/main.ts, is relative
+    const isRelativeFile = /^file:(?!\/)/i.test(uri);
+    if (!isRelativeFile && uri.toLowerCase().startsWith("file:")) {
+        return fileURLToPath(uri);
+    }
+    const relativePath = decodeUri(isRelativeFile ? uri.slice("file:".length) : uri);
+    if (path.isAbsolute(relativePath)) {
+        return relativePath;
+    }
+    //A base can itself be relative to another base
+    const base = uriBaseId ? originalUriBaseIds[uriBaseId] : undefined;
+    if (base?.uri && depth < 10) {
+        return path.join(resolveArtifactUri(base.uri, base.uriBaseId, originalUriBaseIds, fallbackBases, depth + 1), relativePath);
+    }
+    const candidates = fallbackBases.map(fallbackBase => path.join(fallbackBase, relativePath));
+    return candidates.find(candidate => fs.existsSync(candidate)) ?? candidates[0] ?? relativePath;
+}
+
+//Percent-encoded uris like "Arm%20template%20files" are decoded, malformed ones are kept as they are
+function decodeUri(uri: string) {
+    try {
+        return decodeURIComponent(uri);
+    } catch (err) {
+        return uri;
+    }
+}
@@ -1,29 +1,26 @@
-import { json } from 'stream/consumers';
 import * as vscode from 'vscode';
-import fs = require('fs');
 import { TextDocument, workspace } from 'vscode';
 import { Level } from './level';
-import { strict } from 'assert';
-import { locationDownloadFile } from './TemplateAnalyzer';
 import { getAllFilesSync } from 'get-all-files';
-import { appendLineToOutputChannel, createOutputChannel } from '../Generic';
-import path = require('path');
 import { TreeItem } from '../../../tree item classes/tree-item';
 import { Gate } from '../gate';
 import { GatesProvider } from '../../../gate-provider';
-import { ExeClass } from '../../../extension';
-const { exec } = require('child_process');
-//const exe = getExePath();
-let rootPath = workspace.workspaceFolders?.map(elem => elem.uri.fsPath);
-let rootPath2 = 'C:\\Users\\user1\\finalExtension\\MicrosoftSecurityExtension';
+import { findingsStore } from '../../../findings/findings-store';
+import { SarifResult } from '../../sarif/sarif-parser';
+import { treeOptions, withCount } from '../../../tree item classes/tree-options';
+import { ScanProgress } from '../../../findings/scan-progress';
+import { runScan, scanStatus } from '../../../findings/scan-runner';
+import { analyzeWorkspace, levelOf, levels, runErrorMessage, templateAnalyzerLabel, templateOutputChannel, toTemplateFinding } from './template-scanner';
 
 export class TemplateAnalyzerGate extends Gate {
 
     public myProvider: GatesProvider | undefined;
 
+    private results: SarifResult[] | undefined;
+
     constructor(public isActive: boolean=false) {
        // const context = isActive ? 'anyGate' : 'gate';
-        super("TemplateAnalyzer", vscode.TreeItemCollapsibleState.Collapsed, "templateGate", isActive);
+        super(templateAnalyzerLabel, vscode.TreeItemCollapsibleState.Collapsed, "templateGate", isActive);
         this.listenerSaveEvent();
     }
 
@@ -49,33 +46,44 @@ export class TemplateAnalyzerGate extends Gate {
     }
 
     async getSarifFile(label: string): Promise<TreeItem[]> {
-        const path1 = await this.templateAnalyzer();
         if (this.getIsActive() === true) {
-            const data = JSON.parse(await fs.readFileSync(path1, 'utf-8'));
-            // level , filePath , locations
-            const dataResult = data.runs[0]?.results;
-            // massege , helpURI
-            const dataMassegeAndHelp = data.runs[0]?.tool?.driver?.rules;
-            let errorDataResult = dataResult?.filter((e: any) => { return e.level === 'error'; });
-            let warningDataResult = dataResult?.filter((e: any) => { return e.level === 'warning'; });
-            let noteDataResult = dataResult?.filter((e: any) => { return e.level === 'note'; });
-            let unLevelDataResult = dataResult?.filter((e: any) => { return e.level === 'undefined'; });   
-            let p= "C:\\Users\\user1\\finalExtension\\MicrosoftSecurityExtension\\src\\gates\\templateAnalyzer\\Template-analyzer\\ArmTemplateFiles\\VaAssessorGo.Template.json";
-           //שמתי פה נתיב אבסולוטי כי מצאנו רק בעיות בקובץ אחד , וכמובן שצריך לשנות לנתיב יחסי
-            let errorData: any[] = errorDataResult?.map((e: any) => { return { 'filePath':p, 'message': dataMassegeAndHelp[e.ruleIndex]?.fullDescription?.text, 'locations': e.locations[0]?.physicalLocation?.region }; });
-            let warningData: any[] = warningDataResult?.map((e: any) => { return { 'filePath': rootPath![0] +`\\`+ e.locations[0]?.physicalLocation?.artifactLocation?.uri, 'message': dataMassegeAndHelp[e.ruleIndex]?.fullDescription?.text, 'locations': e.locations[0]?.physicalLocation?.region }; });
-            let noteData: any[] = noteDataResult?.map((e: any) => { return { 'filePath': rootPath![0] +`\\`+ e.locations[0]?.physicalLocation?.artifactLocation?.uri, 'message': dataMassegeAndHelp[e.ruleIndex]?.fullDescription?.text, 'locations': e.locations[0]?.physicalLocation?.region }; });
-            let unLevelData: any[] = unLevelDataResult?.map((e: any) => { return { 'filePath': rootPath![0] +`\\`+ e.locations[0]?.physicalLocation?.artifactLocation?.uri, 'message': dataMassegeAndHelp[e.ruleIndex]?.fullDescription?.text, 'locations': e.locations[0]?.physicalLocation?.region }; });
-            return Promise.resolve([new Level("Error", vscode.TreeItemCollapsibleState.Collapsed, errorData),
-            new Level("Warning", vscode.TreeItemCollapsibleState.Collapsed, warningData),
-            new Level("Note", vscode.TreeItemCollapsibleState.Collapsed, noteData),
-            new Level("Un Level", vscode.TreeItemCollapsibleState.Collapsed, unLevelData)
-            ]);
+            //The analyzer runs once until the gate is refreshed, expanding the tree reuses its results and their findings
+            if (!this.results) {
+                this.results = await runScan(this.label, progress => this.templateAnalyzer(progress));
+                this.results ? findingsStore.setGateFindings(this.label, this.results.map(result => this.toFinding(result))) : null;
+            }
+            const results = this.results ?? [];
+            const visibleResults = results.filter((result) => {
+                const finding = this.toFinding(result);
+                return !findingsStore.isSuppressed(finding) && treeOptions.isShown(finding);
+            });
+            return levels.map(([level, levelLabel]) => {
+                const levelResults = visibleResults.filter(result => levelOf(result)[0] === level);
+                return new Level(withCount(levelLabel, levelResults.length), vscode.TreeItemCollapsibleState.Collapsed,
+                    levelResults.map(result => this.toLevelData(result)));
+            });
         }
         else {
             return Promise.resolve([]);
         }
     }
+
+    //The tree items of a level open the one based line of the result
+    private toLevelData(result: SarifResult) {
+        return {
+            'filePath': result.filePath,
+            'message': result.message,
+            'locations': { startLine: result.location.lineNumber + 1, startColumn: (result.location.columnNumber ?? 0) + 1 },
+            'ruleId': result.ruleId,
+            'helpUri': result.helpUri,
+            'finding': this.toFinding(result)
+        };
+    }
+
+    //Convert a result of the sarif file to a finding
+    private toFinding(result: SarifResult) {
+        return toTemplateFinding(result);
+    }
     /*Other options:
    יש אופציה להציג שגיאת תוכן תבנית ואת מיקום השגיאה 
    שגיאה:  const masseg = data.runs[0].invocations[0].toolExecutionNotifications[0].message.text;
@@ -85,48 +93,39 @@ export class TemplateAnalyzerGate extends Gate {
    helpURI = dataMassegeAndHelp[0]?.rules[0].helpUri;//to output 
    */
 
-    async templateAnalyzer() {
-      // const sarifFilePath = `C:\\Users\\USER\\Documents\\bootcamp Microsoft\\Lesson 13\\microsoft-security-gate\\src\\Template-analyzer\\Try.sarif`;
-       
-       //console.log(sarifFilePath)
-       //const sarifFile = `--report-format "sarif" -o ${sarifFilePath}`;
-        //const fileName = `TemplateAnalyzer.zip`;
-      //  var downloadFile = `C:\\Users\\USER\\Documents\\${locationDownloadFile}`;//root diractory ./
-        //var command1 = `powershell -c "Invoke-WebRequest -Uri 'https://github.com/Azure/template-analyzer/releases/download/v0.2.0/TemplateAnalyzer-win-x64.zip'  -OutFile '${locationDownloadFile}'"`;
-        // const pathes = await this.relativePath();
-        var command3 = `C:\\Users\\finalExtension\\MicrosoftSecurityExtension\\src\\gates\\templateAnalyzer\\Template-analyzer\\TemplateAnalyzer-win-x64\\TemplateAnalyzer.exe analyze-directory "C:\\Users\\user1\\finalExtension\\MicrosoftSecurityExtension\\src\\gates\\templateAnalyzer\\Template-analyzer\\ArmTemplateFiles"`;
-        var command4 = `C:\\Users\\finalExtension\\MicrosoftSecurityExtension\\src\\gates\\templateAnalyzer\\Template-analyzer\\TemplateAnalyzer-win-x64\\TemplateAnalyzer.exe analyze-directory ${rootPath![0]} --report-format "sarif" -o"C:\\Users\\user1\\finalExtension\\MicrosoftSecurityExtension\\src\\gates\\templateAnalyzer\\Template-analyzer\\result.sarif"`;
-       console.log(command4);
-        let _exePath = ExeClass.exe;
-       let _sarifPath = ExeClass.sarif;
-       const sarifFilePath = "C:\\Users\\user1\\finalExtension\\MicrosoftSecurityExtension\\src\\gates\\templateAnalyzer\\Template-analyzer\\result.sarif";//_sarifPath; //'C:\\Users\\USER\\Documents\\bootcamp Microsoft\\Lesson 13\\microsoft-security-gate\\src\\Template-analyzer\\result.sarif'; //
-     //  console.log(_exePath);
-     var command2 = `${_exePath}\\TemplateAnalyzer.exe analyze-directory ${rootPath![0]} --report-format "sarif" -o  ${sarifFilePath}`;//${_sarifPath}
-      // console.log(command2);
-        exec(command3, async function (error: { stack: any; code: string; signal: string; }, stdout: string, stderr: string) {
-            if (error) {
-                console.log(error.stack);
-                console.log('Error code: ' + error.code);
-                console.log('Signal received: ' + error.signal);
-            }
-            console.log('Child Process STDOUT: ' + stdout);
-            const outputChannel = createOutputChannel('TemplateAnalyzer');
-            appendLineToOutputChannel(outputChannel,stdout);
+    //Analyze every workspace folder, a failed run offers to show the output of the analyzer
+    async templateAnalyzer(progress: ScanProgress = new ScanProgress()): Promise<SarifResult[]> {
+        return analyzeWorkspace(progress, run => {
+            scanStatus.reportError(runErrorMessage(run), this.label);
+            vscode.window.showErrorMessage(runErrorMessage(run), 'Show output').then(selection => selection ? templateOutputChannel().show?.() : null);
         });
-        return sarifFilePath;
+    }
+
+    //Analyze the workspace again, a cancelled scan keeps the last results
+    public async rescan() {
+        const results = await runScan(this.label, progress => this.templateAnalyzer(progress));
+        if (!results) {
+            return;
+        }
+        this.results = results;
+        findingsStore.setGateFindings(this.label, this.results.map(result => this.toFinding(result)));
+        this.myProvider?.refresh(this);
     }
 
     public async refresh() {
+        this.results = undefined;
         this.myProvider?.refresh(this);
     }
 
     public async activate() {
         super.activate();
+        this.results = undefined;
         this.myProvider?.refresh();
     }
 
     public async deactivate() {
         super.deactivate();
+        findingsStore.clearGate(this.label);
         this.myProvider?.refresh();
     }
 
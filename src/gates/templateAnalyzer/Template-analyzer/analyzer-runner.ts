@@ -0,0 +1,88 @@
+import path = require('path');
+import fs = require('fs');
+import { execFile } from 'child_process';
+import { parseSarifLog, SarifResult } from '../../sarif/sarif-parser';
+import { CancellationSignal } from '../../../findings/scan-progress';
+
+const analyzerNames = ["TemplateAnalyzer.exe", "TemplateAnalyzer", "TemplateAnalyzer.dll"];
+
+//The program that runs the analyzer and the arguments that come before the analyzer arguments
+export class AnalyzerCommand {
+    constructor(
+        public readonly file: string,
+        public readonly args: string[],
+    ) { }
+
+    public toString() {
+        return [this.file, ...this.args].join(' ');
+    }
+}
+
+//The outcome of analyzing one workspace folder
+export class AnalyzerRun {
+    constructor(
+        public readonly folder: string,
+        public readonly sarifPath: string,
+        public readonly exitCode: number,
+        public readonly stdout: string,
+        public readonly stderr: string,
+    ) { }
+
+    //The analyzer exits with a non zero code when it finds violations, so a run succeeded when it wrote its report
+    public get succeeded() {
+        return fs.existsSync(this.sarifPath);
+    }
+}
+
+//The configured analyzer is an executable, a TemplateAnalyzer.dll that is run with dotnet or the folder of one of them
+//Without a configured analyzer the bundled windows build is used, and elsewhere the analyzer on the PATH
+export function resolveAnalyzerCommand(configuredPath: string | undefined, bundledFolder: string): AnalyzerCommand {
+    let analyzerPath = configuredPath?.trim() ?? "";
+    if (analyzerPath === "") {
+        const bundledAnalyzer = path.join(bundledFolder, "TemplateAnalyzer.exe");
+        analyzerPath = process.platform === 'win32' && fs.existsSync(bundledAnalyzer) ? bundledAnalyzer : "TemplateAnalyzer";
+    }
+    else if (fs.existsSync(analyzerPath) && fs.statSync(analyzerPath).isDirectory()) {
+        const folder = analyzerPath;
+        analyzerPath = analyzerNames.map(name => path.join(folder, name)).find(candidate => fs.existsSync(candidate)) ?? path.join(folder, "TemplateAnalyzer");
+    }
+    return analyzerPath.toLowerCase().endsWith(".dll") ?
+        new AnalyzerCommand("dotnet", [analyzerPath]) :
+        new AnalyzerCommand(analyzerPath, []);
+}
+
+//Whether a program can be started: a path that exists, or a name found in a folder of the PATH
+export function isProgramAvailable(file: string) {
+    if (path.isAbsolute(file) || /[\\/]/.test(file)) {
+        return fs.existsSync(file);
+    }
+    const extensions = process.platform === 'win32' ? ["", ...(process.env.PATHEXT ?? ".EXE").split(';')] : [""];
+    return (process.env.PATH ?? "").split(path.delimiter).filter(folder => folder)
+        .some(folder => extensions.some(extension => fs.existsSync(path.join(folder, file + extension))));
+}
+
+//Analyze a folder and wait until the analyzer writes its sarif report
+//A cancelled token kills the analyzer, the run then has no report
+export function runAnalyzer(command: AnalyzerCommand, folder: string, sarifPath: string, token?: CancellationSignal): Promise<AnalyzerRun> {
+    fs.mkdirSync(path.dirname(sarifPath), { recursive: true });
+    //A report of an earlier run must not be taken as the result of this one
+    fs.existsSync(sarifPath) ? fs.unlinkSync(sarifPath) : null;
+    const args = [...command.args, "analyze-directory", folder, "--report-format", "sarif", "-o", sarifPath];
+    return new Promise((resolve) => {
+        let cancellation: { dispose(): unknown } | undefined;
+        const analyzer = execFile(command.file, args, { cwd: folder, maxBuffer: 64 * 1024 * 1024, windowsHide: true }, (error, stdout, stderr) => {
+            cancellation?.dispose();
+            //The code of an error that is not an exit code, like ENOENT, means the analyzer did not start
+            const exitCode = !error ? 0 : typeof error.code === 'number' ? error.code : -1;
+            const errorOutput = error && exitCode === -1 ? `${stderr}${error.message}` : stderr;
+            resolve(new AnalyzerRun(folder, sarifPath, exitCode, stdout, errorOutput));
+        });
+        cancellation = token?.onCancellationRequested?.(() => analyzer.kill());
+    });
+}
+
+//The paths in the report are relative to the analyzed folder
+export function readAnalyzerResults(run: AnalyzerRun): SarifResult[] {
+    const log = JSON.parse(fs.readFileSync(run.sarifPath, 'utf-8'));
+    return parseSarifLog(log, run.sarifPath, [run.folder]);
+}
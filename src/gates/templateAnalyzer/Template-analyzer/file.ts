@@ -1,6 +1,7 @@
 import * as vscode from 'vscode';
 import { TreeItem } from '../../../tree item classes/tree-item';
 import { ReasonItem } from './reasonItem';
+import { Finding } from '../../../findings/finding';
 
 export class File extends TreeItem {
 
@@ -11,6 +12,7 @@ export class File extends TreeItem {
         public readonly message: string,
         public locations: any,
         public readonly command?: vscode.Command,
+        public readonly finding?: Finding,
     ) {
         command = {
             "title": "",
@@ -23,6 +25,6 @@ export class File extends TreeItem {
 
     public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined): Thenable<TreeItem[]> {
        // let cmdOpenFile = this.command;
-        return Promise.resolve([new ReasonItem(this.locations, this.message, "openInLine",this.path)]);
+        return Promise.resolve([new ReasonItem(this.locations, this.message, "openInLine",this.path, this.finding)]);
     }
 };
\ No newline at end of file
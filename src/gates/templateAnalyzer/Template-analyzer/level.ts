@@ -1,15 +1,17 @@
 import * as vscode from 'vscode';
+import path = require('path');
 import { TreeItem } from '../../../tree item classes/tree-item';
 import { File } from './file';
+import { Finding } from '../../../findings/finding';
 
 export class Level extends TreeItem {
 
-  public files: { filePath: string; message: string; locations: any }[];
+  public files: { filePath: string; message: string; locations: any; finding?: Finding }[];
 
   constructor(
     public readonly label: string,
     public readonly collapsibleState: vscode.TreeItemCollapsibleState,
-    public data: { filePath: string; message: string; locations: any }[]
+    public data: { filePath: string; message: string; locations: any; finding?: Finding }[]
   ) {
     super(label, collapsibleState);
     this.files = data;
@@ -20,28 +22,9 @@ export class Level extends TreeItem {
   }
 
   async getSarifFiles(label: string): Promise<TreeItem[]> {
-    switch (label) {
-      case 'Error':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath.replaceAll('/','\\'), obj.filePath.slice(obj.filePath.lastIndexOf('\\')+1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.message, obj.locations);
-        });
-      case 'Warning':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath.replaceAll('/','\\'), obj.filePath.slice(obj.filePath.lastIndexOf('\\') + 1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.message, obj.locations);
-        });
-      case 'Note':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath.replaceAll('/','\\'), obj.filePath.slice(obj.filePath.lastIndexOf('\\') + 1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.message, obj.locations);
-        });
-      case 'unLevel':
-        return this.files?.map(function (obj) {
-          return new File(obj.filePath.replaceAll('/','\\'), obj.filePath.slice(obj.filePath.lastIndexOf('\\') + 1), vscode.TreeItemCollapsibleState.Collapsed,
-            obj.message, obj.locations);
-        });
-    }
-    return [];
+    return this.files?.map(function (obj) {
+      return new File(obj.filePath, path.basename(obj.filePath), vscode.TreeItemCollapsibleState.Collapsed,
+        obj.message, obj.locations, undefined, obj.finding);
+    }) ?? [];
   }
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 import * as vscode from 'vscode';
 import { TreeItem } from '../../../tree item classes/tree-item';
+import { Finding } from '../../../findings/finding';
 
 
 export class ReasonItem extends TreeItem {
@@ -8,12 +9,15 @@ export class ReasonItem extends TreeItem {
     public readonly massege: string,
     public readonly command1:string,
     public readonly path:string,
+    public readonly finding?: Finding,
   ) {
     super(massege, vscode.TreeItemCollapsibleState.None);
+    //Items of findings can be suppressed from their context menu
+    this.contextValue = finding ? "finding" : undefined;
     this.command={
       "command":command1,
       "title":"openLine",
-      arguments:[location,path,massege]
+      arguments:[location,path,massege,finding]
 
     };
   }
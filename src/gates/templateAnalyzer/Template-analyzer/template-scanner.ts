@@ -0,0 +1,112 @@
+import path = require('path');
+import fs = require('fs');
+import { getAllFilesSync } from 'get-all-files';
+import { Finding, Severity } from '../../../findings/finding';
+import { SarifResult } from '../../sarif/sarif-parser';
+import { displayErrorMessage, excludedFolders } from '../../../customGate/gate-functions';
+import { securityGateConfigs } from '../../../config/security-gate-config';
+import { hashContent, scanCache } from '../../../findings/scan-cache';
+import { ScanProgress } from '../../../findings/scan-progress';
+import { getHost } from '../../../host/gate-host';
+import { AnalyzerCommand, AnalyzerRun, isProgramAvailable, readAnalyzerResults, resolveAnalyzerCommand, runAnalyzer } from './analyzer-runner';
+
+export const templateAnalyzerLabel = "TemplateAnalyzer";
+
+export const settingsSection = "microsoft.security.gate.templateAnalyzer";
+
+//The ARM templates, Bicep files and their parameters the analyzer reads
+const templateFileTypes = [".json", ".jsonc", ".bicep", ".bicepparam"];
+
+//The levels of the results and the severity of their findings
+export const levels: [string, string, Severity][] = [["error", "Error", 'error'], ["warning", "Warning", 'warning'], ["note", "Note", 'info'], ["none", "Un Level", 'info']];
+
+//A result with an unknown level is shown as a warning
+export function levelOf(result: SarifResult) {
+    return levels.find(([level]) => level === result.level) ?? levels[1];
+}
+
+export function templateOutputChannel() {
+    return getHost().createOutputChannel('TemplateAnalyzer');
+}
+
+//Convert a result of the sarif file to a finding
+export function toTemplateFinding(result: SarifResult) {
+    const finding = new Finding(templateAnalyzerLabel, result.filePath, levelOf(result)[2], result.message, result.location, result.ruleId);
+    finding.helpUri = result.helpUri;
+    finding.fullDescription = result.fullDescription;
+    return finding;
+}
+
+//Why a run of the analyzer failed, with the first line of its error output
+export function runErrorMessage(run: AnalyzerRun) {
+    const reason = run.stderr.trim().split('\n')[0] || run.stdout.trim().split('\n').pop() || "";
+    return run.exitCode === -1 ?
+        `TemplateAnalyzer could not be started, set ${settingsSection}.path to the analyzer. ${reason}` :
+        `TemplateAnalyzer failed on ${run.folder} with exit code ${run.exitCode}. ${reason}`;
+}
+
+//The analyzer in the configuration of the folder wins over the settings
+function configuredAnalyzerPath(folder: string) {
+    return securityGateConfigs.forFile(folder)?.option<string>(templateAnalyzerLabel, 'path') ?? getHost().getSetting<string>(settingsSection, 'path', "");
+}
+
+function analyzerCommandOf(folder: string) {
+    return resolveAnalyzerCommand(configuredAnalyzerPath(folder),
+        path.join(getHost().resourcePath, "gates", "templateAnalyzer", "Template-analyzer", "TemplateAnalyzer-win-x64"));
+}
+
+//Why the analyzer cannot run on the workspace, undefined when it is configured or installed
+//A configured analyzer that does not start is a failure of the scan, not a missing setup
+export function analyzerUnavailableReason() {
+    const folders = getHost().workspaceFolders();
+    return folders.every(folder => !configuredAnalyzerPath(folder)?.trim() && !isProgramAvailable(analyzerCommandOf(folder).file)) ?
+        `the analyzer is not installed, set ${settingsSection}.path to the analyzer or add TemplateAnalyzer to the PATH` :
+        undefined;
+}
+
+//The templates of a folder, the analyzer runs again on a folder when one of them changes
+function templateFiles(folder: string) {
+    return Array.from(getAllFilesSync(folder, { isExcludedDir: (folderPath: string) => excludedFolders.includes(path.basename(folderPath)) }))
+        .filter(filePath => templateFileTypes.some(fileType => filePath.endsWith(fileType)));
+}
+
+//Another analyzer, or the same analyzer once it is updated, can find other results
+function analyzerHash(command: AnalyzerCommand) {
+    const analyzerPath = command.args[0] ?? command.file;
+    return hashContent(`${command}\0${fs.existsSync(analyzerPath) ? fs.statSync(analyzerPath).mtimeMs : ""}`);
+}
+
+//Analyze every workspace folder, the reports are written to the storage of the host
+//A folder whose templates did not change takes its results from the cache, a failed or cancelled run is not cached
+export async function analyzeWorkspace(progress: ScanProgress = new ScanProgress(),
+    onRunError: (run: AnalyzerRun) => void = run => displayErrorMessage(runErrorMessage(run))): Promise<SarifResult[]> {
+    const folders = getHost().workspaceFolders();
+    const folderResults = await progress.forEachFile(folders, async (folder) => {
+        const command = analyzerCommandOf(folder);
+        const results = await scanCache.scanGroup(templateAnalyzerLabel, folder, templateFiles(folder), analyzerHash(command), async () => {
+            templateOutputChannel().appendLine(`${command} analyze-directory ${folder}`);
+            const run = await runAnalyzer(command, folder, path.join(getHost().storagePath, `template-analyzer-${folders.indexOf(folder)}.sarif`), progress.token);
+            writeRunToOutput(run);
+            try {
+                if (run.succeeded) {
+                    return readAnalyzerResults(run);
+                }
+                //A killed analyzer is not an error, the scan was cancelled
+                progress.isCancelled ? null : onRunError(run);
+            } catch (ex: any) {
+                displayErrorMessage(`Failed to read the TemplateAnalyzer report of ${run.folder}: ${ex.message}`);
+            }
+            return undefined;
+        });
+        return (results ?? []).filter(result => securityGateConfigs.isIncluded(templateAnalyzerLabel, result.filePath));
+    });
+    scanCache.retain(templateAnalyzerLabel, folders);
+    return Array.from(folderResults.values()).flat();
+}
+
+function writeRunToOutput(run: AnalyzerRun) {
+    const outputChannel = templateOutputChannel();
+    run.stdout ? outputChannel.appendLine(run.stdout) : null;
+    run.stderr ? outputChannel.appendLine(run.stderr) : null;
+    outputChannel.appendLine(`Exit code: ${run.exitCode}`);
+}
@@ -0,0 +1,376 @@
+import { SourceRange } from '../../source-locator';
+
+//An expression whose value is only known when terraform runs, like var.name, a function call or a template
+export class HclExpression {
+    constructor(public readonly text: string) { }
+}
+
+export type HclValue = string | number | boolean | null | HclExpression | HclValue[] | HclObject;
+
+export interface HclObject {
+    [key: string]: HclValue;
+}
+
+//The path of an attribute in the body of a block, nested blocks are lists like in the json of terraform plans
+export type HclPath = (string | number)[];
+
+export class HclSyntaxError extends Error {
+    constructor(message: string, public readonly line: number) {
+        super(`${message} at line ${line + 1}`);
+    }
+}
+
+//A top level block like resource "aws_s3_bucket" "logs" { ... }
+export class HclBlock {
+    constructor(
+        public readonly type: string,
+        public readonly labels: string[],
+        //Attributes by their name and nested blocks as lists by their type
+        public readonly body: HclObject,
+        public readonly range: SourceRange,
+        //The ranges of the attributes and nested blocks of the body, by their path
+        private readonly ranges: Map<string, SourceRange>,
+    ) { }
+
+    //The range of an attribute or nested block, or of the closest parent the path has
+    public rangeOf(path: HclPath) {
+        for (let length = path.length; length > 0; length--) {
+            const range = this.ranges.get(pathKey(path.slice(0, length)));
+            if (range) {
+                return range;
+            }
+        }
+        return this.range;
+    }
+}
+
+export function pathKey(path: HclPath) {
+    return JSON.stringify(path);
+}
+
+//Parse the blocks of a terraform configuration file, top level attributes like those of .tfvars files are skipped
+export function parseHcl(content: string): HclBlock[] {
+    return new HclParser(content).parseFile();
+}
+
+class HclParser {
+    private position = 0;
+    private lineStarts: number[] = [0];
+    //Where the last value ends, before the spaces and comments after it
+    private valueEnd = 0;
+
+    constructor(private readonly content: string) {
+        for (let index = 0; index < content.length; index++) {
+            content[index] === '\n' ? this.lineStarts.push(index + 1) : null;
+        }
+    }
+
+    public parseFile() {
+        const blocks: HclBlock[] = [];
+        for (this.skipSpace(true); !this.isAtEnd(); this.skipSpace(true)) {
+            const start = this.position;
+            const name = this.readIdentifier();
+            this.skipSpace(false);
+            if (this.peek() === '=' && this.peek(1) !== '=') {
+                this.position++;
+                this.readValue();
+                continue;
+            }
+            const labels = this.readLabels();
+            const ranges = new Map<string, SourceRange>();
+            const body = this.readBody([], ranges, false);
+            blocks.push(new HclBlock(name, labels, body, this.rangeFrom(start), ranges));
+        }
+        return blocks;
+    }
+
+    //The labels of a block up to its opening brace
+    private readLabels() {
+        const labels: string[] = [];
+        while (this.peek() !== '{') {
+            if (this.isAtEnd()) {
+                throw this.error("Expected {");
+            }
+            labels.push(this.peek() === '"' ? this.readString() : this.readIdentifier());
+            this.skipSpace(false);
+        }
+        this.position++;
+        return labels;
+    }
+
+    //The body of a block up to its closing brace, the content of a dynamic block is read into the block it generates
+    private readBody(path: HclPath, ranges: Map<string, SourceRange>, isDynamic: boolean, body: HclObject = {}): HclObject {
+        for (this.skipSpace(true); this.peek() !== '}'; this.skipSpace(true)) {
+            if (this.isAtEnd()) {
+                throw this.error("Expected }");
+            }
+            const start = this.position;
+            const name = this.readIdentifier();
+            this.skipSpace(false);
+            if (this.peek() === '=' && this.peek(1) !== '=') {
+                this.position++;
+                body[name] = this.readValue();
+                ranges.set(pathKey([...path, name]), this.rangeFrom(start, this.valueEnd));
+                continue;
+            }
+            const labels = this.readLabels();
+            if (isDynamic && name === 'content') {
+                this.readBody(path, ranges, false, body);
+                continue;
+            }
+            const type = name === 'dynamic' && labels.length > 0 ? labels[0] : name;
+            const blocks = Array.isArray(body[type]) ? body[type] as HclValue[] : [];
+            const blockPath = [...path, type, blocks.length];
+            blocks.push(this.readBody(blockPath, ranges, name === 'dynamic'));
+            body[type] = blocks;
+            ranges.set(pathKey(blockPath), this.rangeFrom(start));
+        }
+        this.position++;
+        return body;
+    }
+
+    //A literal value, or the text of an expression that terraform evaluates
+    private readValue(): HclValue {
+        this.skipSpace(false);
+        const start = this.position;
+        const value = this.readLiteral();
+        this.valueEnd = this.position;
+        this.skipSpace(false);
+        if (value !== undefined && this.isEndOfValue()) {
+            return value;
+        }
+        this.position = start;
+        this.valueEnd = this.skipExpression();
+        return new HclExpression(this.content.slice(start, this.valueEnd));
+    }
+
+    private readLiteral(): HclValue | undefined {
+        const char = this.peek();
+        if (char === '"') {
+            const start = this.position;
+            const text = this.readString();
+            return /[$%]\{/.test(this.content.slice(start, this.position)) ? undefined : text;
+        }
+        if (char === '<' && this.peek(1) === '<') {
+            return this.readHeredoc();
+        }
+        if (char === '[') {
+            return this.readList();
+        }
+        if (char === '{') {
+            return this.readObject();
+        }
+        const word = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)\b/.exec(this.content.slice(this.position, this.position + 64));
+        if (word) {
+            this.position += word[0].length;
+            return word[1] === 'true' ? true : word[1] === 'false' ? false : word[1] === 'null' ? null : Number(word[1]);
+        }
+        return undefined;
+    }
+
+    private readList(): HclValue[] | undefined {
+        this.position++;
+        this.skipSpace(true);
+        if (/^for\s/.test(this.content.slice(this.position, this.position + 4))) {
+            return undefined;
+        }
+        const items: HclValue[] = [];
+        while (this.peek() !== ']') {
+            if (this.isAtEnd()) {
+                throw this.error("Expected ]");
+            }
+            items.push(this.readValue());
+            this.skipSpace(true);
+            this.peek() === ',' ? this.position++ : null;
+            this.skipSpace(true);
+        }
+        this.position++;
+        return items;
+    }
+
+    private readObject(): HclObject | undefined {
+        this.position++;
+        this.skipSpace(true);
+        if (/^for\s/.test(this.content.slice(this.position, this.position + 4))) {
+            return undefined;
+        }
+        const object: HclObject = {};
+        while (this.peek() !== '}') {
+            if (this.isAtEnd()) {
+                throw this.error("Expected }");
+            }
+            const key = this.peek() === '"' ? this.readString() : this.peek() === '(' ? undefined : this.readIdentifier();
+            if (key === undefined) {
+                return undefined;
+            }
+            this.skipSpace(false);
+            if (this.peek() !== '=' && this.peek() !== ':') {
+                throw this.error("Expected = or :");
+            }
+            this.position++;
+            object[key] = this.readValue();
+            this.skipSpace(true);
+            this.peek() === ',' ? this.position++ : null;
+            this.skipSpace(true);
+        }
+        this.position++;
+        return object;
+    }
+
+    //A quoted string, the interpolations of a template are kept as they are
+    private readString() {
+        this.position++;
+        let text = "";
+        while (this.peek() !== '"') {
+            if (this.isAtEnd() || this.peek() === '\n') {
+                throw this.error("Unterminated string");
+            }
+            if (this.peek() === '\\') {
+                const escaped = this.peek(1);
+                text += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped === 'r' ? '\r' : escaped;
+                this.position += 2;
+            } else if ((this.peek() === '$' || this.peek() === '%') && this.peek(1) === '{') {
+                const start = this.position;
+                this.position++;
+                this.skipBrackets();
+                text += this.content.slice(start, this.position);
+            } else {
+                text += this.content[this.position++];
+            }
+        }
+        this.position++;
+        return text;
+    }
+
+    //<<EOT and the indented <<-EOT, a heredoc with interpolations is an expression
+    private readHeredoc(): HclValue | undefined {
+        const marker = /^<<(-?)([A-Za-z_][A-Za-z0-9_-]*)[ \t]*\r?\n/.exec(this.content.slice(this.position));
+        if (!marker) {
+            return undefined;
+        }
+        this.position += marker[0].length;
+        const lines: string[] = [];
+        while (!this.isAtEnd()) {
+            const end = this.content.indexOf('\n', this.position);
+            const line = this.content.slice(this.position, end === -1 ? this.content.length : end).replace(/\r$/, '');
+            if (line.trim() === marker[2]) {
+                this.position += line.length;
+                const text = lines.join('\n');
+                return /[$%]\{/.test(text) ? new HclExpression(text) : text;
+            }
+            lines.push(line);
+            this.position = end === -1 ? this.content.length : end + 1;
+        }
+        throw this.error(`Unterminated heredoc ${marker[2]}`);
+    }
+
+    //Skip an expression up to the end of its line, a line comment, a comma or the bracket that closes the value it is in
+    //Returns where the expression ends, before the spaces and block comments after it
+    private skipExpression() {
+        let end = this.position;
+        while (!this.isAtEnd()) {
+            const char = this.peek();
+            if (char === '\n' || char === ',' || char === ')' || char === ']' || char === '}' || char === '#' ||
+                (char === '/' && this.peek(1) === '/')) {
+                return end;
+            }
+            if (char === ' ' || char === '\t' || char === '\r' || (char === '/' && this.peek(1) === '*')) {
+                this.skipSpace(false);
+                continue;
+            }
+            if (char === '"') {
+                this.readString();
+            } else if (char === '(' || char === '[' || char === '{') {
+                this.skipBrackets();
+            } else if (char === '<' && this.peek(1) === '<' && this.readHeredoc() !== undefined) {
+                //The heredoc ends at its marker, the line break after it ends the expression
+            } else {
+                this.position++;
+            }
+            end = this.position;
+        }
+        return end;
+    }
+
+    //Skip from an opening bracket past the bracket that closes it, with the strings and brackets in between
+    private skipBrackets() {
+        let depth = 0;
+        do {
+            const char = this.peek();
+            if (this.isAtEnd()) {
+                throw this.error("Unclosed bracket");
+            }
+            if (char === '"') {
+                this.readString();
+                continue;
+            }
+            if (char === '#' || (char === '/' && (this.peek(1) === '/' || this.peek(1) === '*'))) {
+                this.skipSpace(true);
+                continue;
+            }
+            depth += char === '(' || char === '[' || char === '{' ? 1 : char === ')' || char === ']' || char === '}' ? -1 : 0;
+            this.position++;
+        } while (depth > 0);
+    }
+
+    private isEndOfValue() {
+        const char = this.peek();
+        return this.isAtEnd() || char === '\n' || char === '\r' || char === ',' || char === ')' || char === ']' || char === '}' ||
+            char === '#' || (char === '/' && this.peek(1) === '/');
+    }
+
+    //Skip spaces and comments, and line breaks when they do not end the current attribute
+    private skipSpace(newLines: boolean) {
+        while (!this.isAtEnd()) {
+            const char = this.peek();
+            if (char === ' ' || char === '\t' || char === '\r' || (newLines && char === '\n')) {
+                this.position++;
+            } else if (char === '#' || (char === '/' && this.peek(1) === '/')) {
+                const end = this.content.indexOf('\n', this.position);
+                this.position = end === -1 ? this.content.length : newLines ? end + 1 : end;
+            } else if (char === '/' && this.peek(1) === '*') {
+                const end = this.content.indexOf('*/', this.position + 2);
+                this.position = end === -1 ? this.content.length : end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    private readIdentifier() {
+        const identifier = /^[A-Za-z_][A-Za-z0-9_-]*/.exec(this.content.slice(this.position, this.position + 256));
+        if (!identifier) {
+            throw this.error(`Unexpected ${JSON.stringify(this.peek())}`);
+        }
+        this.position += identifier[0].length;
+        return identifier[0];
+    }
+
+    private peek(offset: number = 0) {
+        return this.content[this.position + offset] ?? "";
+    }
+
+    private isAtEnd() {
+        return this.position >= this.content.length;
+    }
+
+    private rangeFrom(start: number, end: number = this.position) {
+        const [startLine, startColumn] = this.lineAndColumn(start);
+        const [endLine, endColumn] = this.lineAndColumn(end);
+        return new SourceRange(startLine, startColumn, endLine, endColumn);
+    }
+
+    private lineAndColumn(offset: number): [number, number] {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            this.lineStarts[middle] <= offset ? low = middle : high = middle - 1;
+        }
+        return [low, offset - this.lineStarts[low]];
+    }
+
+    private error(message: string) {
+        return new HclSyntaxError(message, this.lineAndColumn(this.position)[0]);
+    }
+}
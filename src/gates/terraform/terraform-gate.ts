@@ -0,0 +1,37 @@
+import { CustomGate } from '../../customGate/customer-gate';
+import { GetFileSettings } from '../../customGate/gate-functions';
+import { GateData } from '../../customGate/gate-data';
+import { ScanProgress } from '../../findings/scan-progress';
+import { isTerraformFile, scanTerraform, terraformDescription, terraformFileTypes, terraformLabel, terraformLabels, terraformScannedFiles } from './terraform-scanner';
+
+export class TerraformGate extends CustomGate {
+
+    //Labels of treeItems in hierarchy of gate
+    labels: string[] = terraformLabels;
+
+    //The name of the gate
+    label: string = terraformLabel;
+
+    //Description of gate
+    description: string = terraformDescription;
+
+    constructor() {
+        super(terraformLabel);
+    }
+
+    public async scanData(progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+        const isFullScan = this.files.length === 0;
+        const filePaths = await this.getFiles(new GetFileSettings(terraformFileTypes)); //a saved .tf file is checked with the rest of its module
+        return scanTerraform(filePaths, isFullScan, progress);
+    }
+
+    protected acceptsFile(filePath: string) {
+        return isTerraformFile(filePath);
+    }
+
+    //The issues a change in another file of the module fixed are cleared from every file of the module
+    protected scannedFiles(changedFiles: string[]) {
+        return terraformScannedFiles(changedFiles);
+    }
+
+}
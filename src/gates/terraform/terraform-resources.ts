@@ -0,0 +1,69 @@
+import { SourceRange } from '../../source-locator';
+import { HclBlock, HclObject, HclPath, parseHcl } from './hcl-parser';
+
+//A managed resource of a configuration or a plan, with the values of its attributes
+//Nested blocks are lists of objects in both, like the json of terraform plans
+export class TerraformResource {
+    constructor(
+        //The address of the resource, like module.network.azurerm_network_security_group.web
+        public readonly address: string,
+        public readonly type: string,
+        public readonly name: string,
+        public readonly values: HclObject,
+        public readonly filePath: string,
+        private readonly locate: (path: HclPath) => SourceRange,
+    ) { }
+
+    //The range of an attribute, of its closest parent or of the resource
+    public rangeOf(path: HclPath) {
+        return this.locate(path);
+    }
+}
+
+//The resources of a .tf file, a resource without the attribute a rule needs is located at the line that declares it
+export function resourcesOfConfig(filePath: string, content: string) {
+    const lines = content.split('\n');
+    return parseHcl(content)
+        .filter(block => block.type === 'resource' && block.labels.length === 2)
+        .map((block: HclBlock) => {
+            const line = block.range.startLine;
+            const declaration = new SourceRange(line, block.range.startColumn, line, lines[line].replace(/\s*\{?\s*$/, '').length);
+            return new TerraformResource(`${block.labels[0]}.${block.labels[1]}`, block.labels[0], block.labels[1],
+                block.body, filePath, path => path.length > 0 ? block.rangeOf(path) : declaration);
+        });
+}
+
+//The planned resources of the json of "terraform show -json", undefined when the file is not a plan
+//The values of a plan have no source lines, its resources are located at their address
+export function resourcesOfPlan(filePath: string, content: string) {
+    const plan = JSON.parse(content);
+    const rootModule = plan?.planned_values?.root_module;
+    if (!rootModule) {
+        return undefined;
+    }
+    const resources: TerraformResource[] = [];
+    const plannedValues = Math.max(content.indexOf('"planned_values"'), 0);
+    const visit = (module: any) => {
+        (module.resources ?? []).filter((resource: any) => resource.mode === 'managed').forEach((resource: any) => {
+            const range = addressRange(content, resource.address, plannedValues);
+            resources.push(new TerraformResource(resource.address, resource.type, resource.name, resource.values ?? {}, filePath, () => range));
+        });
+        (module.child_modules ?? []).forEach(visit);
+    };
+    visit(rootModule);
+    return resources;
+}
+
+//The range of "address": "..." in the planned values, plans are often printed on a single line
+function addressRange(content: string, address: string, from: number) {
+    const match = new RegExp(`"address"\\s*:\\s*${escapeRegExp(JSON.stringify(address))}`).exec(content.slice(from));
+    const start = match ? from + match.index : from;
+    const before = content.slice(0, start).split('\n');
+    const line = before.length - 1;
+    const column = before[line].length;
+    return new SourceRange(line, column, line, column + (match ? match[0].length : 0));
+}
+
+function escapeRegExp(text: string) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
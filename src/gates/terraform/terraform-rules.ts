@@ -0,0 +1,147 @@
+import { SourceRange } from '../../source-locator';
+import { HclExpression, HclObject, HclPath, HclValue } from './hcl-parser';
+import { TerraformResource } from './terraform-resources';
+
+export type TerraformSeverity = 'High' | 'Medium' | 'Low';
+
+//An issue of a rule, located at the attribute that causes it or at the resource when the attribute is missing
+export class TerraformIssue {
+    constructor(
+        public readonly ruleId: string,
+        public readonly message: string,
+        public readonly severity: TerraformSeverity,
+        public readonly filePath: string,
+        public readonly range: SourceRange,
+    ) { }
+}
+
+export class TerraformRule {
+    constructor(
+        public readonly id: string,
+        public readonly message: string,
+        public readonly severity: TerraformSeverity,
+        public readonly resourceTypes: string[],
+        //The paths of the attributes that cause issues, an empty path is the resource itself
+        //The other resources of the module are given for rules that depend on them
+        public readonly check: (resource: TerraformResource, module: TerraformResource[]) => HclPath[],
+    ) { }
+}
+
+//Sources that are open to the whole internet
+const openSources = ["0.0.0.0/0", "::/0", "*", "internet", "any"];
+
+const publicAcls = ["public-read", "public-read-write", "authenticated-read"];
+
+//Values of expressions are unknown, rules only report what the configuration states
+function isUnknown(value: HclValue | undefined) {
+    return value instanceof HclExpression;
+}
+
+//An attribute that is missing or not true, when its default is false
+function isNotTrue(value: HclValue | undefined) {
+    return !isUnknown(value) && value !== true && value !== "true";
+}
+
+function isFalse(value: HclValue | undefined) {
+    return value === false || value === "false";
+}
+
+function blocksOf(values: HclObject, name: string): HclObject[] {
+    const blocks = values[name];
+    return Array.isArray(blocks) ? blocks.filter((block): block is HclObject => typeof block === 'object' && block !== null && !Array.isArray(block) && !isUnknown(block)) : [];
+}
+
+function isOpenSource(value: HclValue | undefined): boolean {
+    return Array.isArray(value) ? value.some(isOpenSource) : typeof value === 'string' && openSources.includes(value.toLowerCase());
+}
+
+//The attribute that should be true, when it is missing the issue is located at the resource
+function requireTrue(resource: TerraformResource, attribute: string): HclPath[] {
+    return isNotTrue(resource.values[attribute]) ? [resource.values[attribute] === undefined ? [] : [attribute]] : [];
+}
+
+//An inbound rule of a network security group, or one of the security_rule blocks of a group
+function openAzureRule(rule: HclObject) {
+    return String(rule.direction).toLowerCase() === 'inbound' && String(rule.access).toLowerCase() === 'allow' ?
+        ["source_address_prefix", "source_address_prefixes"].filter(attribute => isOpenSource(rule[attribute])) :
+        [];
+}
+
+//A resource refers to a bucket by an expression like aws_s3_bucket.logs.id, or by its name in a plan
+function refersToBucket(value: HclValue | undefined, bucket: TerraformResource) {
+    return value instanceof HclExpression ?
+        new RegExp(`\\baws_s3_bucket\\.${bucket.name}\\b`).test(value.text) :
+        value !== undefined && value === bucket.values.bucket;
+}
+
+export const terraformRules: TerraformRule[] = [
+    new TerraformRule("AzureNsgOpenIngress", "The security rule allows inbound traffic from any source, restrict it to the addresses that need access", 'High',
+        ["azurerm_network_security_rule", "azurerm_network_security_group"],
+        resource => resource.type === 'azurerm_network_security_rule' ?
+            openAzureRule(resource.values).map(attribute => [attribute]) :
+            blocksOf(resource.values, "security_rule").flatMap((rule, index) => openAzureRule(rule).map(attribute => ["security_rule", index, attribute]))),
+    new TerraformRule("AzureStorageHttpsOnly", "The storage account accepts unencrypted HTTP traffic, set https_traffic_only_enabled to true", 'High',
+        ["azurerm_storage_account"],
+        resource => ["enable_https_traffic_only", "https_traffic_only_enabled"].filter(attribute => isFalse(resource.values[attribute])).map(attribute => [attribute])),
+    new TerraformRule("AzureStorageMinTls", "The storage account accepts TLS versions older than 1.2, set min_tls_version to TLS1_2", 'Medium',
+        ["azurerm_storage_account"],
+        resource => ["TLS1_0", "TLS1_1"].includes(String(resource.values.min_tls_version)) ? [["min_tls_version"]] : []),
+    new TerraformRule("AzureStorageInfrastructureEncryption", "The storage account does not encrypt its data a second time at the infrastructure level, set infrastructure_encryption_enabled to true", 'Low',
+        ["azurerm_storage_account"],
+        resource => requireTrue(resource, "infrastructure_encryption_enabled")),
+    new TerraformRule("AzureStoragePublicBlobAccess", "The storage account lets its containers allow anonymous public access, set allow_nested_items_to_be_public to false", 'Medium',
+        ["azurerm_storage_account"],
+        (resource) => {
+            const attribute = ["allow_nested_items_to_be_public", "allow_blob_public_access"].find(name => resource.values[name] !== undefined);
+            //The provider allows public containers unless the account turns it off
+            return attribute ? (resource.values[attribute] === true ? [[attribute]] : []) : [[]];
+        }),
+    new TerraformRule("AzureStorageContainerPublicAccess", "The container allows anonymous public read access to its blobs, set container_access_type to private", 'High',
+        ["azurerm_storage_container"],
+        resource => ["blob", "container"].includes(String(resource.values.container_access_type)) ? [["container_access_type"]] : []),
+    new TerraformRule("AzureKeyVaultPurgeProtection", "The key vault has no purge protection, so deleted keys and secrets can be purged before their retention ends", 'Medium',
+        ["azurerm_key_vault"],
+        resource => requireTrue(resource, "purge_protection_enabled")),
+    new TerraformRule("AwsSecurityGroupOpenIngress", "The security group allows inbound traffic from any address, restrict it to the addresses that need access", 'High',
+        ["aws_security_group", "aws_security_group_rule", "aws_vpc_security_group_ingress_rule"],
+        (resource) => {
+            const openCidrs = (rule: HclObject) => ["cidr_blocks", "ipv6_cidr_blocks", "cidr_ipv4", "cidr_ipv6"].filter(attribute => isOpenSource(rule[attribute]));
+            switch (resource.type) {
+                case "aws_security_group":
+                    return blocksOf(resource.values, "ingress").flatMap((rule, index) => openCidrs(rule).map(attribute => ["ingress", index, attribute]));
+                case "aws_security_group_rule":
+                    return resource.values.type === 'ingress' ? openCidrs(resource.values).map(attribute => [attribute]) : [];
+                default:
+                    return openCidrs(resource.values).map(attribute => [attribute]);
+            }
+        }),
+    new TerraformRule("AwsS3BucketEncryption", "The bucket has no server-side encryption configuration, add an aws_s3_bucket_server_side_encryption_configuration with a KMS key", 'Medium',
+        ["aws_s3_bucket"],
+        (resource, module) => blocksOf(resource.values, "server_side_encryption_configuration").length === 0 &&
+            !module.some(other => other.type === 'aws_s3_bucket_server_side_encryption_configuration' && refersToBucket(other.values.bucket, resource)) ?
+            [[]] :
+            []),
+    new TerraformRule("AwsS3PublicAcl", "The bucket ACL grants public access, use a private ACL and grant access with policies", 'High',
+        ["aws_s3_bucket", "aws_s3_bucket_acl"],
+        resource => publicAcls.includes(String(resource.values.acl)) ? [["acl"]] : []),
+    new TerraformRule("AwsS3PublicAccessBlock", "The public access block leaves public access open, set all four of its settings to true", 'Medium',
+        ["aws_s3_bucket_public_access_block"],
+        resource => ["block_public_acls", "block_public_policy", "ignore_public_acls", "restrict_public_buckets"]
+            .filter(attribute => isNotTrue(resource.values[attribute]))
+            .map(attribute => resource.values[attribute] === undefined ? [] : [attribute])
+            .slice(0, 1)),
+    new TerraformRule("AwsDatabaseEncryption", "The database storage is not encrypted, set storage_encrypted to true", 'Medium',
+        ["aws_db_instance", "aws_rds_cluster"],
+        resource => requireTrue(resource, "storage_encrypted")),
+    new TerraformRule("AwsEbsEncryption", "The volume is not encrypted, set encrypted to true", 'Medium',
+        ["aws_ebs_volume"],
+        resource => requireTrue(resource, "encrypted"))
+];
+
+//Check the resources of a module or a plan against the rules, the messages start with the address of the resource
+export function checkResources(resources: TerraformResource[]): TerraformIssue[] {
+    return resources.flatMap(resource => terraformRules
+        .filter(rule => rule.resourceTypes.includes(resource.type))
+        .flatMap(rule => rule.check(resource, resources).map(path =>
+            new TerraformIssue(rule.id, `${resource.address}: ${rule.message}`, rule.severity, resource.filePath, resource.rangeOf(path)))));
+}
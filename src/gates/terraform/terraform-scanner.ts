@@ -0,0 +1,87 @@
+import path = require('path');
+import fs = require('fs');
+import { displayErrorMessage } from '../../customGate/gate-functions';
+import { GateData } from '../../customGate/gate-data';
+import { RuleIssue, rulesHash, scanRuleIssues } from '../../customGate/rule-issues';
+import { securityGateConfigs } from '../../config/security-gate-config';
+import { scanCache } from '../../findings/scan-cache';
+import { ScanProgress } from '../../findings/scan-progress';
+import { resourcesOfConfig, resourcesOfPlan, TerraformResource } from './terraform-resources';
+import { checkResources, terraformRules, TerraformSeverity } from './terraform-rules';
+
+export const terraformLabel = "Terraform";
+
+export const terraformDescription = "Checks the Azure and AWS resources of Terraform configurations and of plans saved with terraform show -json.";
+
+export const terraformLabels: TerraformSeverity[] = ["High", "Medium", "Low"];
+
+//The configuration files and the plans the gate reads, a json file is a plan when it has planned values
+export const terraformFileTypes = [".tf", ".json"];
+
+const terraformRulesHash = rulesHash(terraformRules);
+
+//The issues of a module or a plan and the files of it that could not be read, the errors are reported again
+//whenever the cached issues are used, until the files are fixed
+interface TerraformScan {
+    issues: RuleIssue[];
+    errors: string[];
+}
+
+//The modules terraform downloads into .terraform are checked where they are declared
+export function isTerraformFile(filePath: string) {
+    return terraformFileTypes.some(fileType => filePath.endsWith(fileType)) &&
+        !filePath.split(/[\\/]/).some(folder => folder === ".terraform" || folder === "node_modules");
+}
+
+//The files a scan of the given files reads, a .tf file is read with all the .tf files of its folder
+export function terraformScannedFiles(filePaths: string[]) {
+    const terraformFiles = filePaths.filter(isTerraformFile);
+    const modules = Array.from(new Set(terraformFiles.filter(filePath => filePath.endsWith(".tf")).map(filePath => path.dirname(filePath))));
+    return modules.flatMap(moduleFiles).concat(terraformFiles.filter(filePath => !filePath.endsWith(".tf")));
+}
+
+//The .tf files of a folder are one module, a rule can depend on the other resources of the module
+//so a changed .tf file is checked with all the .tf files of its folder and a plan on its own
+//Modules and plans that did not change take their issues from the cache, a full scan drops the cached issues of the others
+export async function scanTerraform(filePaths: string[], isFullScan: boolean, progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+    const terraformFiles = filePaths.filter(isTerraformFile);
+    const modules = Array.from(new Set(terraformFiles.filter(filePath => filePath.endsWith(".tf")).map(filePath => path.dirname(filePath))));
+    const plans = terraformFiles.filter(filePath => !filePath.endsWith(".tf"));
+    const gateData = await scanRuleIssues(terraformLabels, [...modules, ...plans], progress, async (modulePath) => {
+        const files = plans.includes(modulePath) ? [modulePath] : moduleFiles(modulePath);
+        const scan = await scanCache.scanGroup(terraformLabel, modulePath, files, terraformRulesHash, contents => checkModule(contents));
+        scan?.errors.forEach(displayErrorMessage);
+        return scan?.issues ?? [];
+    });
+    isFullScan ? scanCache.retain(terraformLabel, [...modules, ...plans]) : null;
+    return gateData;
+}
+
+function checkModule(contents: Map<string, string>): TerraformScan {
+    const errors: string[] = [];
+    const resources = Array.from(contents).flatMap(([filePath, content]) => {
+        try {
+            return readResources(filePath, content);
+        } catch (ex: any) {
+            errors.push(`Failed to read the Terraform file ${filePath}: ${ex.message}`);
+            return [];
+        }
+    });
+    return { issues: checkResources(resources), errors: errors };
+}
+
+function moduleFiles(modulePath: string) {
+    return fs.readdirSync(modulePath)
+        .filter(fileName => fileName.endsWith(".tf"))
+        .map(fileName => path.join(modulePath, fileName))
+        .filter(filePath => securityGateConfigs.isIncluded(terraformLabel, filePath));
+}
+
+//A file that cannot be parsed throws, its resources are left out of the module
+//The other json files of the workspace are not plans, they are skipped without being parsed
+function readResources(filePath: string, content: string): TerraformResource[] {
+    if (filePath.endsWith(".tf")) {
+        return resourcesOfConfig(filePath, content);
+    }
+    return content.includes('"planned_values"') ? resourcesOfPlan(filePath, content) ?? [] : [];
+}
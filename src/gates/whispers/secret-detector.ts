@@ -0,0 +1,127 @@
+import { isMap, isPair, isScalar, isSeq, parse } from 'yaml';
+import minimatch = require('minimatch');
+import { SourceLocator, SourceRange } from '../../source-locator';
+
+//A rule of the config file, a secret must match both its key and its value conditions
+export class SecretRule {
+    constructor(
+        public readonly id: string,
+        public readonly message: string,
+        public readonly key?: RegExp,
+        public readonly value?: RegExp,
+        public readonly minLength: number = 1,
+        public readonly minEntropy: number = 0,
+    ) { }
+
+    public matches(key: string | undefined, value: string) {
+        if (this.key && (key === undefined || !this.key.test(key))) {
+            return false;
+        }
+        if (this.value && !this.value.test(value)) {
+            return false;
+        }
+        return value.length >= this.minLength && shannonEntropy(value) >= this.minEntropy;
+    }
+}
+
+export class DetectorConfig {
+    constructor(
+        public readonly rules: SecretRule[],
+        public readonly excludeFiles: string[],
+        public readonly excludeKeys: RegExp[],
+        public readonly excludeValues: RegExp[],
+    ) { }
+}
+
+//A secret found in a file, located at its key
+export class DetectedSecret {
+    constructor(
+        public readonly ruleId: string,
+        public readonly message: string,
+        public readonly keyPath: (string | number)[],
+        public readonly range: SourceRange,
+    ) { }
+}
+
+//Load the rules and the exclusion lists from the text of the config file
+export function loadDetectorConfig(configText: string): DetectorConfig {
+    const config = parse(configText) ?? {};
+    const toRegExp = (pattern: string, ignoreCase?: boolean) => new RegExp(pattern, ignoreCase ? 'i' : '');
+    const rules = (config.rules ?? []).map((rule: any) => {
+        if (!rule.id || (!rule.key && !rule.value)) {
+            throw new Error(`Invalid whispers rule ${rule.id ?? ""}: a rule needs an id and a key or value condition`);
+        }
+        return new SecretRule(
+            rule.id,
+            rule.message ?? rule.id,
+            rule.key?.regex ? toRegExp(rule.key.regex, rule.key.ignorecase) : undefined,
+            rule.value?.regex ? toRegExp(rule.value.regex, rule.value.ignorecase) : undefined,
+            rule.value?.minlen ?? 1,
+            rule.value?.entropy ?? 0
+        );
+    });
+    return new DetectorConfig(
+        rules,
+        config.exclude?.files ?? [],
+        (config.exclude?.keys ?? []).map((pattern: string) => toRegExp(pattern, true)),
+        (config.exclude?.values ?? []).map((pattern: string) => toRegExp(pattern, true))
+    );
+}
+
+export function isExcludedFile(config: DetectorConfig, filePath: string) {
+    const normalizedPath = filePath.replace(/\\/g, '/');
+    return config.excludeFiles.some(pattern => minimatch(normalizedPath, pattern, { dot: true }));
+}
+
+//Find the secrets in the text of a YAML or JSON file
+export function detectSecrets(config: DetectorConfig, content: string): DetectedSecret[] {
+    const locator = new SourceLocator(content);
+    const secrets: DetectedSecret[] = [];
+    for (const document of locator.documents) {
+        walk(document.contents, [], undefined, undefined, (value, keyPath, key, keyNode, valueNode) => {
+            if (config.excludeValues.some(pattern => pattern.test(value)) ||
+                (key !== undefined && config.excludeKeys.some(pattern => pattern.test(key)))) {
+                return;
+            }
+            const rule = config.rules.find(secretRule => secretRule.matches(key, value));
+            if (rule) {
+                secrets.push(new DetectedSecret(rule.id, `${rule.message}: ${keyPath.join('.')}`, keyPath, locator.rangeOf(keyNode, valueNode)));
+            }
+        });
+    }
+    return secrets;
+}
+
+//Visit every string value with the path of keys to it
+//Every duplicate key is visited, so a secret hidden by a later duplicate is still found at its own line
+function walk(node: unknown, keyPath: (string | number)[], key: string | undefined, keyNode: unknown,
+    visitValue: (value: string, keyPath: (string | number)[], key: string | undefined, keyNode: unknown, valueNode: unknown) => void) {
+    if (isMap(node)) {
+        for (const pair of node.items) {
+            if (isPair(pair)) {
+                const pairKey = isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+                walk(pair.value, [...keyPath, pairKey], pairKey, pair.key, visitValue);
+            }
+        }
+    }
+    else if (isSeq(node)) {
+        node.items.forEach((item, index) => walk(item, [...keyPath, index], key, undefined, visitValue));
+    }
+    else if (isScalar(node) && (typeof node.value === 'string' || typeof node.value === 'number')) {
+        visitValue(String(node.value), keyPath, key, keyNode, node);
+    }
+}
+
+//Shannon entropy in bits per character
+export function shannonEntropy(value: string) {
+    const counts = new Map<string, number>();
+    for (const character of value) {
+        counts.set(character, (counts.get(character) ?? 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach((count) => {
+        const probability = count / value.length;
+        entropy -= probability * Math.log2(probability);
+    });
+    return entropy;
+}
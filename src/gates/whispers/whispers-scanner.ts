@@ -0,0 +1,69 @@
+import path = require('path');
+import fs = require('fs');
+import { displayErrorMessage } from '../../customGate/gate-functions';
+import { FileMessages, GateData, GateResult, Location, ResultsList } from '../../customGate/gate-data';
+import { DetectorConfig, detectSecrets, isExcludedFile, loadDetectorConfig } from './secret-detector';
+import { securityGateConfigs } from '../../config/security-gate-config';
+import { hashContent, scanCache } from '../../findings/scan-cache';
+import { ScanCancelledError, ScanProgress } from '../../findings/scan-progress';
+import { getHost } from '../../host/gate-host';
+
+export const whispersLabel = "whispers";
+
+export const whispersDescription = "Whispers is a static code analysis tool designed for parsing various common data formats in search of hardcoded credentials and dangerous functions.";
+
+//The file types the gate scans, unless the configuration of the workspace sets its own globs
+export const whispersFileTypes = [".yaml", ".yml", ".json"];
+
+//The files are scanned in process, so their contents never leave the machine
+//A full scan drops the cached secrets of the files it did not scan
+export async function scanWhispers(filePaths: string[], isFullScan: boolean, progress: ScanProgress = new ScanProgress()): Promise<GateData> {
+    const secrets = new GateData();// Init secrets of files for the function response
+    secrets.data = [new ResultsList("secrets", [])];//Init secrets data with label: secrets
+    try {
+        const configs = new Map<string, { config: DetectorConfig; hash: string }>();//the configurations by their path, loaded once per scan
+        const scannedFiles: string[] = [];
+        const scanned = await progress.forEachFile(filePaths, async (filePath) => {
+            const configFilePath = whispersConfigPath(filePath);
+            if (!configs.has(configFilePath)) {
+                const configContent = fs.readFileSync(configFilePath, 'utf-8');
+                configs.set(configFilePath, { config: loadDetectorConfig(configContent), hash: hashContent(configContent) });
+            }
+            const { config, hash } = configs.get(configFilePath)!;
+            if (isExcludedFile(config, filePath)) {
+                return [];
+            }
+            scannedFiles.push(filePath);
+            //Files that did not change since they were scanned with the same rules take their secrets from the cache
+            const cached = await scanCache.scanFiles(whispersLabel, [filePath], hash, (file: string, content: string) =>
+                detectSecrets(config, content).map(secret => ({ ruleId: secret.ruleId, message: secret.message, range: secret.range })));
+            return cached.get(filePath) ?? [];
+        });
+        scanned.forEach((detectedSecrets, filePath) => {
+            if (detectedSecrets.length !== 0) //there are secrets in the file
+            {
+                secrets.data[0].result.push(new FileMessages(filePath, path.basename(filePath),
+                    detectedSecrets.map(secret => new GateResult(
+                        new Location(secret.range.startLine, secret.range.startColumn, secret.range.endLine, secret.range.endColumn),
+                        secret.message, secret.ruleId))));
+            }
+        });
+        isFullScan ? scanCache.retain(whispersLabel, scannedFiles) : null;
+    } catch (ex: any) {
+        //A cancelled scan is reported by the notification of the scan
+        if (ex instanceof ScanCancelledError) {
+            throw ex;
+        }
+        displayErrorMessage(ex.message);
+    }
+    return secrets;
+}
+
+//The rules of the workspace configuration, relative to its folder, or the rules bundled with the gate
+function whispersConfigPath(filePath: string) {
+    const workspaceConfig = securityGateConfigs.forFile(filePath);
+    const configOption = workspaceConfig?.option<string>(whispersLabel, 'config');
+    return configOption ?
+        path.resolve(workspaceConfig!.folderPath, configOption) :
+        path.join(getHost().resourcePath, "gates", "whispers", "config.yaml");
+}
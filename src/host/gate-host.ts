@@ -0,0 +1,61 @@
+//What the gates need from the editor, so the same scanners run in vscode and in the cli
+//The extension sets a host backed by the vscode api, the cli a host backed by the file system and the console
+
+export interface Disposable {
+    dispose(): unknown;
+}
+
+//Compatible with vscode.Event, so events of the host are exposed as they are in the api
+export type Event<T> = (listener: (e: T) => unknown, thisArgs?: unknown, disposables?: Disposable[]) => Disposable;
+
+export class Emitter<T> {
+    private listeners = new Set<(e: T) => unknown>();
+
+    public readonly event: Event<T> = (listener, thisArgs, disposables) => {
+        const bound = (e: T) => listener.call(thisArgs, e);
+        this.listeners.add(bound);
+        const disposable = { dispose: () => this.listeners.delete(bound) };
+        disposables?.push(disposable);
+        return disposable;
+    };
+
+    public fire(e: T) {
+        this.listeners.forEach(listener => listener(e));
+    }
+}
+
+export interface HostOutputChannel {
+    appendLine(value: string): void;
+    show?(): void;
+}
+
+export interface GateHost {
+    //The folders the gates scan, the workspace folders or the directory given to the cli
+    workspaceFolders(): string[];
+
+    //A setting like microsoft.security.gate.kubesec mode, the file selects the settings of its folder
+    getSetting<T>(section: string, key: string, defaultValue: T, filePath?: string): T;
+
+    createOutputChannel(name: string): HostOutputChannel;
+
+    showError(message: string): void;
+
+    //The src folder of the extension, with the files bundled for the gates like the whispers rules
+    readonly resourcePath: string;
+
+    //A folder the gates write their reports to
+    readonly storagePath: string;
+}
+
+let currentHost: GateHost | undefined;
+
+export function setHost(host: GateHost) {
+    currentHost = host;
+}
+
+export function getHost(): GateHost {
+    if (!currentHost) {
+        throw new Error("The gates run before their host is set");
+    }
+    return currentHost;
+}
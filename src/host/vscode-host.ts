@@ -0,0 +1,36 @@
+import * as vscode from 'vscode';
+import { GateHost, HostOutputChannel } from './gate-host';
+import { scanStatus } from '../findings/scan-runner';
+
+//The host of the extension, the gates use the workspace, the settings and the output channels of vscode
+export class VscodeHost implements GateHost {
+    public readonly resourcePath: string;
+
+    public readonly storagePath: string;
+
+    private outputChannels = new Map<string, vscode.OutputChannel>();
+
+    constructor(context: vscode.ExtensionContext) {
+        this.resourcePath = context.asAbsolutePath("src");
+        this.storagePath = (context.storageUri ?? context.globalStorageUri).fsPath;
+    }
+
+    public workspaceFolders() {
+        return (vscode.workspace.workspaceFolders ?? []).map(folder => folder.uri.fsPath);
+    }
+
+    public getSetting<T>(section: string, key: string, defaultValue: T, filePath?: string): T {
+        return vscode.workspace.getConfiguration(section, filePath ? vscode.Uri.file(filePath) : undefined).get<T>(key, defaultValue);
+    }
+
+    //A channel is created once, gates that ask for it again write to the same channel
+    public createOutputChannel(name: string): HostOutputChannel {
+        this.outputChannels.has(name) ? null : this.outputChannels.set(name, vscode.window.createOutputChannel(name));
+        return this.outputChannels.get(name)!;
+    }
+
+    public showError(message: string) {
+        scanStatus.reportError(message);
+        vscode.window.showErrorMessage(message);
+    }
+}
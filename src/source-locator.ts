@@ -0,0 +1,170 @@
+import { Document, isAlias, isMap, isPair, isScalar, isSeq, LineCounter, Node, Pair, parseAllDocuments, YAMLMap } from 'yaml';
+import { Location } from './customGate/gate-data';
+
+//A segment of a path that matches every item of a sequence
+export const anyItem = Symbol("anyItem");
+
+export type PathSegment = string | number | typeof anyItem;
+
+//Zero based start and end of a text in a file
+export class SourceRange {
+    constructor(
+        public readonly startLine: number,
+        public readonly startColumn: number,
+        public readonly endLine: number,
+        public readonly endColumn: number,
+    ) { }
+
+    public toLocation() {
+        return new Location(this.startLine, this.startColumn, this.endLine, this.endColumn);
+    }
+}
+
+//The result of resolving a path, when only a prefix of the path exists it is located at the deepest node found
+export class ResolvedLocation {
+    constructor(
+        public readonly range: SourceRange,
+        public readonly exact: boolean,
+        public readonly depth: number,
+    ) { }
+}
+
+//Maps paths in YAML and JSON files to their exact source ranges
+//JSON is parsed as YAML, so both formats, flow style, anchors and multiple documents are supported
+export class SourceLocator {
+    private lineCounter = new LineCounter();
+    public readonly documents: Document.Parsed[];
+
+    constructor(private readonly content: string) {
+        this.documents = Array.from(parseAllDocuments(content, { lineCounter: this.lineCounter, uniqueKeys: false }));
+    }
+
+    //The value of a key at the root of a document, like the kind of a kubernetes object
+    public rootValue(key: string, documentIndex: number = 0): unknown {
+        const contents = this.documents[documentIndex]?.contents;
+        return isMap(contents) ? (contents as YAMLMap).get(key) : undefined;
+    }
+
+    public resolvePath(path: PathSegment[], documentIndex: number = 0): ResolvedLocation | undefined {
+        const document = this.documents[documentIndex];
+        if (!document?.contents) {
+            return undefined;
+        }
+        return this.resolveFrom(document, undefined, document.contents, path, 0);
+    }
+
+    //Resolve the first path that exists, or the one that is found deepest
+    public resolveAnyPath(paths: PathSegment[][], documentIndex: number = 0): ResolvedLocation | undefined {
+        let best: ResolvedLocation | undefined;
+        for (const path of paths) {
+            const resolved = this.resolvePath(path, documentIndex);
+            if (resolved?.exact) {
+                return resolved;
+            }
+            best = resolved && (!best || resolved.depth > best.depth) ? resolved : best;
+        }
+        return best;
+    }
+
+    //Resolve a JSON pointer like "/resources/0/properties"
+    public resolvePointer(pointer: string, documentIndex: number = 0): ResolvedLocation | undefined {
+        const path = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        return this.resolvePath(path, documentIndex);
+    }
+
+    //The first occurrence of a text in the value at a path, like an expression in a multi-line script
+    //The text is looked up in the source, so it is found only when it is written as it is in the value
+    public resolveText(path: (string | number)[], text: string, documentIndex: number = 0): SourceRange | undefined {
+        const node = this.documents[documentIndex]?.getIn(path, true);
+        const range = isScalar(node) || isMap(node) || isSeq(node) ? (node as Node).range : undefined;
+        const offset = range ? this.content.indexOf(text, range[0]) : -1;
+        return range && offset !== -1 && offset + text.length <= range[1] ?
+            this.toRange(offset, offset + text.length) :
+            this.resolvePath(path, documentIndex)?.range;
+    }
+
+    //A key with a scalar value covers both, a key of a collection covers only the key
+    public rangeOf(keyNode: unknown, valueNode: unknown): SourceRange {
+        const key = isScalar(keyNode) ? keyNode : undefined;
+        const value = isScalar(valueNode) || isMap(valueNode) || isSeq(valueNode) || isAlias(valueNode) ? valueNode as Node : undefined;
+        if (key?.range) {
+            return this.toRange(key.range[0], isScalar(value) && value.range ? value.range[1] : key.range[1]);
+        }
+        if (value?.range) {
+            return isScalar(value) ?
+                this.toRange(value.range[0], value.range[1]) :
+                this.toRange(value.range[0], this.endOfLine(value.range[0]));
+        }
+        return new SourceRange(0, 0, 0, 0);
+    }
+
+    private resolveFrom(document: Document.Parsed, keyNode: unknown, node: unknown, path: PathSegment[], depth: number): ResolvedLocation {
+        const here = new ResolvedLocation(this.rangeOf(keyNode, node), depth === path.length, depth);
+        if (here.exact) {
+            return here;
+        }
+        let best = here;
+        for (const [childKey, child] of this.children(document, this.deref(document, node), path[depth])) {
+            const resolved = this.resolveFrom(document, childKey, child, path, depth + 1);
+            if (resolved.exact) {
+                return resolved;
+            }
+            best = resolved.depth > best.depth ? resolved : best;
+        }
+        return best;
+    }
+
+    private children(document: Document.Parsed, node: unknown, segment: PathSegment): [unknown, unknown][] {
+        if (isMap(node) && typeof segment === 'string') {
+            const pair = this.findPair(document, node, segment);
+            return pair ? [[pair.key, pair.value]] : [];
+        }
+        if (isSeq(node)) {
+            if (segment === anyItem) {
+                return node.items.map(item => [undefined, item]);
+            }
+            const index = Number(segment);
+            return Number.isInteger(index) && node.items[index] !== undefined ? [[undefined, node.items[index]]] : [];
+        }
+        return [];
+    }
+
+    //The last of duplicate keys wins, like when the file is loaded, and merge keys are searched after the map itself
+    private findPair(document: Document.Parsed, map: YAMLMap, key: string, depth: number = 0): Pair | undefined {
+        const pairs = map.items.filter(pair => isPair(pair) && keyOf(pair) === key);
+        if (pairs.length > 0) {
+            return pairs[pairs.length - 1];
+        }
+        for (const merge of map.items.filter(pair => keyOf(pair) === "<<")) {
+            const sources = isSeq(merge.value) ? merge.value.items : [merge.value];
+            for (const source of sources) {
+                const resolved = this.deref(document, source);
+                const found = isMap(resolved) && depth < 10 ? this.findPair(document, resolved, key, depth + 1) : undefined;
+                if (found) {
+                    return found;
+                }
+            }
+        }
+        return undefined;
+    }
+
+    //An alias is located at the node of its anchor
+    private deref(document: Document.Parsed, node: unknown) {
+        return isAlias(node) ? node.resolve(document) : node;
+    }
+
+    private endOfLine(offset: number) {
+        const end = this.content.indexOf('\n', offset);
+        return end === -1 ? this.content.length : end;
+    }
+
+    private toRange(start: number, end: number) {
+        const startPosition = this.lineCounter.linePos(start);
+        const endPosition = this.lineCounter.linePos(end);
+        return new SourceRange(startPosition.line - 1, startPosition.col - 1, endPosition.line - 1, endPosition.col - 1);
+    }
+}
+
+function keyOf(pair: Pair) {
+    return isScalar(pair.key) ? String(pair.key.value) : String(pair.key);
+}
@@ -0,0 +1,53 @@
+import * as vscode from 'vscode';
+import { GatesProvider } from './gate-provider';
+import { Finding } from './findings/finding';
+import { findingsStore } from './findings/findings-store';
+import { scanStatus } from './findings/scan-runner';
+
+//Counts of the open findings by severity, like "$(error) 3 $(warning) 5 $(info) 2"
+function countsText(findings: Finding[]) {
+  const count = (severity: string) => findings.filter(finding => finding.severity === severity).length;
+  return `$(error) ${count('error')} $(warning) ${count('warning')} $(info) ${count('info')}`;
+}
+
+//Summarize the open findings of the active gates in the status bar, with a spinner while gates scan
+//and a warning when the last scan of a gate failed
+export function registerStatusBar(context: vscode.ExtensionContext, provider: GatesProvider) {
+  const item = vscode.window.createStatusBarItem('securityGate.summary', vscode.StatusBarAlignment.Left);
+  item.name = "Security Gate";
+  item.command = 'gates.showSummary';
+  const activeGates = (): string[] => provider.gates.filter(gate => gate.getIsActive()).map(gate => gate.label);
+  const failures = () => scanStatus.failedGates.filter(([gate]) => activeGates().includes(gate));
+  const update = () => {
+    const findings = findingsStore.getAllFindings().filter(finding => finding.severity !== 'passed');
+    const running = scanStatus.runningGates;
+    const failed = failures();
+    item.text = (running.length > 0 ? "$(sync~spin) " : failed.length > 0 ? "$(alert) " : "$(shield) ") + countsText(findings);
+    item.backgroundColor = failed.length > 0 ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+    item.tooltip = [
+      `Security Gate: ${findings.length} open findings`,
+      ...(running.length > 0 ? [`Scanning: ${running.join(', ')}`] : []),
+      ...failed.map(([gate, message]) => `${gate} failed: ${message}`)
+    ].join('\n');
+    item.show();
+  };
+  context.subscriptions.push(
+    item,
+    findingsStore.onDidChangeFindings(update),
+    scanStatus.onDidChange(update),
+    vscode.commands.registerCommand('gates.showSummary', async () => {
+      const findings = findingsStore.getAllFindings().filter(finding => finding.severity !== 'passed');
+      const failed = new Map(failures());
+      const picked = await vscode.window.showQuickPick([
+        { label: "$(list-tree) Show the Gates view" },
+        ...activeGates().map(gate => ({
+          label: `${failed.has(gate) ? "$(alert)" : scanStatus.runningGates.includes(gate) ? "$(sync~spin)" : "$(shield)"} ${gate}`,
+          description: countsText(findings.filter(finding => finding.gate === gate)),
+          detail: failed.has(gate) ? `Failed: ${failed.get(gate)}` : undefined
+        }))
+      ], { placeHolder: `${findings.length} open findings in ${activeGates().length} active gates` });
+      picked ? vscode.commands.executeCommand('package-gates.focus') : null;
+    })
+  );
+  update();
+}
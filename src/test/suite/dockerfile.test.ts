@@ -0,0 +1,126 @@
+import * as assert from 'assert';
+import { parseDockerfile, splitWords, substituteVariables, variablesOf } from '../../gates/dockerfile/dockerfile-parser';
+import { checkDockerfile } from '../../gates/dockerfile/dockerfile-rules';
+
+suite('Dockerfile Test Suite', () => {
+	//The issues of a rule in a Dockerfile, by the zero based line they are on
+	function issuesOf(ruleId: string, lines: string[]) {
+		return checkDockerfile(parseDockerfile(lines.join('\n')))
+			.filter(issue => issue.ruleId === ruleId)
+			.map(issue => issue.range.startLine);
+	}
+
+	//A Dockerfile that passes every rule, the lines of a test are added before its end
+	function safeDockerfile(...lines: string[]) {
+		return ['FROM node:20-alpine', ...lines, 'HEALTHCHECK CMD wget -q -O- http://localhost:3000/ || exit 1', 'USER node'];
+	}
+
+	test('Stages have their images, names and instructions', () => {
+		const dockerfile = parseDockerfile([
+			'ARG BASE=node:20',
+			'FROM --platform=linux/amd64 ${BASE} AS build',
+			'# a comment',
+			'RUN npm ci',
+			'FROM nginx:1.25',
+			'COPY --from=build /app /usr/share/nginx/html'
+		].join('\n'));
+		assert.deepStrictEqual(dockerfile.globalArgs.map(arg => arg.args), ['BASE=node:20']);
+		assert.deepStrictEqual(dockerfile.stages.map(stage => [stage.image, stage.name, stage.instructions.map(instruction => instruction.keyword)]),
+			[['${BASE}', 'build', ['RUN']], ['nginx:1.25', undefined, ['COPY']]]);
+		assert.strictEqual(dockerfile.finalStage?.from.range.startLine, 4);
+	});
+
+	test('Continued lines are joined and heredocs are kept apart', () => {
+		const dockerfile = parseDockerfile([
+			'FROM alpine:3.19',
+			'RUN apk add \\',
+			'    # the client',
+			'    curl',
+			'RUN <<EOF',
+			'set -e',
+			'echo done',
+			'EOF',
+			'USER app'
+		].join('\n'));
+		const [continued, heredoc, user] = dockerfile.stages[0].instructions;
+		assert.strictEqual(continued.args, 'apk add curl');
+		assert.deepStrictEqual(continued.lines.map(line => line.line), [1, 3]);
+		assert.deepStrictEqual(heredoc.heredocs, ['set -e\necho done']);
+		assert.strictEqual(heredoc.range.endLine, 7);
+		assert.strictEqual(user.keyword, 'USER');
+	});
+
+	test('The escape directive changes the continuation character', () => {
+		const dockerfile = parseDockerfile(['# escape=`', 'FROM mcr.microsoft.com/windows/servercore:ltsc2022', 'RUN dir `', '    C:\\'].join('\n'));
+		assert.strictEqual(dockerfile.stages[0].instructions[0].args, 'dir C:\\');
+	});
+
+	test('Words, variables and substitutions', () => {
+		assert.deepStrictEqual(splitWords('a "b c" \'d\''), ['a', 'b c', 'd']);
+		const [env, legacy] = parseDockerfile('FROM a:1\nENV A=1 B="two words"\nENV C three words').stages[0].instructions;
+		assert.deepStrictEqual(variablesOf(env), [['A', '1'], ['B', 'two words']]);
+		assert.deepStrictEqual(variablesOf(legacy), [['C', 'three words']]);
+		assert.strictEqual(substituteVariables('$A ${B} ${C:-c} $D', new Map([['A', 'a'], ['B', 'b']])), 'a b c $D');
+	});
+
+	test('A safe Dockerfile has no issues', () => {
+		assert.deepStrictEqual(checkDockerfile(parseDockerfile(safeDockerfile('RUN npm ci').join('\n'))), []);
+	});
+
+	test('RootUser', () => {
+		assert.deepStrictEqual(issuesOf('RootUser', ['FROM node:20', 'USER node', 'FROM node:20', 'USER root']), [3]);
+		assert.deepStrictEqual(issuesOf('RootUser', ['FROM node:20', 'USER 0:0']), [1]);
+		assert.deepStrictEqual(issuesOf('RootUser', ['FROM node:20', 'USER root', 'USER node']), []);
+	});
+
+	test('MissingUser', () => {
+		assert.deepStrictEqual(issuesOf('MissingUser', ['FROM node:20 AS build', 'USER node', 'FROM nginx:1.25']), [2]);
+		//The final stage is built from a stage that sets the user
+		assert.deepStrictEqual(issuesOf('MissingUser', ['FROM node:20 AS base', 'USER node', 'FROM base']), []);
+	});
+
+	test('LatestTag', () => {
+		assert.deepStrictEqual(issuesOf('LatestTag', ['FROM node:latest']), [0]);
+		assert.deepStrictEqual(issuesOf('LatestTag', ['ARG TAG=latest', 'FROM node:${TAG}']), [1]);
+		assert.deepStrictEqual(issuesOf('LatestTag', ['FROM node:20', 'FROM node@sha256:0123']), []);
+	});
+
+	test('UntaggedImage', () => {
+		assert.deepStrictEqual(issuesOf('UntaggedImage', ['FROM ubuntu']), [0]);
+		assert.deepStrictEqual(issuesOf('UntaggedImage', ['FROM registry:5000/team/app']), [0]);
+		assert.deepStrictEqual(issuesOf('UntaggedImage', ['FROM node:20 AS build', 'FROM build', 'FROM scratch', 'FROM ${IMAGE}']), []);
+	});
+
+	test('AddFromUrl', () => {
+		assert.deepStrictEqual(issuesOf('AddFromUrl', safeDockerfile('ADD https://example.com/tool.tar.gz /opt/')), [1]);
+		assert.deepStrictEqual(issuesOf('AddFromUrl', safeDockerfile('ADD --checksum=sha256:0123 https://example.com/tool.tar.gz /opt/', 'ADD app.tar.gz /opt/')), []);
+	});
+
+	test('SecretInEnv', () => {
+		assert.deepStrictEqual(issuesOf('SecretInEnv', safeDockerfile('ENV DB_PASSWORD=hunter2 PORT=80', 'ENV API_KEY abc')), [1, 2]);
+		assert.deepStrictEqual(issuesOf('SecretInEnv', safeDockerfile('ENV TOKEN_FILE=', 'ENV PORT=80')), []);
+	});
+
+	test('SecretInArg', () => {
+		assert.deepStrictEqual(issuesOf('SecretInArg', ['ARG NPM_TOKEN', ...safeDockerfile('ARG GITHUB_TOKEN=abc')]), [0, 2]);
+		assert.deepStrictEqual(issuesOf('SecretInArg', safeDockerfile('ARG VERSION=1.0')), []);
+	});
+
+	test('CurlPipeShell', () => {
+		assert.deepStrictEqual(issuesOf('CurlPipeShell', safeDockerfile('RUN curl -fsSL https://example.com/install.sh | sudo bash')), [1]);
+		assert.deepStrictEqual(issuesOf('CurlPipeShell', safeDockerfile('RUN wget -qO- https://example.com/install.sh | sh')), [1]);
+		assert.deepStrictEqual(issuesOf('CurlPipeShell', safeDockerfile('RUN curl -fsSL -o install.sh https://example.com/install.sh | tee log')), []);
+	});
+
+	test('MissingHealthcheck', () => {
+		assert.deepStrictEqual(issuesOf('MissingHealthcheck', ['FROM node:20', 'HEALTHCHECK CMD true', 'FROM node:20', 'USER node']), [2]);
+		assert.deepStrictEqual(issuesOf('MissingHealthcheck', safeDockerfile()), []);
+	});
+
+	test('AptGetUnpinned', () => {
+		assert.deepStrictEqual(issuesOf('AptGetUnpinned', safeDockerfile('RUN apt-get update && apt-get install -y --no-install-recommends curl git')), [1]);
+		const message = checkDockerfile(parseDockerfile(safeDockerfile('RUN apt install -y curl').join('\n'))).find(issue => issue.ruleId === 'AptGetUnpinned')?.message;
+		assert.ok(message?.endsWith(': curl'));
+		assert.deepStrictEqual(issuesOf('AptGetUnpinned', safeDockerfile('RUN apt-get install -y curl=7.88.1-10 $PACKAGES')), []);
+	});
+});
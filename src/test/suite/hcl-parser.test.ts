@@ -0,0 +1,107 @@
+import * as assert from 'assert';
+import { HclExpression, HclObject, HclSyntaxError, parseHcl } from '../../gates/terraform/hcl-parser';
+import { SourceRange } from '../../source-locator';
+
+suite('HCL Parser Test Suite', () => {
+	function bodyOf(content: string) {
+		const blocks = parseHcl(content);
+		assert.strictEqual(blocks.length, 1);
+		return blocks[0].body;
+	}
+
+	test('Blocks have their labels, attributes and nested blocks', () => {
+		const blocks = parseHcl([
+			'variable "name" {}',
+			'resource "aws_s3_bucket" "logs" {',
+			'  bucket = "logs"',
+			'  versioning {',
+			'    enabled = true',
+			'  }',
+			'}'
+		].join('\n'));
+		assert.deepStrictEqual(blocks.map(block => [block.type, ...block.labels]), [['variable', 'name'], ['resource', 'aws_s3_bucket', 'logs']]);
+		assert.deepStrictEqual(blocks[1].body, { bucket: 'logs', versioning: [{ enabled: true }] });
+		assert.strictEqual(blocks[1].rangeOf(['versioning', 0, 'enabled']).startLine, 4);
+		assert.strictEqual(blocks[1].rangeOf(['missing']).startLine, 1);
+	});
+
+	test('Comments inside and after values are skipped', () => {
+		const body = bodyOf([
+			'resource "a" "b" {',
+			'  count = 1 /* one */ + 2',
+			'  size = var.size /* trailing */',
+			'  name = "x" # comment',
+			'  tags = { /* empty */ }',
+			'  // a line comment',
+			'  port = 443 // https',
+			'}'
+		].join('\n'));
+		assert.deepStrictEqual(body.count, new HclExpression('1 /* one */ + 2'));
+		assert.deepStrictEqual(body.size, new HclExpression('var.size'));
+		assert.strictEqual(body.name, 'x');
+		assert.deepStrictEqual(body.tags, {});
+		assert.strictEqual(body.port, 443);
+	});
+
+	test('Heredocs are strings, or expressions when they have interpolations', () => {
+		const body = bodyOf([
+			'resource "a" "b" {',
+			'  policy = <<EOT',
+			'{"Effect": "Allow"}',
+			'EOT',
+			'  script = <<-EOT',
+			'    echo ${var.name}',
+			'    EOT',
+			'  after = true',
+			'}'
+		].join('\n'));
+		assert.strictEqual(body.policy, '{"Effect": "Allow"}');
+		assert.ok(body.script instanceof HclExpression);
+		assert.strictEqual(body.after, true);
+	});
+
+	test('For expressions and multi-line function calls are expressions', () => {
+		const blocks = parseHcl([
+			'resource "a" "b" {',
+			'  names = [for name in var.names : upper(name)]',
+			'  tags = { for key, value in var.tags : key => value }',
+			'  cidr = cidrsubnet(',
+			'    var.cidr,',
+			'    8, # new bits',
+			'    1',
+			'  )',
+			'  enabled = true',
+			'}'
+		].join('\n'));
+		const body = blocks[0].body;
+		assert.deepStrictEqual(body.names, new HclExpression('[for name in var.names : upper(name)]'));
+		assert.deepStrictEqual(body.tags, new HclExpression('{ for key, value in var.tags : key => value }'));
+		assert.ok(body.cidr instanceof HclExpression);
+		assert.strictEqual(body.enabled, true);
+		assert.deepStrictEqual(blocks[0].rangeOf(['cidr']), new SourceRange(3, 2, 7, 3));
+	});
+
+	test('The content of a dynamic block is read into the block it generates', () => {
+		const body = bodyOf([
+			'resource "azurerm_network_security_group" "web" {',
+			'  dynamic "security_rule" {',
+			'    for_each = var.rules',
+			'    content {',
+			'      direction = "Inbound"',
+			'      source_address_prefix = security_rule.value',
+			'    }',
+			'  }',
+			'}'
+		].join('\n'));
+		const rules = body['security_rule'] as HclObject[];
+		assert.strictEqual(rules.length, 1);
+		assert.deepStrictEqual(rules[0]['for_each'], new HclExpression('var.rules'));
+		assert.strictEqual(rules[0].direction, 'Inbound');
+		assert.deepStrictEqual(rules[0]['source_address_prefix'], new HclExpression('security_rule.value'));
+	});
+
+	test('Syntax errors have their line', () => {
+		assert.throws(() => parseHcl('resource "a" "b" {\n  name = "x\n}'), (error: HclSyntaxError) => error.line === 1);
+		assert.throws(() => parseHcl('resource "a" "b" {\n  name = 1\n'), HclSyntaxError);
+	});
+});
@@ -0,0 +1,115 @@
+import * as assert from 'assert';
+import { documentIndexAt, isFixableRule, kubesecFix, ManifestFix } from '../../gates/kubesec/rules/kubesec-fixes';
+import { kubesecRules } from '../../gates/kubesec/rules/kubesec-rules';
+import { scanManifest } from '../../gates/kubesec/rules/rule-engine';
+
+suite('Kubesec Fixes Test Suite', () => {
+	//The manifest after the edits of a fix, the last edits are applied first so the offsets of the others stay valid
+	function applyFix(content: string, fix: ManifestFix) {
+		return [...fix.edits].sort((a, b) => b.start - a.start)
+			.reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), content);
+	}
+
+	function fixed(lines: string[], ruleId: string, documentIndex: number = 0) {
+		const content = lines.join('\n');
+		const fix = kubesecFix(content, ruleId, kubesecRules.find(rule => rule.id === ruleId)!.selector, documentIndex);
+		return fix ? applyFix(content, fix).split('\n') : undefined;
+	}
+
+	const pod = [
+		'kind: Pod',
+		'spec:',
+		'  containers:',
+		'    - name: app',
+		'      image: nginx:1.25',
+		'  initContainers:',
+		'    - name: init',
+		'      securityContext:',
+		'        runAsNonRoot: false',
+		''
+	];
+
+	test('Only the rules with a fix are fixable', () => {
+		assert.ok(isFixableRule('RunAsNonRoot'));
+		assert.ok(!isFixableRule('Privileged'));
+		assert.ok(!isFixableRule(undefined));
+		assert.strictEqual(fixed(pod, 'Privileged'), undefined);
+	});
+
+	test('A value is added to the containers that miss it and replaced where it fails', () => {
+		assert.deepStrictEqual(fixed(pod, 'RunAsNonRoot'), [
+			'kind: Pod',
+			'spec:',
+			'  containers:',
+			'    - name: app',
+			'      image: nginx:1.25',
+			'      securityContext:',
+			'        runAsNonRoot: true',
+			'  initContainers:',
+			'    - name: init',
+			'      securityContext:',
+			'        runAsNonRoot: true',
+			''
+		]);
+	});
+
+	test('A fixed manifest passes its rule', () => {
+		['RunAsNonRoot', 'RunAsUser', 'ReadOnlyRootFilesystem', 'CapDropAll', 'LimitsCPU', 'RequestsMemory', 'AutomountServiceAccountToken'].forEach((ruleId) => {
+			const result = scanManifest(fixed(pod, ruleId)!.join('\n'), 'pod.yaml')[0];
+			assert.ok(result.scoring.passed.some((item: any) => item.id === ruleId), ruleId);
+			//A manifest that passes has nothing left to fix
+			assert.strictEqual(fixed(fixed(pod, ruleId)!, ruleId), undefined, ruleId);
+		});
+	});
+
+	test('Items are added to block and flow lists', () => {
+		const lines = [
+			'kind: Pod',
+			'spec:',
+			'    containers:',
+			'        -   name: a',
+			'            securityContext:',
+			'                capabilities:',
+			'                    drop:',
+			'                        - NET_RAW',
+			'        -   name: b',
+			'            securityContext:',
+			'                capabilities:',
+			'                    drop: []'
+		];
+		assert.deepStrictEqual(fixed(lines, 'CapDropAll')!.slice(7), [
+			'                        - NET_RAW',
+			'                        - ALL',
+			'        -   name: b',
+			'            securityContext:',
+			'                capabilities:',
+			'                    drop: [ALL]'
+		]);
+		//Any dropped capability already passes the weaker rule
+		assert.strictEqual(fixed(lines.slice(0, 8), 'CapDropAny'), undefined);
+	});
+
+	test('Nested keys are indented like the manifest and a key without a value gets one', () => {
+		assert.deepStrictEqual(fixed(['kind: Pod', 'spec:', '    containers:', '        - name: a', '          resources:'], 'LimitsMemory'), [
+			'kind: Pod',
+			'spec:',
+			'    containers:',
+			'        - name: a',
+			'          resources:',
+			'              limits:',
+			'                  memory: 512Mi',
+			''
+		]);
+	});
+
+	test('The fix is made in the document of the finding', () => {
+		const lines = ['kind: Service', '---', 'kind: Deployment', 'spec:', '  template:', '    spec:', '      automountServiceAccountToken: true'];
+		assert.strictEqual(documentIndexAt(lines.join('\n'), 0), 0);
+		assert.strictEqual(documentIndexAt(lines.join('\n'), 4), 1);
+		assert.deepStrictEqual(fixed(lines, 'AutomountServiceAccountToken', 1)!.slice(-1), ['      automountServiceAccountToken: false']);
+		assert.strictEqual(fixed(lines, 'AutomountServiceAccountToken', 0), undefined);
+		//Flow maps and invalid documents are left as they are
+		assert.strictEqual(fixed(['kind: Pod', 'spec: { containers: [{ name: a }] }'], 'RunAsNonRoot'), undefined);
+		assert.strictEqual(fixed(['kind: Pod', 'spec: ['], 'RunAsNonRoot'), undefined);
+	});
+});
@@ -0,0 +1,128 @@
+import * as assert from 'assert';
+import { scanManifest, scanObject } from '../../gates/kubesec/rules/rule-engine';
+import { kubesecSelectorPaths, splitKubesecSelector } from '../../gates/kubesec/rules/kubesec-selector';
+import { anyItem } from '../../source-locator';
+
+suite('Kubesec Rules Test Suite', () => {
+	//A deployment with one container, the lines of a test are added to the container
+	function deployment(...containerLines: string[]) {
+		return [
+			'apiVersion: apps/v1',
+			'kind: Deployment',
+			'metadata:',
+			'  name: web',
+			'spec:',
+			'  template:',
+			'    spec:',
+			'      containers:',
+			'        - name: web',
+			'          image: nginx:1.25',
+			...containerLines
+		].join('\n');
+	}
+
+	function idsOf(items: any[]) {
+		return items.map(item => item.id);
+	}
+
+	test('A risky container fails its object', () => {
+		const [result] = scanManifest(deployment(
+			'          securityContext:',
+			'            privileged: true',
+			'            capabilities:',
+			'              add: ["SYS_ADMIN"]'), 'web.yaml');
+		assert.strictEqual(result.object, 'Deployment/web.default');
+		assert.strictEqual(result.valid, true);
+		assert.deepStrictEqual(idsOf(result.scoring.critical), ['CapSysAdmin', 'Privileged']);
+		//Only the critical points are counted
+		assert.strictEqual(result.score, -60);
+		assert.strictEqual(result.message, 'Failed with a score of -60 points');
+	});
+
+	test('An object passes with the points of the practices it applies', () => {
+		const [result] = scanManifest(deployment(
+			'          securityContext:',
+			'            runAsNonRoot: true',
+			'            readOnlyRootFilesystem: true',
+			'            capabilities:',
+			'              drop: ["ALL"]'), 'web.yaml');
+		assert.deepStrictEqual(result.scoring.critical, []);
+		assert.deepStrictEqual(idsOf(result.scoring.passed), ['CapDropAny', 'CapDropAll', 'ReadOnlyRootFilesystem', 'RunAsNonRoot']);
+		assert.ok(idsOf(result.scoring.advise).includes('LimitsCPU'));
+		assert.strictEqual(result.score, 4);
+		assert.strictEqual(result.message, 'Passed with a score of 4 points');
+	});
+
+	test('Advise rules pass only when every container applies them', () => {
+		const pod = {
+			kind: 'Pod',
+			metadata: { name: 'job', namespace: 'batch' },
+			spec: {
+				securityContext: { runAsUser: 20000 },
+				containers: [{ name: 'a', resources: { limits: { cpu: '1' } } }],
+				initContainers: [{ name: 'b' }]
+			}
+		};
+		const result = scanObject(pod, 'pod.yaml');
+		assert.strictEqual(result.object, 'Pod/job.batch');
+		//The user of the pod applies to the containers that do not set one
+		assert.ok(idsOf(result.scoring.passed!).includes('RunAsUser'));
+		assert.ok(idsOf(result.scoring.advise!).includes('LimitsCPU'));
+	});
+
+	test('The pod spec of a CronJob and the annotations of its template are checked', () => {
+		const [result] = scanManifest([
+			'kind: CronJob',
+			'metadata:',
+			'  name: nightly',
+			'spec:',
+			'  jobTemplate:',
+			'    spec:',
+			'      template:',
+			'        metadata:',
+			'          annotations:',
+			'            container.apparmor.security.beta.kubernetes.io/app: runtime/default',
+			'        spec:',
+			'          hostNetwork: true',
+			'          containers:',
+			'            - name: app'
+		].join('\n'), 'cron.yaml');
+		assert.deepStrictEqual(idsOf(result.scoring.critical), ['HostNetwork']);
+		assert.ok(idsOf(result.scoring.passed).includes('ApparmorAny'));
+	});
+
+	test('Every document of a manifest has a result with its index', () => {
+		const results = scanManifest([
+			'kind: Service',
+			'metadata:',
+			'  name: web',
+			'---',
+			'# only a comment',
+			'---',
+			'kind: Pod',
+			'spec: [',
+		].join('\n'), 'all.yaml');
+		assert.deepStrictEqual(results.map(result => [result.object, result.valid, result.documentIndex]), [['Service/web.default', false, 0], ['Unknown', false, 2]]);
+		assert.strictEqual(results[0].message, 'This resource kind is not supported by kubesec');
+	});
+
+	test('Selectors are split in their keys and their condition', () => {
+		assert.deepStrictEqual(splitKubesecSelector('containers[] .securityContext .runAsUser -gt 10000'),
+			{ keys: ['containers[]', 'securityContext', 'runAsUser'], condition: '-gt 10000' });
+		assert.deepStrictEqual(splitKubesecSelector('containers[] .securityContext .capabilities .drop | index("ALL")').condition, '| index("ALL")');
+		assert.deepStrictEqual(splitKubesecSelector('.metadata .annotations ."container.seccomp.security.alpha.kubernetes.io/pod"'),
+			{ keys: ['metadata', 'annotations', 'container.seccomp.security.alpha.kubernetes.io/pod'], condition: '' });
+	});
+
+	test('Selectors refer to the paths of the kind of their object', () => {
+		assert.deepStrictEqual(kubesecSelectorPaths('containers[] .securityContext .privileged == true', 'Deployment'), [
+			['spec', 'template', 'spec', 'containers', anyItem, 'securityContext', 'privileged'],
+			['spec', 'template', 'spec', 'initContainers', anyItem, 'securityContext', 'privileged']
+		]);
+		assert.deepStrictEqual(kubesecSelectorPaths('.spec .volumes[] .hostPath .path == /var/run/docker.sock', 'Pod'),
+			[['spec', 'volumes', anyItem, 'hostPath', 'path']]);
+		assert.deepStrictEqual(kubesecSelectorPaths('.metadata .annotations', 'Job'),
+			[['spec', 'template', 'metadata', 'annotations'], ['metadata', 'annotations']]);
+		assert.deepStrictEqual(kubesecSelectorPaths(''), []);
+	});
+});
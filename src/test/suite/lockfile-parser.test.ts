@@ -0,0 +1,87 @@
+import * as assert from 'assert';
+import { jsonKeyLines, keyPath, LockedPackage, parseLockfile, parsePackageLock, parseYarnLock } from '../../gates/osv/lockfile-parser';
+
+suite('Lockfile Parser Test Suite', () => {
+	function summary(packages: LockedPackage[]) {
+		return packages.map(lockedPackage => [lockedPackage.name, lockedPackage.version, lockedPackage.line, lockedPackage.isNested]);
+	}
+
+	test('package-lock.json v3 lists the installed packages by their path', () => {
+		const packages = parsePackageLock([
+			'{',
+			'  "lockfileVersion": 3,',
+			'  "packages": {',
+			'    "": { "name": "app", "version": "1.0.0" },',
+			'    "node_modules/lodash": {',
+			'      "version": "4.17.20"',
+			'    },',
+			'    "node_modules/@scope/tool": {',
+			'      "version": "2.0.0"',
+			'    },',
+			'    "node_modules/@scope/tool/node_modules/lodash": {',
+			'      "version": "3.10.1"',
+			'    },',
+			'    "packages/local": { "version": "0.1.0", "link": true }',
+			'  }',
+			'}'
+		].join('\n'));
+		assert.deepStrictEqual(summary(packages), [
+			['lodash', '4.17.20', 4, false],
+			['@scope/tool', '2.0.0', 7, false],
+			['lodash', '3.10.1', 10, true]
+		]);
+	});
+
+	test('package-lock.json v1 nests the packages under their dependencies', () => {
+		const packages = parsePackageLock(JSON.stringify({
+			lockfileVersion: 1,
+			dependencies: {
+				minimist: { version: '1.2.5' },
+				mkdirp: { version: '0.5.1', dependencies: { minimist: { version: '0.0.8' } } },
+				local: { version: 'file:../local' }
+			}
+		}, null, 2));
+		assert.deepStrictEqual(summary(packages), [
+			['minimist', '1.2.5', 3, false],
+			['mkdirp', '0.5.1', 6, false],
+			['minimist', '0.0.8', 9, true]
+		]);
+	});
+
+	test('yarn.lock entries of yarn 1 and of yarn 2 and later have the ranges they were resolved for', () => {
+		const packages = parseYarnLock([
+			'# yarn lockfile v1',
+			'',
+			'lodash@^4.17.0, lodash@^4.17.21:',
+			'  version "4.17.21"',
+			'',
+			'"@babel/core@npm:^7.0.0":',
+			'  version: 7.22.0',
+			'',
+			'__metadata:',
+			'  version: 6'
+		].join('\n'));
+		assert.deepStrictEqual(summary(packages), [['lodash', '4.17.21', 2, false], ['@babel/core', '7.22.0', 5, false]]);
+		assert.deepStrictEqual(packages[0].ranges, ['^4.17.0', '^4.17.21']);
+		assert.ok(packages[1].isRequestedBy('^7.0.0'));
+		assert.ok(!packages[1].isRequestedBy('^6.0.0'));
+	});
+
+	test('The parser is chosen by the file name', () => {
+		assert.strictEqual(parseLockfile('/app/yarn.lock', 'a@^1.0.0:\n  version "1.0.1"\n')[0].version, '1.0.1');
+		assert.strictEqual(parseLockfile('/app/package-lock.json', '{"packages": {"node_modules/a": {"version": "1.0.2"}}}')[0].version, '1.0.2');
+		assert.throws(() => parseLockfile('/app/package-lock.json', '{'));
+	});
+
+	test('A nested package is not the version package.json asks for', () => {
+		assert.ok(new LockedPackage('a', '1.0.0', 0).isRequestedBy('^1.0.0'));
+		assert.ok(!new LockedPackage('a', '1.0.0', 0, true).isRequestedBy('^1.0.0'));
+	});
+
+	test('The keys of a JSON file are located by their path', () => {
+		const lines = jsonKeyLines(JSON.stringify({ dependencies: { a: '^1.0.0' }, devDependencies: { a: '^2.0.0' } }, null, 2));
+		assert.strictEqual(lines.get(keyPath(['dependencies', 'a'])), 2);
+		assert.strictEqual(lines.get(keyPath(['devDependencies', 'a'])), 5);
+		assert.strictEqual(lines.get(keyPath(['a'])), undefined);
+	});
+});
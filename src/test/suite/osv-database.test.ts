@@ -0,0 +1,88 @@
+import * as assert from 'assert';
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import { AdvisoryDatabase, loadAdvisoryDatabase, parseAdvisory } from '../../gates/osv/osv-database';
+
+suite('OSV Database Test Suite', () => {
+	function osvRecord(ranges: any[], versions: string[] = []) {
+		const record: any = {
+			id: 'GHSA-test',
+			summary: 'Prototype pollution',
+			aliases: ['CVE-2020-0001'],
+			references: [{ type: 'WEB', url: 'https://example.com/web' }, { type: 'ADVISORY', url: 'https://example.com/advisory' }],
+			affected: [
+				{ package: { ecosystem: 'npm', name: 'lodash' }, ranges: ranges, versions: versions },
+				{ package: { ecosystem: 'PyPI', name: 'lodash' }, ranges: ranges }
+			]
+		};
+		record['database_specific'] = { severity: 'CRITICAL' };
+		return record;
+	}
+
+	test('An OSV record affects the versions of its npm packages from introduced until fixed', () => {
+		const advisories = parseAdvisory(osvRecord([{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.12' }] }]));
+		assert.strictEqual(advisories.length, 1);
+		const advisory = advisories[0];
+		assert.deepStrictEqual([advisory.id, advisory.packageName, advisory.severity, advisory.url], ['GHSA-test', 'lodash', 'High', 'https://example.com/advisory']);
+		assert.ok(advisory.affects('4.17.11'));
+		assert.ok(!advisory.affects('4.17.12'));
+		assert.ok(!advisory.affects('not-a-version'));
+	});
+
+	test('Ranges can have several introduced versions and end at last_affected', () => {
+		const events = JSON.parse('[{ "introduced": "1.0.0" }, { "fixed": "1.2.0" }, { "introduced": "2.0.0" }, { "last_affected": "2.1.0" }, { "introduced": "3.0.0" }]');
+		const advisory = parseAdvisory(osvRecord([{ type: 'ECOSYSTEM', events: events }], ['0.5.0']))[0];
+		assert.deepStrictEqual(['0.5.0', '0.9.0', '1.1.0', '1.2.0', '2.1.0', '2.2.0', '3.5.0'].map(version => advisory.affects(version)),
+			[true, false, true, false, true, false, true]);
+	});
+
+	test('Events that are not semver are completed or their range is skipped', () => {
+		const advisory = parseAdvisory(osvRecord([
+			{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '1.0' }] },
+			{ type: 'ECOSYSTEM', events: [{ introduced: 'abc' }, { fixed: 'def' }] },
+			{ type: 'GIT', events: [{ introduced: '0123abc' }] }
+		]))[0];
+		assert.ok(advisory.affects('0.9.0'));
+		assert.ok(!advisory.affects('1.0.0'));
+		assert.ok(!advisory.affects('5.0.0'));
+	});
+
+	test('A GitHub advisory affects the versions of its range', () => {
+		const advisories = parseAdvisory(JSON.parse(`{
+			"ghsa_id": "GHSA-gh", "summary": "ReDoS", "severity": "moderate", "cve_id": "CVE-2021-0002",
+			"vulnerabilities": [{ "package": { "ecosystem": "NPM", "name": "minimist" }, "vulnerable_version_range": ">= 1.0.0, < 1.2.6" }]
+		}`));
+		assert.deepStrictEqual([advisories[0].id, advisories[0].severity, advisories[0].aliases], ['GHSA-gh', 'Medium', ['CVE-2021-0002']]);
+		assert.ok(advisories[0].affects('1.2.5'));
+		assert.ok(!advisories[0].affects('1.2.6'));
+		assert.ok(!advisories[0].affects('0.2.0'));
+	});
+
+	test('Records of other ecosystems and other formats have no advisories', () => {
+		assert.deepStrictEqual(parseAdvisory({ id: 'PYSEC', affected: [{ package: { ecosystem: 'PyPI', name: 'django' } }] }), []);
+		assert.deepStrictEqual(parseAdvisory({ id: 'other' }), []);
+		assert.deepStrictEqual(parseAdvisory(null), []);
+	});
+
+	test('A snapshot is a file or a folder of files with one or more records', () => {
+		const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'osv-'));
+		try {
+			const record = osvRecord([{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '4.17.12' }] }]);
+			fs.writeFileSync(path.join(folder, 'one.json'), JSON.stringify(record));
+			fs.writeFileSync(path.join(folder, 'many.json'), JSON.stringify({ vulns: [{ ...record, id: 'GHSA-other' }] }));
+			fs.writeFileSync(path.join(folder, 'readme.txt'), 'not a record');
+			const database = loadAdvisoryDatabase(folder);
+			assert.strictEqual(database.size, 2);
+			assert.deepStrictEqual(database.advisoriesOf('lodash', '4.17.11').map(advisory => advisory.id).sort(), ['GHSA-other', 'GHSA-test']);
+			assert.deepStrictEqual(database.advisoriesOf('lodash', '4.17.12'), []);
+			assert.strictEqual(loadAdvisoryDatabase(path.join(folder, 'one.json')).size, 1);
+		} finally {
+			fs.rmSync(folder, { recursive: true, force: true });
+		}
+	});
+
+	test('A package without advisories has none', () => {
+		assert.deepStrictEqual(new AdvisoryDatabase([]).advisoriesOf('left-pad', '1.0.0'), []);
+	});
+});
@@ -0,0 +1,109 @@
+import * as assert from 'assert';
+import { checkPipeline, PipelineFile, PipelinePlatform } from '../../gates/pipelines/pipeline-rules';
+import { pipelinePlatform } from '../../gates/pipelines/pipeline-scanner';
+import { SourceLocator, SourceRange } from '../../source-locator';
+
+suite('Pipeline Rules Test Suite', () => {
+	//The issues of a rule in a workflow or a pipeline, by the zero based line they are on
+	function issuesOf(ruleId: string, lines: string[], platform: PipelinePlatform = 'github') {
+		const locator = new SourceLocator(lines.join('\n'));
+		return checkPipeline(new PipelineFile(platform, locator.documents[0].toJS(), locator))
+			.filter(issue => issue.ruleId === ruleId)
+			.map(issue => issue.range.startLine);
+	}
+
+	//A workflow that passes every rule, the steps of a test are added to its job
+	function safeWorkflow(trigger: string, ...steps: string[]) {
+		return [
+			`on: ${trigger}`,
+			'permissions:',
+			'  contents: read',
+			'jobs:',
+			'  build:',
+			'    runs-on: ubuntu-latest',
+			'    steps:',
+			'      - uses: actions/checkout@8e5e7e5ab8b370d6c329ec480221332ada57f0ab',
+			...steps
+		];
+	}
+
+	test('The platform of a file is known by its path', () => {
+		assert.strictEqual(pipelinePlatform('/repo/.github/workflows/ci.yml'), 'github');
+		assert.strictEqual(pipelinePlatform('C:\\repo\\.github\\workflows\\ci.yaml'), 'github');
+		assert.strictEqual(pipelinePlatform('/repo/azure-pipelines.yml'), 'azure');
+		assert.strictEqual(pipelinePlatform('/repo/.pipelines/build.yaml'), 'azure');
+		assert.strictEqual(pipelinePlatform('/repo/.github/workflows/nested/ci.yml'), undefined);
+		assert.strictEqual(pipelinePlatform('/repo/deployment.yaml'), undefined);
+	});
+
+	test('A safe workflow has no issues', () => {
+		const locator = new SourceLocator(safeWorkflow('push', '      - run: npm test').join('\n'));
+		assert.deepStrictEqual(checkPipeline(new PipelineFile('github', locator.documents[0].toJS(), locator)), []);
+	});
+
+	test('PullRequestTargetCheckout', () => {
+		assert.deepStrictEqual(issuesOf('PullRequestTargetCheckout', safeWorkflow('pull_request_target',
+			'      - uses: actions/checkout@8e5e7e5ab8b370d6c329ec480221332ada57f0ab',
+			'        with:',
+			'          ref: ${{ github.event.pull_request.head.sha }}',
+			'      - run: gh pr checkout ${{ github.event.number }}')), [10, 11]);
+		assert.deepStrictEqual(issuesOf('PullRequestTargetCheckout', safeWorkflow('pull_request',
+			'      - uses: actions/checkout@8e5e7e5ab8b370d6c329ec480221332ada57f0ab',
+			'        with:',
+			'          ref: ${{ github.event.pull_request.head.sha }}')), []);
+	});
+
+	test('ScriptInjection', () => {
+		assert.deepStrictEqual(issuesOf('ScriptInjection', safeWorkflow('issues',
+			'      - run: |',
+			'          echo "${{ github.event.issue.number }}"',
+			'          echo "${{ github.event.issue.title }}"')), [10]);
+		assert.deepStrictEqual(issuesOf('ScriptInjection', safeWorkflow('issues',
+			'      - env:',
+			'          TITLE: ${{ github.event.issue.title }}',
+			'        run: echo "$TITLE"')), []);
+	});
+
+	test('UnpinnedAction', () => {
+		assert.deepStrictEqual(issuesOf('UnpinnedAction', safeWorkflow('push',
+			'      - uses: actions/setup-node@v4',
+			'      - uses: docker://alpine:3.19',
+			'      - uses: ./.github/actions/local')), [8, 9]);
+		assert.deepStrictEqual(issuesOf('UnpinnedAction', safeWorkflow('push', '      - uses: docker://alpine@sha256:0123')), []);
+	});
+
+	test('BroadPermissions and MissingPermissions', () => {
+		const workflow = ['on: push', 'jobs:', '  build:', '    permissions: write-all', '    runs-on: ubuntu-latest', '  test:', '    runs-on: ubuntu-latest'];
+		assert.deepStrictEqual(issuesOf('BroadPermissions', workflow), [3]);
+		assert.deepStrictEqual(issuesOf('MissingPermissions', workflow), [1]);
+		assert.deepStrictEqual(issuesOf('BroadPermissions', safeWorkflow('push')), []);
+		assert.deepStrictEqual(issuesOf('MissingPermissions', ['on: push', 'jobs:', '  build:', '    permissions: {}', '    runs-on: ubuntu-latest']), []);
+	});
+
+	test('PlaintextSecret', () => {
+		assert.deepStrictEqual(issuesOf('PlaintextSecret', [...safeWorkflow('push'), '        env:', '          API_KEY: abc123', '          TOKEN: ${{ secrets.TOKEN }}']), [9]);
+		assert.deepStrictEqual(issuesOf('PlaintextSecret', [
+			'variables:',
+			'  - name: dbPassword',
+			'    value: hunter2',
+			'  - name: token',
+			'    value: $(token)',
+			'  - group: shared',
+			'stages:',
+			'  - stage: build',
+			'    variables:',
+			'      clientSecret: abc'
+		], 'azure'), [2, 9]);
+		//Azure Pipelines have no permissions, the GitHub rules do not apply to them
+		assert.deepStrictEqual(issuesOf('MissingPermissions', ['jobs:', '  - job: build'], 'azure'), []);
+	});
+
+	test('A text in a value is located in the source of the value', () => {
+		const locator = new SourceLocator(['steps:', '  - run: |', '      npm ci', '      echo "${{ github.head_ref }}"'].join('\n'));
+		assert.deepStrictEqual(locator.resolveText(['steps', 0, 'run'], '${{ github.head_ref }}'), new SourceRange(3, 12, 3, 34));
+		//A text that is not written as it is in the value is located at the value
+		assert.deepStrictEqual(locator.resolveText(['steps', 0, 'run'], 'missing'), locator.resolvePath(['steps', 0, 'run'])?.range);
+		//A path that does not exist is located at its deepest parent, like a resolved path
+		assert.deepStrictEqual(locator.resolveText(['jobs'], 'missing'), locator.resolvePath(['jobs'])?.range);
+	});
+});
@@ -0,0 +1,52 @@
+import * as assert from 'assert';
+import { Location } from '../../customGate/gate-data';
+import { moveLocation, TextChange } from '../../findings/position-tracking';
+
+suite('Position Tracking Test Suite', () => {
+	//The location after a change and whether the change deleted it
+	function moved(location: Location, change: TextChange) {
+		const deleted = moveLocation(location, change);
+		return [location.lineNumber, location.columnNumber, location.endLineNumber, location.endColumnNumber, deleted];
+	}
+
+	test('A change after a location does not move it', () => {
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(2, 12, 3, 0, 'x')), [2, 4, 2, 10, false]);
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(5, 0, 5, 0, 'new line\n')), [2, 4, 2, 10, false]);
+	});
+
+	test('Lines added or removed before a location move it down or up', () => {
+		assert.deepStrictEqual(moved(new Location(5, 2, 6, 3), new TextChange(1, 0, 1, 0, 'a\nb\n')), [7, 2, 8, 3, false]);
+		assert.deepStrictEqual(moved(new Location(5, 2, 6, 3), new TextChange(1, 0, 3, 0, '')), [3, 2, 4, 3, false]);
+	});
+
+	test('Text typed before a location on its line moves its columns', () => {
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(2, 0, 2, 0, '  ')), [2, 6, 2, 12, false]);
+		//A line broken before the location moves it to the new line
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(2, 1, 2, 1, '\n  ')), [3, 5, 3, 11, false]);
+		//Lines joined before the location move it to the end of the joined line
+		assert.deepStrictEqual(moved(new Location(3, 4, 3, 10), new TextChange(2, 7, 3, 0, '')), [2, 11, 2, 17, false]);
+	});
+
+	test('A change inside a location keeps its start and moves its end', () => {
+		assert.deepStrictEqual(moved(new Location(2, 4, 4, 1), new TextChange(3, 0, 3, 0, 'added\n')), [2, 4, 5, 1, false]);
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(2, 6, 2, 8, '')), [2, 4, 2, 8, false]);
+	});
+
+	test('A location is deleted only when the change replaces all of it', () => {
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(1, 0, 3, 0, '')), [1, 0, 1, 0, true]);
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(2, 4, 2, 10, 'other')), [2, 4, 2, 9, true]);
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 10), new TextChange(2, 6, 3, 0, ''))[4], false);
+		//Typing at the start of a location inserts before it
+		assert.deepStrictEqual(moved(new Location(2, 4, 2, 4), new TextChange(2, 4, 2, 4, 'x')), [2, 5, 2, 5, false]);
+	});
+
+	test('A location without an end covers the rest of its line', () => {
+		assert.deepStrictEqual(moved(new Location(2), new TextChange(1, 0, 1, 0, '\n')), [3, 0, undefined, undefined, false]);
+		assert.deepStrictEqual(moved(new Location(2, 4), new TextChange(2, 0, 3, 0, '')), [2, 0, undefined, undefined, true]);
+		assert.deepStrictEqual(moved(new Location(2, 4), new TextChange(2, 6, 3, 0, ''))[4], false);
+	});
+
+	test('A location without a line is not moved', () => {
+		assert.deepStrictEqual(moved(new Location(-1), new TextChange(0, 0, 5, 0, '')), [-1, 0, undefined, undefined, false]);
+	});
+});
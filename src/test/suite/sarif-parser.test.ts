@@ -0,0 +1,83 @@
+import * as assert from 'assert';
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import { pathToFileURL } from 'url';
+import { Location } from '../../customGate/gate-data';
+import { parseSarifLog, resolveArtifactUri, sarifRegionToLocation } from '../../gates/sarif/sarif-parser';
+
+suite('SARIF Parser Test Suite', () => {
+	let folder: string;
+
+	setup(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'sarif-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	test('Absolute file uris are converted to paths and their escaped characters decoded', () => {
+		const filePath = path.join(folder, 'Arm templates', 'main.json');
+		assert.strictEqual(resolveArtifactUri(pathToFileURL(filePath).href, undefined, {}, []), filePath);
+		//The scheme is not case sensitive and an absolute uri ignores its base
+		assert.strictEqual(resolveArtifactUri('FILE' + pathToFileURL(filePath).href.slice(4), 'srcRoot', {}, []), filePath);
+		assert.strictEqual(resolveArtifactUri(encodeURI(filePath.split(path.sep).join('/')), 'srcRoot', {}, []), filePath);
+	});
+
+	test('Relative uris are decoded and resolved against their uriBaseId', () => {
+		const bases = { srcRoot: { uri: pathToFileURL(folder).href + '/' } };
+		assert.strictEqual(resolveArtifactUri('Arm%20templates/main.json', 'srcRoot', bases, []), path.join(folder, 'Arm templates', 'main.json'));
+		//A relative file uri is relative like an uri without a scheme
+		assert.strictEqual(resolveArtifactUri('file:src/main.ts', 'srcRoot', bases, []), path.join(folder, 'src', 'main.ts'));
+		//A malformed escape is kept as it is
+		assert.strictEqual(resolveArtifactUri('100%.json', 'srcRoot', bases, []), path.join(folder, '100%.json'));
+	});
+
+	test('A base can be relative to another base', () => {
+		const bases = {
+			root: { uri: pathToFileURL(folder).href + '/' },
+			src: { uri: 'src/', uriBaseId: 'root' },
+			templates: { uri: 'arm%20templates/', uriBaseId: 'src' }
+		};
+		assert.strictEqual(resolveArtifactUri('main.json', 'templates', bases, []), path.join(folder, 'src', 'arm templates', 'main.json'));
+		//A chain that refers to itself stops instead of recursing forever
+		const loop = { loop: { uri: 'a/', uriBaseId: 'loop' } };
+		assert.strictEqual(resolveArtifactUri('main.json', 'loop', loop, [folder]), path.join(folder, ...Array(10).fill('a'), 'main.json'));
+	});
+
+	test('A relative uri without a known base is resolved against the first fallback base that has the file', () => {
+		const other = path.join(folder, 'other');
+		fs.mkdirSync(path.join(other, 'src'), { recursive: true });
+		fs.writeFileSync(path.join(other, 'src', 'main.ts'), '');
+		assert.strictEqual(resolveArtifactUri('src/main.ts', undefined, {}, [folder, other]), path.join(other, 'src', 'main.ts'));
+		assert.strictEqual(resolveArtifactUri('src/main.ts', 'unknown', {}, [folder, other]), path.join(other, 'src', 'main.ts'));
+		//When no base has the file the first one is used
+		assert.strictEqual(resolveArtifactUri('src/missing.ts', undefined, {}, [folder, other]), path.join(folder, 'src', 'missing.ts'));
+		assert.strictEqual(resolveArtifactUri('src/missing.ts', undefined, {}, []), 'src/missing.ts');
+	});
+
+	test('Regions are converted to zero based locations', () => {
+		assert.deepStrictEqual(sarifRegionToLocation({ startLine: 3, startColumn: 5, endColumn: 9 }), new Location(2, 4, 2, 8));
+		assert.deepStrictEqual(sarifRegionToLocation({ startLine: 3, startColumn: 5, endLine: 4, endColumn: 2 }), new Location(2, 4, 3, 1));
+		assert.deepStrictEqual(sarifRegionToLocation({}), new Location(0, 0, undefined, undefined));
+	});
+
+	test('Results take their level and message from their rule', () => {
+		const sarifPath = path.join(folder, 'report.sarif');
+		const results = parseSarifLog({
+			runs: [{
+				tool: { driver: { name: 'Linter', rules: [{ id: 'R1', defaultConfiguration: { level: 'error' }, messageStrings: { named: { text: 'Use {0} instead of {1}' } } }] } },
+				results: [
+					{ ruleId: 'R1', message: { id: 'named', arguments: ['const'] }, locations: [{ physicalLocation: { artifactLocation: { uri: 'main.ts' }, region: { startLine: 2 } } }] },
+					{ ruleIndex: 0, kind: 'pass', message: { text: 'Checked' } }
+				]
+			}]
+		}, sarifPath, [folder]);
+		assert.deepStrictEqual(results.map(result => [result.toolName, result.level, result.filePath, result.message, result.ruleId]), [
+			['Linter', 'error', path.join(folder, 'main.ts'), 'Use const instead of {1}', 'R1'],
+			//A result without a location is reported on the log and a result that is not a failure has no level
+			['Linter', 'none', sarifPath, 'Checked', 'R1']
+		]);
+	});
+});
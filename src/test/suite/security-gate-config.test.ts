@@ -0,0 +1,111 @@
+import * as assert from 'assert';
+import path = require('path');
+import { parseSecurityGateConfig, SecurityGateConfigs } from '../../config/security-gate-config';
+
+suite('Security Gate Config Test Suite', () => {
+	const folder = path.join(path.sep, 'repo');
+
+	//The problems of a configuration file, with their zero based line and whether they are errors
+	function problemsOf(lines: string[]) {
+		return parseSecurityGateConfig(lines.join('\n'), folder).problems.map(problem => [problem.message, problem.range.startLine, problem.isError]);
+	}
+
+	function configsOf(lines: string[], folderPath: string = folder) {
+		const configs = new SecurityGateConfigs();
+		configs.set(parseSecurityGateConfig(lines.join('\n'), folderPath).config);
+		return configs;
+	}
+
+	test('A valid configuration has no problems', () => {
+		assert.deepStrictEqual(problemsOf([
+			'version: 1',
+			'include: src/**',
+			'exclude: ["**/test/**"]',
+			'gates:',
+			'  kubesec: false',
+			'  Terraform:',
+			'    enabled: true',
+			'    severity: { "*": info, AwsS3PublicAcl: ERROR }',
+			'    options: { timeout: 30 }'
+		]), []);
+		assert.deepStrictEqual(problemsOf([]), []);
+	});
+
+	test('Invalid settings are reported at their line and the valid ones are still used', () => {
+		const lines = [
+			'version: 2',
+			'include: [1]',
+			'color: blue',
+			'gates:',
+			'  whispers: yes please',
+			'  terraform:',
+			'    enabled: maybe',
+			'    severity: { AwsS3PublicAcl: critical }',
+			'    options: [a]',
+			'    exclude: modules/**'
+		];
+		assert.deepStrictEqual(problemsOf(lines), [
+			['The version must be 1', 0, true],
+			['include must be a glob or a list of globs', 1, true],
+			['Unknown property color', 2, false],
+			['The settings of whispers must be a map or a boolean', 4, true],
+			['enabled must be true or false', 6, true],
+			['The severity must be one of error, warning, info', 7, true],
+			['options must be a map', 8, true]
+		]);
+		assert.deepStrictEqual(parseSecurityGateConfig(lines.join('\n'), folder).config.gate('Terraform')?.exclude, ['modules/**']);
+	});
+
+	test('A file that is not a single map is reported', () => {
+		assert.deepStrictEqual(problemsOf(['- a']), [['The configuration must be a map', 0, true]]);
+		assert.deepStrictEqual(problemsOf(['version: 1', '---', 'version: 1']), [['Only the first document of the file is used', 2, false]]);
+		assert.strictEqual(problemsOf(['gates: ['])[0][2], true);
+	});
+
+	test('Files are included by the globs of the folder and of the gate, relative to the folder', () => {
+		const configs = configsOf([
+			'include: src/**',
+			'exclude: "*.generated.tf"',
+			'gates:',
+			'  terraform: { exclude: [src/legacy/**] }'
+		]);
+		assert.ok(configs.isIncluded('Terraform', path.join(folder, 'src', 'main.tf')));
+		assert.ok(!configs.isIncluded('Terraform', path.join(folder, 'docs', 'main.tf')));
+		//A glob without a slash matches the name of the file in any folder
+		assert.ok(!configs.isIncluded('Terraform', path.join(folder, 'src', 'net', 'vpc.generated.tf')));
+		assert.ok(!configs.isIncluded('terraform', path.join(folder, 'src', 'legacy', 'main.tf')));
+		assert.ok(configs.isIncluded('Kubesec', path.join(folder, 'src', 'legacy', 'pod.yaml')));
+		//Files outside of the configured folders are always included
+		assert.ok(configs.isIncluded('Terraform', path.join(path.sep, 'other', 'docs', 'main.tf')));
+	});
+
+	test('The include globs of a gate replace its extensions', () => {
+		const configs = configsOf(['gates:', '  kubesec: { include: [deploy/**] }', '  terraform: { exclude: [modules/**] }']);
+		const filePaths = ['deploy/pod.yaml', 'deploy/chart.tpl', 'src/pod.yaml', 'modules/main.tf', 'main.tf'].map(filePath => path.join(folder, filePath));
+		assert.deepStrictEqual(configs.filterFiles('Kubesec', filePaths, ['.yaml']).map(filePath => path.relative(folder, filePath)),
+			[path.join('deploy', 'pod.yaml'), path.join('deploy', 'chart.tpl')]);
+		assert.deepStrictEqual(configs.filterFiles('Terraform', filePaths, ['.tf']).map(filePath => path.relative(folder, filePath)), ['main.tf']);
+	});
+
+	test('Severities are overridden by rule id or for all the rules of a gate', () => {
+		const configs = configsOf(['gates:', '  terraform:', '    severity:', '      "*": warning', '      AwsS3PublicAcl: error']);
+		const filePath = path.join(folder, 'main.tf');
+		assert.strictEqual(configs.severityOf('Terraform', filePath, 'AwsS3PublicAcl'), 'error');
+		assert.strictEqual(configs.severityOf('Terraform', filePath, 'AwsEbsEncryption'), 'warning');
+		assert.strictEqual(configs.severityOf('Terraform', filePath, undefined), 'warning');
+		assert.strictEqual(configs.severityOf('Kubesec', filePath, 'Privileged'), undefined);
+	});
+
+	test('The configuration of the innermost folder applies to a file', () => {
+		const configs = configsOf(['gates: { terraform: { enabled: false, options: { mode: outer } } }']);
+		configs.set(parseSecurityGateConfig('gates: { terraform: { options: { mode: inner } } }', path.join(folder, 'infra')).config);
+		assert.strictEqual(configs.option('Terraform', 'mode', path.join(folder, 'infra', 'main.tf')), 'inner');
+		assert.strictEqual(configs.option('Terraform', 'mode', path.join(folder, 'main.tf')), 'outer');
+		assert.strictEqual(configs.isEnabled('Terraform'), false);
+		assert.strictEqual(configs.isEnabled('Kubesec'), undefined);
+		configs.delete(folder);
+		assert.strictEqual(configs.forFile(path.join(folder, 'main.tf')), undefined);
+		//A folder that only starts like another one does not contain its files
+		assert.strictEqual(configs.forFile(path.join(folder, 'infra-old', 'main.tf')), undefined);
+	});
+});
@@ -0,0 +1,83 @@
+import * as assert from 'assert';
+import { Location } from '../../customGate/gate-data';
+import { anyItem, PathSegment, SourceLocator } from '../../source-locator';
+
+suite('Source Locator Test Suite', () => {
+	//The zero based start and end of a resolved path and whether all of it was found
+	function located(lines: string[], path: PathSegment[], documentIndex: number = 0) {
+		const resolved = new SourceLocator(lines.join('\n')).resolvePath(path, documentIndex);
+		return resolved ? [resolved.range.startLine, resolved.range.startColumn, resolved.range.endLine, resolved.range.endColumn, resolved.exact] : undefined;
+	}
+
+	test('A key with a scalar value covers both and a key of a collection covers only the key', () => {
+		const lines = ['spec:', '  name: web', '  ports:', '    - 80'];
+		assert.deepStrictEqual(located(lines, ['spec', 'name']), [1, 2, 1, 11, true]);
+		assert.deepStrictEqual(located(lines, ['spec', 'ports']), [2, 2, 2, 7, true]);
+		assert.deepStrictEqual(located(lines, ['spec', 'ports', 0]), [3, 6, 3, 8, true]);
+	});
+
+	test('Items of sequences are found by their index or by any item', () => {
+		const lines = ['containers:', '  - name: init', '  - name: app', '    image: nginx'];
+		assert.deepStrictEqual(located(lines, ['containers', 1, 'name']), [2, 4, 2, 13, true]);
+		//The first item that has the rest of the path wins
+		assert.deepStrictEqual(located(lines, ['containers', anyItem, 'image']), [3, 4, 3, 16, true]);
+		//An item that is a map is located at its first line
+		assert.deepStrictEqual(located(lines, ['containers', 0]), [1, 4, 1, 14, true]);
+	});
+
+	test('A missing path is located at its deepest parent', () => {
+		const lines = ['spec:', '  template:', '    metadata: {}'];
+		assert.deepStrictEqual(located(lines, ['spec', 'template', 'spec', 'containers']), [1, 2, 1, 10, false]);
+		const resolved = new SourceLocator(lines.join('\n')).resolvePath(['spec', 'template', 'spec']);
+		assert.strictEqual(resolved?.depth, 2);
+		assert.strictEqual(new SourceLocator('').resolvePath(['spec']), undefined);
+		//The first path that exists wins, otherwise the deepest one
+		const locator = new SourceLocator(lines.join('\n'));
+		assert.strictEqual(locator.resolveAnyPath([['spec', 'missing'], ['spec', 'template', 'metadata']])?.range.startLine, 2);
+		assert.strictEqual(locator.resolveAnyPath([['missing'], ['spec', 'template', 'missing']])?.depth, 2);
+	});
+
+	test('JSON and flow style are located like block style', () => {
+		assert.deepStrictEqual(located(['{', '  "a": {"b": [1, 22]}', '}'], ['a', 'b', 1]), [1, 17, 1, 19, true]);
+		assert.deepStrictEqual(located(['{"a": {"b": true}}'], ['a', 'b']), [0, 7, 0, 16, true]);
+		assert.deepStrictEqual(located(['spec: {name: web}'], ['spec', 'name']), [0, 7, 0, 16, true]);
+	});
+
+	test('Anchors, aliases and merge keys are located at the node they refer to', () => {
+		const lines = [
+			'base: &base',
+			'  image: nginx',
+			'  port: 80',
+			'web:',
+			'  <<: *base',
+			'  port: 8080',
+			'copy: *base'
+		];
+		//The keys of the map win over its merged keys
+		assert.deepStrictEqual(located(lines, ['web', 'port']), [5, 2, 5, 12, true]);
+		assert.deepStrictEqual(located(lines, ['web', 'image']), [1, 2, 1, 14, true]);
+		assert.deepStrictEqual(located(lines, ['copy', 'port']), [2, 2, 2, 10, true]);
+		//A list of merged maps is searched in its order
+		assert.deepStrictEqual(located(['a: &a {x: 1}', 'b: &b {x: 2, y: 3}', 'c:', '  <<: [*a, *b]'], ['c', 'x']), [0, 7, 0, 11, true]);
+	});
+
+	test('The last of duplicate keys wins, like when the file is loaded', () => {
+		assert.deepStrictEqual(located(['image: old', 'name: web', 'image: new'], ['image']), [2, 0, 2, 10, true]);
+	});
+
+	test('Every document of a file is located on its own', () => {
+		const locator = new SourceLocator(['kind: Service', '---', '# a comment', 'kind: Deployment'].join('\n'));
+		assert.strictEqual(locator.documents.length, 2);
+		assert.strictEqual(locator.rootValue('kind', 1), 'Deployment');
+		assert.strictEqual(locator.resolvePath(['kind'], 1)?.range.startLine, 3);
+		assert.strictEqual(locator.resolvePath(['kind'], 2), undefined);
+		assert.strictEqual(locator.rootValue('kind', 2), undefined);
+	});
+
+	test('JSON pointers are resolved with their escaped characters', () => {
+		const locator = new SourceLocator(['{', '  "resources": [', '    {"a/b": {"c~d": 1}}', '  ]', '}'].join('\n'));
+		assert.strictEqual(locator.resolvePointer('/resources/0/a~1b/c~0d')?.exact, true);
+		assert.deepStrictEqual(locator.resolvePointer('/resources/0/a~1b/c~0d')?.range.toLocation(), new Location(2, 13, 2, 21));
+		assert.strictEqual(locator.resolvePointer('/resources/1')?.exact, false);
+	});
+});
@@ -0,0 +1,91 @@
+import * as assert from 'assert';
+import fs = require('fs');
+import os = require('os');
+import path = require('path');
+import { GateResult, Location } from '../../customGate/gate-data';
+import { toFinding } from '../../customGate/gate-findings';
+import { Finding } from '../../findings/finding';
+import { FindingsStore } from '../../findings/findings-store';
+import { TextChange } from '../../findings/position-tracking';
+import { Suppressions } from '../../findings/suppressions';
+
+suite('Suppressions Test Suite', () => {
+	let folder: string;
+	let filePath: string;
+
+	setup(() => {
+		folder = fs.mkdtempSync(path.join(os.tmpdir(), 'suppressions-'));
+		filePath = path.join(folder, 'main.tf');
+		fs.writeFileSync(filePath, [
+			'resource "aws_s3_bucket" "logs" {',
+			'  # security-gate:ignore AwsS3PublicAcl reason="Public website"',
+			'  acl = "public-read"',
+			'}',
+			'resource "aws_ebs_volume" "data" {',
+			'  encrypted = false',
+			'}'
+		].join('\n'));
+	});
+
+	teardown(() => {
+		fs.rmSync(folder, { recursive: true, force: true });
+	});
+
+	function scan(suppressions: Suppressions) {
+		const store = new FindingsStore();
+		store.setSuppressionFilter(finding => suppressions.find(finding));
+		const inline = new Finding('Terraform', filePath, 'error', 'The bucket ACL grants public access', new Location(2, 2, 2, 20), 'AwsS3PublicAcl');
+		const baselined = new Finding('Terraform', filePath, 'warning', 'The volume is not encrypted', new Location(5, 2, 5, 19), 'AwsEbsEncryption');
+		store.setGateFindings('Terraform', [inline, baselined]);
+		return { store: store, inline: inline, baselined: baselined };
+	}
+
+	test('Inline comments and the baseline suppress their findings', () => {
+		const suppressions = new Suppressions();
+		const { store, baselined } = scan(suppressions);
+		assert.deepStrictEqual(store.getFileFindings(filePath).map(finding => finding.ruleId), ['AwsEbsEncryption']);
+
+		suppressions.setBaseline(folder, [suppressions.toBaselineEntry(baselined, folder)]);
+		store.refresh();
+		assert.deepStrictEqual(store.getFileFindings(filePath), []);
+		assert.strictEqual(store.suppressionOf(baselined)?.kind, 'baseline');
+	});
+
+	test('Findings keep their suppressions when lines are added above them before the file is saved', () => {
+		const suppressions = new Suppressions();
+		const { store, inline, baselined } = scan(suppressions);
+		suppressions.setBaseline(folder, [suppressions.toBaselineEntry(baselined, folder)]);
+		store.refresh();
+
+		//The lines are added in the document only, the file on disk still has the old lines
+		store.trackChanges(filePath, [new TextChange(0, 0, 0, 0, 'terraform {\n}\n')]);
+		assert.strictEqual(inline.location.lineNumber, 4);
+		assert.strictEqual(baselined.location.lineNumber, 7);
+		assert.deepStrictEqual(store.getFileFindings(filePath), []);
+	});
+
+	test('Saving the file looks up the suppressions at the moved locations', () => {
+		const suppressions = new Suppressions();
+		const { store, inline } = scan(suppressions);
+		store.trackChanges(filePath, [new TextChange(0, 0, 0, 0, 'terraform {\n}\n')]);
+		fs.writeFileSync(filePath, 'terraform {\n}\n' + fs.readFileSync(filePath, 'utf-8'));
+		//The modification time can be the same as the one the lines were cached with
+		fs.utimesSync(filePath, new Date(), new Date(Date.now() + 10000));
+
+		store.refresh([filePath]);
+		assert.strictEqual(store.suppressionOf(inline)?.line, 3);
+		assert.deepStrictEqual(store.getFileFindings(filePath).map(finding => finding.ruleId), ['AwsEbsEncryption']);
+	});
+
+	test('A result whose location is a link is suppressed in every finding made from it', () => {
+		const suppressions = new Suppressions();
+		const store = new FindingsStore();
+		store.setSuppressionFilter(finding => suppressions.find(finding));
+		const result = new GateResult('https://example.com/rule', 'The volume is not encrypted', 'AwsEbsEncryption');
+		const finding = toFinding('Contributed', 'warning', filePath, result);
+		suppressions.setBaseline(folder, [suppressions.toBaselineEntry(finding, folder)]);
+		store.setGateFindings('Contributed', [finding]);
+		//The tree makes its own findings from the results
+		assert.ok(store.isSuppressed(toFinding('Contributed', 'warning', filePath, result)));
+	});
+});
@@ -0,0 +1,164 @@
+import * as assert from 'assert';
+import { resourcesOfConfig, resourcesOfPlan } from '../../gates/terraform/terraform-resources';
+import { checkResources } from '../../gates/terraform/terraform-rules';
+
+suite('Terraform Rules Test Suite', () => {
+	//The issues of a rule in a module of one file, by the zero based line they are on
+	function issuesOf(ruleId: string, lines: string[]) {
+		return checkResources(resourcesOfConfig('/module/main.tf', lines.join('\n')))
+			.filter(issue => issue.ruleId === ruleId)
+			.map(issue => issue.range.startLine);
+	}
+
+	test('AzureNsgOpenIngress', () => {
+		assert.deepStrictEqual(issuesOf('AzureNsgOpenIngress', [
+			'resource "azurerm_network_security_rule" "ssh" {',
+			'  direction = "Inbound"',
+			'  access = "Allow"',
+			'  source_address_prefix = "*"',
+			'}',
+			'resource "azurerm_network_security_group" "web" {',
+			'  security_rule {',
+			'    direction = "Inbound"',
+			'    access = "Allow"',
+			'    source_address_prefixes = ["10.0.0.0/8", "0.0.0.0/0"]',
+			'  }',
+			'}'
+		]), [3, 9]);
+		assert.deepStrictEqual(issuesOf('AzureNsgOpenIngress', [
+			'resource "azurerm_network_security_rule" "out" {',
+			'  direction = "Outbound"',
+			'  access = "Allow"',
+			'  source_address_prefix = "*"',
+			'}',
+			'resource "azurerm_network_security_rule" "vnet" {',
+			'  direction = "Inbound"',
+			'  access = "Allow"',
+			'  source_address_prefix = var.source',
+			'}'
+		]), []);
+	});
+
+	test('The rules of storage accounts', () => {
+		const insecure = [
+			'resource "azurerm_storage_account" "data" {',
+			'  https_traffic_only_enabled = false',
+			'  min_tls_version = "TLS1_0"',
+			'  allow_nested_items_to_be_public = true',
+			'}'
+		];
+		assert.deepStrictEqual(issuesOf('AzureStorageHttpsOnly', insecure), [1]);
+		assert.deepStrictEqual(issuesOf('AzureStorageMinTls', insecure), [2]);
+		assert.deepStrictEqual(issuesOf('AzureStorageInfrastructureEncryption', insecure), [0]);
+		assert.deepStrictEqual(issuesOf('AzureStoragePublicBlobAccess', insecure), [3]);
+		const secure = [
+			'resource "azurerm_storage_account" "data" {',
+			'  min_tls_version = "TLS1_2"',
+			'  allow_nested_items_to_be_public = false',
+			'  infrastructure_encryption_enabled = true',
+			'}'
+		];
+		['AzureStorageHttpsOnly', 'AzureStorageMinTls', 'AzureStorageInfrastructureEncryption', 'AzureStoragePublicBlobAccess']
+			.forEach(ruleId => assert.deepStrictEqual(issuesOf(ruleId, secure), [], ruleId));
+		//Public containers are allowed unless the account turns them off
+		assert.deepStrictEqual(issuesOf('AzureStoragePublicBlobAccess', ['resource "azurerm_storage_account" "data" {', '}']), [0]);
+	});
+
+	test('AzureStorageContainerPublicAccess', () => {
+		assert.deepStrictEqual(issuesOf('AzureStorageContainerPublicAccess', ['resource "azurerm_storage_container" "c" {', '  container_access_type = "blob"', '}']), [1]);
+		assert.deepStrictEqual(issuesOf('AzureStorageContainerPublicAccess', ['resource "azurerm_storage_container" "c" {', '  container_access_type = "private"', '}']), []);
+	});
+
+	test('AzureKeyVaultPurgeProtection', () => {
+		assert.deepStrictEqual(issuesOf('AzureKeyVaultPurgeProtection', ['resource "azurerm_key_vault" "kv" {', '  purge_protection_enabled = false', '}']), [1]);
+		assert.deepStrictEqual(issuesOf('AzureKeyVaultPurgeProtection', ['resource "azurerm_key_vault" "kv" {', '}']), [0]);
+		assert.deepStrictEqual(issuesOf('AzureKeyVaultPurgeProtection', ['resource "azurerm_key_vault" "kv" {', '  purge_protection_enabled = var.protect', '}']), []);
+	});
+
+	test('AwsSecurityGroupOpenIngress', () => {
+		assert.deepStrictEqual(issuesOf('AwsSecurityGroupOpenIngress', [
+			'resource "aws_security_group" "web" {',
+			'  ingress {',
+			'    cidr_blocks = ["10.0.0.0/8"]',
+			'  }',
+			'  ingress {',
+			'    ipv6_cidr_blocks = ["::/0"]',
+			'  }',
+			'}',
+			'resource "aws_vpc_security_group_ingress_rule" "ssh" {',
+			'  cidr_ipv4 = "0.0.0.0/0"',
+			'}'
+		]), [5, 9]);
+		assert.deepStrictEqual(issuesOf('AwsSecurityGroupOpenIngress', [
+			'resource "aws_security_group_rule" "egress" {',
+			'  type = "egress"',
+			'  cidr_blocks = ["0.0.0.0/0"]',
+			'}'
+		]), []);
+	});
+
+	test('AwsS3BucketEncryption', () => {
+		assert.deepStrictEqual(issuesOf('AwsS3BucketEncryption', ['resource "aws_s3_bucket" "logs" {', '  bucket = "logs"', '}']), [0]);
+		assert.deepStrictEqual(issuesOf('AwsS3BucketEncryption', [
+			'resource "aws_s3_bucket" "logs" {',
+			'  bucket = "logs"',
+			'}',
+			'resource "aws_s3_bucket_server_side_encryption_configuration" "logs" {',
+			'  bucket = aws_s3_bucket.logs.id',
+			'}'
+		]), []);
+	});
+
+	test('AwsS3PublicAcl', () => {
+		assert.deepStrictEqual(issuesOf('AwsS3PublicAcl', ['resource "aws_s3_bucket_acl" "logs" {', '  acl = "public-read"', '}']), [1]);
+		assert.deepStrictEqual(issuesOf('AwsS3PublicAcl', ['resource "aws_s3_bucket_acl" "logs" {', '  acl = "private"', '}']), []);
+	});
+
+	test('AwsS3PublicAccessBlock', () => {
+		assert.deepStrictEqual(issuesOf('AwsS3PublicAccessBlock', [
+			'resource "aws_s3_bucket_public_access_block" "logs" {',
+			'  block_public_acls = true',
+			'  block_public_policy = false',
+			'  ignore_public_acls = true',
+			'  restrict_public_buckets = true',
+			'}'
+		]), [2]);
+		assert.deepStrictEqual(issuesOf('AwsS3PublicAccessBlock', [
+			'resource "aws_s3_bucket_public_access_block" "logs" {',
+			'  block_public_acls = true',
+			'  block_public_policy = true',
+			'  ignore_public_acls = true',
+			'  restrict_public_buckets = true',
+			'}'
+		]), []);
+	});
+
+	test('AwsDatabaseEncryption and AwsEbsEncryption', () => {
+		assert.deepStrictEqual(issuesOf('AwsDatabaseEncryption', ['resource "aws_db_instance" "db" {', '}']), [0]);
+		assert.deepStrictEqual(issuesOf('AwsDatabaseEncryption', ['resource "aws_rds_cluster" "db" {', '  storage_encrypted = true', '}']), []);
+		assert.deepStrictEqual(issuesOf('AwsEbsEncryption', ['resource "aws_ebs_volume" "data" {', '  encrypted = false', '}']), [1]);
+		assert.deepStrictEqual(issuesOf('AwsEbsEncryption', ['resource "aws_ebs_volume" "data" {', '  encrypted = true', '}']), []);
+	});
+
+	test('The resources of a plan are located at their address', () => {
+		const plan = [
+			'{',
+			'  "planned_values": {',
+			'    "root_module": {',
+			'      "child_modules": [{',
+			'        "resources": [{',
+			'          "address": "module.disks.aws_ebs_volume.data",',
+			'          "mode": "managed", "type": "aws_ebs_volume", "name": "data",',
+			'          "values": { "encrypted": false }',
+			'        }]',
+			'      }]',
+			'    }',
+			'  }',
+			'}'
+		].join('\n');
+		const issues = checkResources(resourcesOfPlan('/plan.json', plan)!);
+		assert.deepStrictEqual(issues.map(issue => [issue.ruleId, issue.range.startLine]), [['AwsEbsEncryption', 5]]);
+		assert.ok(issues[0].message.startsWith('module.disks.aws_ebs_volume.data: '));
+		assert.strictEqual(resourcesOfPlan('/package.json', '{"name": "app"}'), undefined);
+	});
+});
@@ -2,6 +2,7 @@ import * as vscode from 'vscode';
 import { TreeItem } from './tree-item';
 import { File } from './file';
 import { GateResult, ResultsList } from '../customGate/gate-data';
+import { Finding } from '../findings/finding';
 
 
 export class Category extends TreeItem {
@@ -10,8 +11,8 @@ export class Category extends TreeItem {
   constructor(
     public readonly label: string,
     public readonly collapsibleState: vscode.TreeItemCollapsibleState,
-    public data: ResultsList
-
+    public data: ResultsList,
+    public readonly toFinding?: (filePath: string, result: GateResult) => Finding,
   ) {
     super(label, collapsibleState);
     this.files = data;
@@ -20,7 +21,7 @@ export class Category extends TreeItem {
   public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined): Thenable<TreeItem[]> {
     return Promise.resolve(this.files?.result.map((file) => {
       return new File(file.filePath, file.fileName, vscode.TreeItemCollapsibleState.Collapsed,
-       file.messages);
+       file.messages, undefined, this.toFinding);
     }));
   }
 };
@@ -1,5 +1,6 @@
 import * as vscode from 'vscode';
 import { GateResult } from '../customGate/gate-data';
+import { Finding } from '../findings/finding';
 import { MessageItem } from './message';
 import { TreeItem } from './tree-item';
 
@@ -11,6 +12,7 @@ export class File extends TreeItem {
     public readonly collapsibleState: vscode.TreeItemCollapsibleState,
     public results: GateResult[],
     public readonly command?: vscode.Command,
+    public readonly toFinding?: (filePath: string, result: GateResult) => Finding,
   ) {
     command = {
       "title": "",
@@ -26,8 +28,9 @@ export class File extends TreeItem {
 
   public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined): Thenable<TreeItem[]> {
     let path = this.path;
+    const toFinding = this.toFinding;
     return Promise.resolve(this.results.map(function (r) {
-      return new MessageItem(r.message, r.location, path);
+      return new MessageItem(r.message, r.location, path, undefined, toFinding?.(path, r));
     }));
   }
 
@@ -0,0 +1,90 @@
+import * as vscode from 'vscode';
+import path = require('path');
+import { Finding, Severity } from '../findings/finding';
+import { findingsStore } from '../findings/findings-store';
+import { allSeverities, GroupBy, withCount } from './tree-options';
+import { TreeItem } from './tree-item';
+
+const severityLabels = new Map<Severity, string>([['error', "Error"], ['warning', "Warning"], ['info', "Info"], ['passed', "Passed"]]);
+
+const severityIcons = new Map<Severity, vscode.ThemeIcon>([
+  ['error', new vscode.ThemeIcon('error', new vscode.ThemeColor('problemsErrorIcon.foreground'))],
+  ['warning', new vscode.ThemeIcon('warning', new vscode.ThemeColor('problemsWarningIcon.foreground'))],
+  ['info', new vscode.ThemeIcon('info', new vscode.ThemeColor('problemsInfoIcon.foreground'))],
+  ['passed', new vscode.ThemeIcon('pass', new vscode.ThemeColor('testing.iconPassed'))]
+]);
+
+//The grouping under a group, the findings of a severity or a rule are grouped by their files
+const childGroupings = new Map<GroupBy, GroupBy | undefined>([['severity', 'file'], ['rule', 'file'], ['file', undefined], ['gate', undefined]]);
+
+//Findings of all the gates under one severity, file or rule id, when the tree is not grouped by gate
+export class FindingGroup extends TreeItem {
+  constructor(
+    public readonly name: string,
+    public readonly findings: Finding[],
+    private readonly childGrouping: GroupBy | undefined,
+  ) {
+    super(withCount(name, findings.length), vscode.TreeItemCollapsibleState.Collapsed);
+  }
+
+  public getMoreChildren(element?: vscode.TreeDataProvider<TreeItem> | undefined): Thenable<TreeItem[]> {
+    const children = this.childGrouping ? groupFindings(this.findings, this.childGrouping) : this.findings.map(finding => new FindingItem(finding));
+    children.forEach(child => child.parent = this);
+    return Promise.resolve(children);
+  }
+}
+
+//A finding of any gate, it opens the finding and can be suppressed like the items of the gates
+export class FindingItem extends TreeItem {
+  constructor(public readonly finding: Finding) {
+    super(finding.message, vscode.TreeItemCollapsibleState.None);
+    const line = Math.max(finding.location.lineNumber, 0);
+    const position = new vscode.Position(line, Math.max(finding.location.columnNumber ?? 0, 0));
+    this.description = `${finding.ruleId ?? finding.gate} line ${line + 1}`;
+    this.tooltip = `${finding.gate}: ${finding.message}`;
+    this.iconPath = severityIcons.get(findingsStore.severityOf(finding));
+    this.contextValue = finding.severity !== 'passed' ? "finding" : undefined;
+    this.command = {
+      "title": "",
+      "command": "vscode.open",
+      arguments: [vscode.Uri.file(finding.filePath), { selection: new vscode.Range(position, position) }]
+    };
+  }
+}
+
+//Group findings by severity, file or rule id, groups of files are sorted by path and groups of rules by id
+export function groupFindings(findings: Finding[], groupBy: GroupBy): TreeItem[] {
+  const childGrouping = childGroupings.get(groupBy);
+  switch (groupBy) {
+    case 'severity':
+      return allSeverities
+        .map(severity => new FindingGroup(severityLabels.get(severity)!, findings.filter(finding => findingsStore.severityOf(finding) === severity), childGrouping))
+        .filter(group => group.findings.length > 0);
+    case 'file':
+      return groupsOf(findings, finding => finding.filePath).map(([filePath, fileFindings]) => {
+        const group = new FindingGroup(path.basename(filePath), sortByLine(fileFindings), childGrouping);
+        group.resourceUri = vscode.Uri.file(filePath);
+        group.iconPath = vscode.ThemeIcon.File;
+        group.description = vscode.workspace.asRelativePath(path.dirname(filePath));
+        return group;
+      });
+    case 'rule':
+      return groupsOf(findings, finding => finding.ruleId ?? "No rule id").map(([ruleId, ruleFindings]) => {
+        const group = new FindingGroup(ruleId, ruleFindings, childGrouping);
+        group.description = ruleFindings[0].gate;
+        return group;
+      });
+    default:
+      return findings.map(finding => new FindingItem(finding));
+  }
+}
+
+function groupsOf(findings: Finding[], keyOf: (finding: Finding) => string) {
+  const groups = new Map<string, Finding[]>();
+  findings.forEach(finding => groups.set(keyOf(finding), [...(groups.get(keyOf(finding)) ?? []), finding]));
+  return Array.from(groups).sort(([first], [second]) => first.localeCompare(second));
+}
+
+function sortByLine(findings: Finding[]) {
+  return [...findings].sort((first, second) => first.location.lineNumber - second.location.lineNumber);
+}
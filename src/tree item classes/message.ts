@@ -1,5 +1,6 @@
 import * as vscode from 'vscode';
 import { Location } from '../customGate/gate-data';
+import { Finding } from '../findings/finding';
 import { TreeItem } from './tree-item';
 
 export class MessageItem extends TreeItem {
@@ -10,9 +11,11 @@ export class MessageItem extends TreeItem {
     public readonly path: string,
     // public readonly reason: string,
     public readonly command?: vscode.Command,
-
+    public readonly finding?: Finding,
   ) {
     super(item, vscode.TreeItemCollapsibleState.None);
+    //Items of findings can be suppressed from their context menu
+    this.contextValue = finding ? "finding" : undefined;
     this.command = {
       "title": "",
       "command": "customGate.showFileData",
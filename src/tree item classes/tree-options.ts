@@ -0,0 +1,55 @@
+import { Finding, Severity } from '../findings/finding';
+import { findingsStore } from '../findings/findings-store';
+
+//How the findings are grouped at the root of the tree, by gate is the hierarchy of every gate
+export type GroupBy = 'gate' | 'severity' | 'file' | 'rule';
+
+export const groupings: { groupBy: GroupBy, label: string }[] = [
+    { groupBy: 'gate', label: "Gate" },
+    { groupBy: 'severity', label: "Severity" },
+    { groupBy: 'file', label: "File" },
+    { groupBy: 'rule', label: "Rule id" }
+];
+
+export const allSeverities: Severity[] = ['error', 'warning', 'info', 'passed'];
+
+//The grouping and the filter of the tree, shared by the gates that build their own hierarchy
+export class TreeOptions {
+    public groupBy: GroupBy = 'gate';
+
+    //Text that the message, rule id or path of a finding contains, ignoring case
+    public text = "";
+
+    public severities: Severity[] = allSeverities;
+
+    public get isFiltered() {
+        return this.text !== "" || this.severities.length < allSeverities.length;
+    }
+
+    public clearFilter() {
+        this.text = "";
+        this.severities = allSeverities;
+    }
+
+    //A finding is shown when it matches the filter, with the severity it is reported with, suppressed findings are left out by the store
+    public isShown(finding: Finding) {
+        const text = this.text.toLowerCase();
+        return this.severities.includes(findingsStore.severityOf(finding)) &&
+            (text === "" || [finding.message, finding.ruleId ?? "", finding.filePath].some(value => value.toLowerCase().includes(text)));
+    }
+
+    //Describes the filter, like "error, warning containing "secret""
+    public describeFilter() {
+        return [
+            this.severities.length < allSeverities.length ? this.severities.join(', ') : "",
+            this.text !== "" ? `containing "${this.text}"` : ""
+        ].filter(part => part).join(' ');
+    }
+}
+
+export const treeOptions = new TreeOptions();
+
+//A label with the number of its items, like "Critical (12)"
+export function withCount(label: string, count: number) {
+    return `${label} (${count})`;
+}